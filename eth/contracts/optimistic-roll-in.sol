@@ -23,6 +23,24 @@ contract Optimistic_Roll_In {
   Optimistic_Roll_In_Compatible public immutable logic_contract;
   uint256 public immutable lock_time;
   uint256 public immutable required_bond;
+  uint256 public immutable chain_id;
+  bytes32 public immutable domain_separator;
+
+  // EIP-712 type hashes of the domain, and of a user's authorization of optimistic transitions performed by a relayer
+  bytes32 internal constant DOMAIN_TYPEHASH =
+    keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+  bytes32 internal constant PERFORM_TYPEHASH =
+    keccak256(
+      "Optimistic_Perform(address user,bytes32 account_state,bytes[] call_data,bytes32 new_state,uint256 fee,address relayer,uint256 deadline)"
+    );
+
+  // A user's signed authorization, paying fee from their balance to the relayer (any relayer if zero) until the deadline
+  struct Authorization {
+    uint256 fee;
+    address relayer;
+    uint256 deadline;
+    bytes signature;
+  }
 
   mapping(address => bytes32) public account_states;
   mapping(address => uint256) public balances;
@@ -38,6 +56,17 @@ contract Optimistic_Roll_In {
     logic_contract = Optimistic_Roll_In_Compatible(_logic_address);
     lock_time = _lock_time;
     required_bond = _required_bond;
+
+    uint256 id;
+
+    assembly {
+      id := chainid()
+    }
+
+    chain_id = id;
+    domain_separator = keccak256(
+      abi.encode(DOMAIN_TYPEHASH, keccak256("Optimistic_Roll_In"), keccak256("1"), id, address(this))
+    );
   }
 
   modifier not_initialized(address user) {
@@ -77,14 +106,15 @@ contract Optimistic_Roll_In {
     _;
   }
 
-  // Fallback to receive ETH and bond msg.value for msg.sender
+  // Fallback to receive ETH and bond msg.value for msg.sender, keeping any amount beyond the bond in their balance
   receive() external payable {
-    apply_bond(msg.sender);
+    balances[msg.sender] += apply_bond(msg.sender);
   }
 
   // Bonds amount for user, and reverts if resulting balance less than 1 ETH
+  // A balance beyond the bond (i.e. deposited for relayers' fees) is already bonded, and kept
   function apply_bond(address user) internal returns (uint256 remainder) {
-    if (balances[user] == required_bond) return msg.value;
+    if (balances[user] >= required_bond) return msg.value;
 
     require(msg.value >= required_bond, "INSUFFICIENT_BOND");
 
@@ -97,6 +127,12 @@ contract Optimistic_Roll_In {
     require(apply_bond(user) == 0, "INVALID_BOND");
   }
 
+  // Adds msg.value to a bonded user's balance, beyond their bond (i.e. to pay relayers' fees)
+  function deposit(address user) external payable {
+    require(balances[user] >= required_bond, "INSUFFICIENT_BOND");
+    balances[user] += msg.value;
+  }
+
   // Sets user's account state to starting point, and bonds msg.value
   function initialize() external payable not_initialized(msg.sender) {
     address user = msg.sender;
@@ -278,6 +314,90 @@ contract Optimistic_Roll_In {
     optimistic_perform(msg.sender, call_data, new_state, call_data_root, proof, last_time);
   }
 
+  // Returns the signer of a digest, given a 65 byte signature (r, s, v), or address 0 if invalid
+  function recover_signer(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+    require(signature.length == 65, "INVALID_SIGNATURE");
+
+    bytes32 r = abi.decode(signature[:32], (bytes32));
+    bytes32 s = abi.decode(signature[32:64], (bytes32));
+
+    return ecrecover(digest, uint8(signature[64]), r, s);
+  }
+
+  // Returns the EIP-712 hash of several call data (the hash of their concatenated hashes)
+  function hash_call_data(bytes[] calldata call_data) internal pure returns (bytes32) {
+    bytes32[] memory call_data_hashes = new bytes32[](call_data.length);
+
+    for (uint256 i; i < call_data.length; ++i) {
+      call_data_hashes[i] = keccak256(call_data[i]);
+    }
+
+    return keccak256(abi.encodePacked(call_data_hashes));
+  }
+
+  // Checks that the user signed the transition(s) from their current account state, and pays the relayer's fee
+  function authorize(
+    address user,
+    bytes32 call_data_hash,
+    bytes32 new_state,
+    Authorization calldata authorization
+  ) internal {
+    require(authorization.deadline >= block.timestamp, "AUTHORIZATION_EXPIRED");
+    require(authorization.relayer == address(0) || authorization.relayer == msg.sender, "INVALID_RELAYER");
+
+    bytes32 struct_hash =
+      keccak256(
+        abi.encode(
+          PERFORM_TYPEHASH,
+          user,
+          account_states[user],
+          call_data_hash,
+          new_state,
+          authorization.fee,
+          authorization.relayer,
+          authorization.deadline
+        )
+      );
+
+    address signer =
+      recover_signer(keccak256(abi.encodePacked("\x19\x01", domain_separator, struct_hash)), authorization.signature);
+
+    require(signer != address(0) && signer == user, "INVALID_SIGNATURE");
+
+    // The fee is paid from the user's balance beyond their bond (written to not overflow)
+    uint256 balance = balances[user];
+    require(authorization.fee <= balance && balance - authorization.fee >= required_bond, "INSUFFICIENT_BALANCE");
+
+    balances[user] = balance - authorization.fee;
+    balances[msg.sender] += authorization.fee;
+  }
+
+  // Enters optimism on behalf of a user, who authorized the call data and new state from their current account state
+  function perform_optimistically_and_enter_for(
+    address user,
+    bytes calldata call_data,
+    bytes32 new_state,
+    bytes32[] calldata proof,
+    Authorization calldata authorization
+  ) external {
+    authorize(user, keccak256(abi.encodePacked(keccak256(call_data))), new_state, authorization);
+    optimistic_perform(user, call_data, new_state, bytes32(0), proof, 0);
+  }
+
+  // Updates the account state optimistically on behalf of a user, who authorized the call data and new state
+  function perform_optimistically_for(
+    address user,
+    bytes calldata call_data,
+    bytes32 new_state,
+    bytes32 call_data_root,
+    bytes32[] calldata proof,
+    uint256 last_time,
+    Authorization calldata authorization
+  ) external {
+    authorize(user, keccak256(abi.encodePacked(keccak256(call_data))), new_state, authorization);
+    optimistic_perform(user, call_data, new_state, call_data_root, proof, last_time);
+  }
+
   // Updates account state with optimistic batch transition data
   function optimistic_perform_many(
     address user,
@@ -325,6 +445,32 @@ contract Optimistic_Roll_In {
     optimistic_perform_many(msg.sender, call_data, new_state, call_data_root, proof, last_time);
   }
 
+  // Enters optimism on behalf of a user, who authorized the several call data and final state from their current account state
+  function perform_many_optimistically_and_enter_for(
+    address user,
+    bytes[] calldata call_data,
+    bytes32 new_state,
+    bytes32[] calldata proof,
+    Authorization calldata authorization
+  ) external {
+    authorize(user, hash_call_data(call_data), new_state, authorization);
+    optimistic_perform_many(user, call_data, new_state, bytes32(0), proof, 0);
+  }
+
+  // Updates the account state optimistically on behalf of a user, who authorized the several call data and final state
+  function perform_many_optimistically_for(
+    address user,
+    bytes[] calldata call_data,
+    bytes32 new_state,
+    bytes32 call_data_root,
+    bytes32[] calldata proof,
+    uint256 last_time,
+    Authorization calldata authorization
+  ) external {
+    authorize(user, hash_call_data(call_data), new_state, authorization);
+    optimistic_perform_many(user, call_data, new_state, call_data_root, proof, last_time);
+  }
+
   // Lock two users (suspect and accuser)
   // Note: accuser and suspect cannot already be locked, but this might have to change so a single accuser isn't overwhelmed with fraud
   function lock(address suspect) external payable not_locked(msg.sender) not_locked(suspect) {
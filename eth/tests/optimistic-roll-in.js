@@ -6,7 +6,9 @@ const OptimisticRollInArtifact = artifacts.require('Optimistic_Roll_In');
 const SomeLogicContractArtifact = artifacts.require('Some_Logic_Contract');
 
 const OptimisticRollIn = require('../../js/src');
+const { Relayer, Web3Adapter } = OptimisticRollIn;
 const { to32ByteBuffer, hashPacked, toHex, toBuffer } = require('../../js/src/utils');
+const { getDomain, getTypedData } = require('../../js/src/authorizations');
 
 // TODO: test DOS lock and unlock (self locking and let lock expire)
 
@@ -92,6 +94,15 @@ const advanceBlock = () => {
   });
 };
 
+const expectRevert = async (promise, reason) => {
+  const error = await promise.then(
+    () => null,
+    (err) => err
+  );
+
+  expect(error && error.message).to.include(reason);
+};
+
 const someDelay = (seconds) => {
   return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
 };
@@ -322,7 +333,8 @@ contract('Optimistic Roll In', (accounts) => {
 
       expect(suspectOptimist.transitionsQueued).to.equal(calls);
 
-      const callOptions = { gas: 340000 };
+      // The queue is fraudulent by construction, so it must not be validated before sending
+      const callOptions = { gas: 340000, validate: false };
       const { receipt } = await suspectOptimist.sendQueue(callOptions);
       suspectLastTxId = receipt.transactionHash;
 
@@ -490,15 +502,15 @@ contract('Optimistic Roll In', (accounts) => {
       const optimismBalance = await web3.eth.getBalance(optimismAddress);
 
       // I guess negative here for public since bond/reward is cheaper than proof cost
-      const expectedBalance = (await web3.eth.net.getId()) === 5777 ? '1999956158000000000' : '-1078000000000';
+      const expectedBalance = (await web3.eth.net.getId()) === 5777 ? '1999956182000000000' : '-1078000000000';
 
       expect((endingEth - startingEth).toString()).to.equal(expectedBalance);
       expect(accuserBalance.toString()).to.equal('0');
       expect(suspectBalance.toString()).to.equal('0');
       expect(optimismBalance.toString()).to.equal('0');
 
-      if (receipt.gasUsed !== 21921) {
-        console.log(`Not Critical, but we expected gas used for [18] to be 21921, but got ${receipt.gasUsed}`);
+      if (receipt.gasUsed !== 21909) {
+        console.log(`Not Critical, but we expected gas used for [18] to be 21909, but got ${receipt.gasUsed}`);
       }
     });
 
@@ -643,4 +655,170 @@ contract('Optimistic Roll In', (accounts) => {
       expect(user).to.equal(suspect);
     });
   });
+
+  describe('Deposits and Relayed Performs', async () => {
+    const fee = '10000000000000000';
+    const deposit = '100000000000000000';
+    const logicDeposit = '500000000000000000';
+
+    let requiredBond = null;
+    let optimismContractInstance = null;
+    let contracts = null;
+    let relayer = null;
+
+    let user = accounts[3].toLowerCase();
+    let userOptimist = null;
+
+    let otherUser = accounts[4].toLowerCase();
+    let otherUserOptimist = null;
+
+    let relayerAccount = accounts[5].toLowerCase();
+
+    const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+    const getNewState = (optimist, seed) =>
+      somePureTransition(optimist.user, optimist.queuedState, generateElements(1, { seed })[0]);
+
+    const relayTransition = (optimist, seed, relay = { fee }) =>
+      optimist.some_pure_transition.optimistic(getArgs(seed), getNewState(optimist, seed), { relay });
+
+    const relayQueue = (optimist, seeds) => {
+      seeds.forEach((seed) => optimist.some_pure_transition.queue(getArgs(seed), getNewState(optimist, seed)));
+
+      return optimist.sendQueue({ relay: { fee } });
+    };
+
+    // Sends a relay request from the relayer's account directly to the contract, without the relayer's checks
+    const sendRequest = ({ methodName, args }) =>
+      optimismContractInstance[methodName](...args, { from: relayerAccount, gas: 500000 });
+
+    before(async () => {
+      optimismContractInstance = await OptimisticRollInArtifact.deployed();
+      const logicContractInstance = await SomeLogicContractArtifact.deployed();
+
+      contracts = {
+        oriAddress: optimismContractInstance.address,
+        oriABI: optimismContractInstance.abi,
+        logicAddress: logicContractInstance.address,
+        logicABI: logicContractInstance.abi,
+      };
+
+      const network = await web3.eth.net.getId();
+      requiredBond = network === 5777 ? '1000000000000000000' : '10000000000000';
+      const lockTime = network === 5777 ? '600' : '60';
+      const oriOptions = { web3, requiredBond, lockTime };
+
+      userOptimist = new OptimisticRollIn(user, contracts, oriOptions);
+      otherUserOptimist = new OptimisticRollIn(otherUser, contracts, oriOptions);
+      relayer = new Relayer(contracts, { web3, from: relayerAccount });
+    });
+
+    it('[ 1] allows a bonded user to deposit beyond the bond, which remains bonded.', async () => {
+      await expectRevert(optimismContractInstance.deposit(user, { from: user, value: deposit }), 'INSUFFICIENT_BOND');
+
+      await userOptimist.initialize({ deposit: logicDeposit });
+      await userOptimist.deposit(deposit);
+
+      const balance = BigInt(requiredBond) + BigInt(deposit);
+
+      expect((await userOptimist.getBalance()).toString()).to.equal(balance.toString());
+      expect(await userOptimist.isBonded()).to.be.true;
+
+      // Bonding again requires nothing, and cannot reset the balance to the bond
+      await optimismContractInstance.bond(user, { from: user, value: '0' });
+      await expectRevert(optimismContractInstance.bond(user, { from: user, value: requiredBond }), 'INVALID_BOND');
+
+      expect((await userOptimist.getBalance()).toString()).to.equal(balance.toString());
+
+      await otherUserOptimist.initialize({ deposit: logicDeposit });
+      await otherUserOptimist.deposit(deposit);
+    });
+
+    it('[ 2] allows a relayer to perform optimistically (and enter optimism) for a user, for a fee.', async () => {
+      const { request } = await relayTransition(userOptimist, '11');
+
+      expect(request.methodName).to.equal('perform_optimistically_and_enter_for');
+
+      const startingBalance = await userOptimist.getBalance();
+      const { receipt } = await relayer.relay(request);
+      await userOptimist.confirm(receipt);
+
+      expect(userOptimist.isInOptimisticState).to.be.true;
+      expect((await userOptimist.getAccountState()).equals(userOptimist.accountState)).to.be.true;
+      expect((startingBalance - (await userOptimist.getBalance())).toString()).to.equal(fee);
+      expect((await userOptimist.getBalance(relayerAccount)).toString()).to.equal(fee);
+    });
+
+    it('[ 3] allows a relayer to perform optimistically for a user, for a fee.', async () => {
+      const { request } = await relayTransition(userOptimist, '22');
+
+      expect(request.methodName).to.equal('perform_optimistically_for');
+
+      const { receipt } = await relayer.relay(request);
+      await userOptimist.confirm(receipt);
+
+      expect(userOptimist.transitionCount).to.equal(2);
+      expect((await userOptimist.getAccountState()).equals(userOptimist.accountState)).to.be.true;
+    });
+
+    it('[ 4] allows a relayer to perform many optimistically for a user, for a fee.', async () => {
+      const { request } = await relayQueue(userOptimist, ['33', '44']);
+
+      expect(request.methodName).to.equal('perform_many_optimistically_for');
+
+      const { receipt } = await relayer.relay(request);
+      await userOptimist.confirm(receipt);
+
+      expect(userOptimist.transitionCount).to.equal(4);
+      expect((await userOptimist.getAccountState()).equals(userOptimist.accountState)).to.be.true;
+    });
+
+    it('[ 5] allows a relayer to perform many optimistically (and enter optimism) for a user, for a fee.', async () => {
+      const { request } = await relayQueue(otherUserOptimist, ['55', '66']);
+
+      expect(request.methodName).to.equal('perform_many_optimistically_and_enter_for');
+
+      const { receipt } = await relayer.relay(request);
+      await otherUserOptimist.confirm(receipt);
+
+      expect(otherUserOptimist.transitionCount).to.equal(2);
+      expect((await otherUserOptimist.getAccountState()).equals(otherUserOptimist.accountState)).to.be.true;
+      expect((await userOptimist.getBalance(relayerAccount)).toString()).to.equal((BigInt(fee) * 4n).toString());
+    });
+
+    it('[ 6] rejects relayed performs whose authorization expired.', async () => {
+      const { timestamp } = await web3.eth.getBlock('latest');
+      const { request } = await relayTransition(userOptimist, '77', { fee, deadline: Number(timestamp) - 1 });
+
+      await expectRevert(sendRequest(request), 'AUTHORIZATION_EXPIRED');
+    });
+
+    it('[ 7] rejects relayed performs not signed by the user.', async () => {
+      const { request } = await relayTransition(userOptimist, '88');
+      const [requestUser, callData, newState] = request.args;
+      const authorization = request.args[request.args.length - 1];
+
+      // The same authorization, signed by another account
+      const domain = getDomain(await optimismContractInstance.chain_id(), contracts.oriAddress);
+      const message = Object.assign({}, authorization, {
+        user: requestUser,
+        accountState: userOptimist.accountState,
+        callData: [].concat(callData),
+        newState,
+      });
+
+      const typedData = getTypedData(domain, message);
+      const signature = await new Web3Adapter(web3, contracts).signTypedData(otherUser, typedData);
+      const args = request.args.slice(0, -1).concat([Object.assign({}, authorization, { signature })]);
+
+      await expectRevert(sendRequest(Object.assign({}, request, { args })), 'INVALID_SIGNATURE');
+
+      // The user's own signature is still valid (relayed by a new relayer, since requests were sent outside of it)
+      relayer = new Relayer(contracts, { web3, from: relayerAccount });
+      const { receipt } = await relayer.relay(request);
+      await userOptimist.confirm(receipt);
+
+      expect((await userOptimist.getAccountState()).equals(userOptimist.accountState)).to.be.true;
+    });
+  });
 });
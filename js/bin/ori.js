@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli');
+
+// Exits once output is flushed, since providers may keep connections open
+run(process.argv.slice(2)).then((exitCode) => process.stdout.write('', () => process.exit(exitCode)));
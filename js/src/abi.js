@@ -0,0 +1,303 @@
+const { leftPad, hash, toBigInt, removePrefix } = require('./utils');
+
+const WORD_SIZE = 32;
+
+// HELPER: Returns the base type and array dimension of a type (i.e. 'bytes32[]' -> { base: 'bytes32', length: -1 })
+const parseArrayType = (type) => {
+  const match = type.match(/^(.*)\[(\d*)\]$/);
+
+  if (!match) return null;
+
+  return { base: match[1], length: match[2] === '' ? -1 : Number(match[2]) };
+};
+
+// HELPER: Returns the canonical type string of an ABI param (expanding tuples)
+const getCanonicalType = ({ type, components }) => {
+  if (!type.startsWith('tuple')) return type;
+
+  return `(${components.map(getCanonicalType).join(',')})${type.slice(5)}`;
+};
+
+// HELPER: Returns the param for the elements of an array param
+const getArrayElementParam = (param) => Object.assign({}, param, { type: parseArrayType(param.type).base });
+
+// HELPER: Returns true if the encoding of an ABI param is dynamically sized
+const isDynamic = (param) => {
+  const { type, components } = param;
+
+  if (type === 'bytes' || type === 'string') return true;
+
+  const arrayType = parseArrayType(type);
+
+  if (arrayType) return arrayType.length === -1 || isDynamic(getArrayElementParam(param));
+
+  if (type === 'tuple') return components.some(isDynamic);
+
+  return false;
+};
+
+// HELPER: Returns the value as a Buffer, right-padded to a multiple of 32 bytes
+const padRight = (buffer) => {
+  const remainder = buffer.length % WORD_SIZE;
+
+  return remainder ? Buffer.concat([buffer, Buffer.alloc(WORD_SIZE - remainder)]) : buffer;
+};
+
+// HELPER: Returns a value (hex string or Buffer) as a Buffer
+const toBytes = (value) => (Buffer.isBuffer(value) ? value : Buffer.from(removePrefix(value), 'hex'));
+
+// HELPER: Returns a number-like value (number, BigInt, decimal/hex string, Buffer, or BN-like) as a BigInt
+const toInteger = (value) => {
+  if (typeof value === 'bigint') return value;
+
+  if (typeof value === 'number') return BigInt(value);
+
+  if (Buffer.isBuffer(value)) return toBigInt(value);
+
+  return BigInt(value.toString());
+};
+
+// HELPER: Returns the 32-byte two's complement encoding of an integer
+const encodeInteger = (value) => {
+  const integer = toInteger(value);
+  const unsigned = integer < 0n ? (1n << 256n) + integer : integer;
+
+  return Buffer.from(leftPad(unsigned.toString(16), 64), 'hex');
+};
+
+// HELPER: Returns the encoding of a single param (head and tail combined, for use as a tail)
+const encodeParam = (param, value) => {
+  const { type } = param;
+  const arrayType = parseArrayType(type);
+
+  if (arrayType) {
+    const elementParams = value.map(() => getArrayElementParam(param));
+    const elements = encodeSequence(elementParams, value);
+
+    return arrayType.length === -1 ? Buffer.concat([encodeInteger(value.length), elements]) : elements;
+  }
+
+  if (type === 'tuple') {
+    const values = Array.isArray(value) ? value : param.components.map(({ name }) => value[name]);
+
+    return encodeSequence(param.components, values);
+  }
+
+  if (type === 'bytes') {
+    const bytes = toBytes(value);
+
+    return Buffer.concat([encodeInteger(bytes.length), padRight(bytes)]);
+  }
+
+  if (type === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+
+    return Buffer.concat([encodeInteger(bytes.length), padRight(bytes)]);
+  }
+
+  if (type === 'address') return Buffer.from(leftPad(removePrefix(value).toLowerCase(), 64), 'hex');
+
+  if (type === 'bool') return encodeInteger(value ? 1 : 0);
+
+  if (type.startsWith('bytes')) return padRight(toBytes(value));
+
+  if (type.startsWith('uint') || type.startsWith('int')) return encodeInteger(value);
+
+  throw Error(`Unsupported type ${type}.`);
+};
+
+// HELPER: Returns the head/tail encoding of a sequence of params (i.e. function args, tuples, or array elements)
+const encodeSequence = (params, values) => {
+  const heads = [];
+  const tails = [];
+
+  params.forEach((param, i) => {
+    const encoded = encodeParam(param, values[i]);
+
+    if (!isDynamic(param)) {
+      heads.push(encoded);
+      return;
+    }
+
+    heads.push(null);
+    tails.push(encoded);
+  });
+
+  const headSize = params.reduce((size, param, i) => size + (heads[i] ? heads[i].length : WORD_SIZE), 0);
+
+  let offset = headSize;
+  let tailIndex = 0;
+
+  const encodedHeads = heads.map((head) => {
+    if (head) return head;
+
+    const pointer = encodeInteger(offset);
+    offset += tails[tailIndex++].length;
+
+    return pointer;
+  });
+
+  return Buffer.concat(encodedHeads.concat(tails));
+};
+
+// HELPER: Returns the size of the head of a param in an encoded sequence (a pointer, if dynamic)
+const getHeadSize = (param) => {
+  if (isDynamic(param)) return WORD_SIZE;
+
+  const arrayType = parseArrayType(param.type);
+
+  if (arrayType) return arrayType.length * getHeadSize(getArrayElementParam(param));
+
+  if (param.type === 'tuple') return param.components.reduce((size, component) => size + getHeadSize(component), 0);
+
+  return WORD_SIZE;
+};
+
+// HELPER: Returns a 32-byte word of encoded data, as a BigInt
+const readWord = (data, offset) => {
+  if (offset < 0 || offset + WORD_SIZE > data.length) throw Error('Invalid ABI data.');
+
+  return toBigInt(data.slice(offset, offset + WORD_SIZE));
+};
+
+// HELPER: Returns a 32-byte word of encoded data that is a pointer or length, as a Number
+const readSize = (data, offset) => {
+  const size = readWord(data, offset);
+
+  if (size > BigInt(data.length)) throw Error('Invalid ABI data.');
+
+  return Number(size);
+};
+
+// HELPER: Returns a slice of encoded data, checking it is not out of bounds
+const readBytes = (data, offset, length) => {
+  if (offset + length > data.length) throw Error('Invalid ABI data.');
+
+  return data.slice(offset, offset + length);
+};
+
+// HELPER: Returns the value of a param encoded at an offset of the data of its enclosing sequence
+const decodeParam = (param, data, offset) => {
+  const { type } = param;
+  const arrayType = parseArrayType(type);
+
+  if (arrayType) {
+    const length = arrayType.length === -1 ? readSize(data, offset) : arrayType.length;
+    const start = arrayType.length === -1 ? offset + WORD_SIZE : offset;
+    const elementParams = Array.from({ length }, () => getArrayElementParam(param));
+
+    return decodeSequence(elementParams, data.slice(start));
+  }
+
+  if (type === 'tuple') return decodeSequence(param.components, data.slice(offset));
+
+  if (type === 'bytes') return '0x' + readBytes(data, offset + WORD_SIZE, readSize(data, offset)).toString('hex');
+
+  if (type === 'string') return readBytes(data, offset + WORD_SIZE, readSize(data, offset)).toString('utf8');
+
+  if (type === 'address') return '0x' + readBytes(data, offset + 12, 20).toString('hex');
+
+  if (type === 'bool') return readWord(data, offset) !== 0n;
+
+  if (type.startsWith('bytes')) return '0x' + readBytes(data, offset, Number(type.slice(5))).toString('hex');
+
+  if (type.startsWith('uint')) return readWord(data, offset);
+
+  if (type.startsWith('int')) {
+    const value = readWord(data, offset);
+
+    return value >= 1n << 255n ? value - (1n << 256n) : value;
+  }
+
+  throw Error(`Unsupported type ${type}.`);
+};
+
+// HELPER: Returns the values of a head/tail encoded sequence of params, positionally and keyed by param name
+const decodeSequence = (params, data) => {
+  const values = [];
+  let offset = 0;
+
+  params.forEach((param) => {
+    values.push(decodeParam(param, data, isDynamic(param) ? readSize(data, offset) : offset));
+    offset += getHeadSize(param);
+  });
+
+  params.forEach(({ name }, i) => {
+    if (name && !(name in values)) values[name] = values[i];
+  });
+
+  return values;
+};
+
+// Returns the signature of a function or event ABI fragment (i.e. 'bond(address)')
+const getSignature = ({ name, inputs = [] }) => `${name}(${inputs.map(getCanonicalType).join(',')})`;
+
+// Returns the topic (hash of signature) of an event ABI fragment, as a 0x-prefixed hex string
+const getTopic = (fragment) => '0x' + hash(Buffer.from(getSignature(fragment))).toString('hex');
+
+// Returns the 4-byte selector (sighash) of a function ABI fragment, as a 0x-prefixed hex string
+const getSelector = (fragment) => getTopic(fragment).slice(0, 10);
+
+// Returns the encoding of values for a list of ABI params, as a Buffer
+const encodeParameters = (params, values) => encodeSequence(params, values);
+
+// Returns the call data of a function ABI fragment and its args, as a 0x-prefixed hex string
+const encodeFunctionCall = (fragment, args = []) =>
+  getSelector(fragment) + encodeParameters(fragment.inputs, args).toString('hex');
+
+// Returns the values encoded for a list of ABI params (Buffer or hex string), positionally and keyed by param name
+const decodeParameters = (params, data) => decodeSequence(params, toBytes(data));
+
+// Encodes and decodes the call data of the functions of an ABI (i.e. of the ORI or a logic contract). Decoded values are
+// the same whichever provider is used: (u)ints as BigInts, addresses and bytes as lowercase hex strings, and tuples and
+// arrays as arrays, with args and tuple members also keyed by name.
+class FunctionCodec {
+  constructor(abi) {
+    this._fragmentsByName = {};
+    this._fragmentsBySelector = {};
+
+    abi
+      .filter(({ type }) => type === 'function')
+      .forEach((fragment) => {
+        this._fragmentsByName[fragment.name] = fragment;
+        this._fragmentsBySelector[getSelector(fragment)] = fragment;
+      });
+  }
+
+  // PUBLIC: Returns the ABI fragment of a function, by name or selector
+  getFragment(nameOrSelector) {
+    return this._fragmentsByName[nameOrSelector] ?? this._fragmentsBySelector[nameOrSelector] ?? null;
+  }
+
+  // PUBLIC: Returns the call data of a function call, as a 0x-prefixed hex string
+  encode(functionName, args = []) {
+    const fragment = this._fragmentsByName[functionName];
+
+    if (!fragment) throw Error(`No function ${functionName}.`);
+
+    return encodeFunctionCall(fragment, args);
+  }
+
+  // PUBLIC: Returns the function name, selector (sighash), signature, and args of call data (Buffer or hex string)
+  decode(data) {
+    const buffer = toBytes(data);
+    const sighash = '0x' + buffer.slice(0, 4).toString('hex');
+    const fragment = this._fragmentsBySelector[sighash];
+
+    if (!fragment) throw Error(`No function with selector ${sighash}.`);
+
+    const args = decodeSequence(fragment.inputs, buffer.slice(4));
+
+    return { name: fragment.name, sighash, signature: getSignature(fragment), args };
+  }
+}
+
+module.exports = {
+  getSignature,
+  getSelector,
+  getTopic,
+  encodeParameters,
+  encodeFunctionCall,
+  decodeParameters,
+  FunctionCodec,
+};
@@ -0,0 +1,192 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+
+const { createAdapter, BlockCacheAdapter, EthersAdapter } = require('./adapters');
+const { FunctionCodec } = require('./abi');
+const GasModel = require('./gas-model');
+const LogicRouter = require('./logic-router');
+
+// Events of the event loop forwarded by the account manager ('error' events are only forwarded while listened for)
+const FORWARDED_EVENTS = ['verified', 'fraud', 'update', 'synced', 'proven', 'unlocked', 'processed'];
+
+// Manages the ORI accounts of many users from one process (i.e. a server custodying player accounts), whose ORI
+// instances share one adapter (and so its contracts, and a cache of the latest block), the ORI and logic decoders, the
+// gas model, and the client options (i.e. requiredBond, lockTime, storage, transitions, pureVerifiers, stateCodec).
+// The shared adapter must send from each account (i.e. a web3 or simulator adapter), so an ethers adapter, which only
+// sends from its one signer, is rejected.
+// Once started, one event loop (autoVerify of the verifier account, by default the first added) routes ORI events to
+// the right account: syncing local accounts with their own transactions (i.e. if sent by another process) and unlocks,
+// updating tracked fraudsters, and verifying the transactions of other users. Its events are forwarded.
+class AccountManager extends EventEmitter {
+  constructor(contracts = {}, options = {}) {
+    super();
+
+    const { adapter, blockCacheTime = 1000, verifier, oriCodec, logicRouter, gasModel } = options;
+
+    const sharedAdapter = adapter ?? createAdapter(contracts, options);
+
+    assert(
+      !(sharedAdapter instanceof EthersAdapter),
+      'An ethers adapter only sends from its signer, so cannot be shared by the accounts of many users.'
+    );
+
+    this._adapter = new BlockCacheAdapter(sharedAdapter, { maxAge: blockCacheTime });
+    this._lockTime = Number(options.lockTime);
+    this._verifierUser = verifier?.toLowerCase() ?? null;
+
+    // Client options of every account, sharing the adapter, decoders and gas model
+    this._accountOptions = Object.assign({}, options, {
+      adapter: this._adapter,
+      oriCodec: oriCodec ?? new FunctionCodec(this._adapter.oriABI),
+      logicRouter: logicRouter ?? new LogicRouter([{ abi: this._adapter.logicABI }]),
+      gasModel: gasModel ?? new GasModel(this._adapter.oriABI),
+    });
+
+    delete this._accountOptions.blockCacheTime;
+    delete this._accountOptions.verifier;
+
+    // ORI instances of the managed accounts, by user
+    this._accounts = {};
+
+    this._verifyEmitter = null;
+  }
+
+  // GETTER: Returns the users of the managed accounts
+  get users() {
+    return Object.keys(this._accounts);
+  }
+
+  // GETTER: Returns the adapter shared by the managed accounts
+  get adapter() {
+    return this._adapter;
+  }
+
+  // GETTER: Returns the account whose event loop routes ORI events, and which tracks the fraudsters found
+  get verifier() {
+    return (this._verifierUser ? this._accounts[this._verifierUser] : Object.values(this._accounts)[0]) ?? null;
+  }
+
+  // GETTER: Returns true if routing ORI events to the managed accounts
+  get isStarted() {
+    return !!this._verifyEmitter;
+  }
+
+  // PRIVATE: Runs an operation for each of some accounts, and returns the results, or errors, with their users
+  async _forEachAccount(accounts, operation) {
+    return Promise.all(
+      accounts.map(async (account) => {
+        try {
+          return Object.assign({ user: account.user }, await operation(account));
+        } catch (error) {
+          return { user: account.user, error };
+        }
+      })
+    );
+  }
+
+  // PUBLIC: Adds the account of a user, whose ORI instance shares the manager's options (unless overridden)
+  addAccount(user, options = {}) {
+    const key = user.toLowerCase();
+
+    assert(!this._accounts[key], `Account ${user} already managed.`);
+
+    // Required here, rather than at the top, since the OptimisticRollIn module exports the account manager
+    const OptimisticRollIn = require('.');
+
+    this._accounts[key] = new OptimisticRollIn(user, {}, Object.assign({}, this._accountOptions, options));
+
+    return this._accounts[key];
+  }
+
+  // PUBLIC: Returns the ORI instance of a managed user's account, if any
+  getAccount(user) {
+    return this._accounts[user.toLowerCase()];
+  }
+
+  // PUBLIC: Stops managing the account of a user (which cannot be the verifier while started)
+  removeAccount(user) {
+    const account = this.getAccount(user);
+
+    assert(account, `Account ${user} not managed.`);
+    assert(!this.isStarted || account !== this.verifier, 'Cannot remove the verifier account while started.');
+
+    delete this._accounts[account.user];
+
+    return account;
+  }
+
+  // PUBLIC: Returns the ORI instance tracking a user's fraud, if found by the verifier account
+  getFraudster(user) {
+    return this.verifier?.getFraudster(user);
+  }
+
+  // PUBLIC: Clears the cached latest block, so that the next request for it is sent
+  clearBlockCache() {
+    this._adapter.clearBlockCache();
+  }
+
+  // PUBLIC: Starts routing ORI events to the managed accounts (with autoVerify options), and returns the manager
+  start(options = {}) {
+    if (this._verifyEmitter) return this;
+
+    const { verifier } = this;
+
+    assert(verifier, 'An account is required to verify transactions.');
+
+    this._verifyEmitter = verifier.autoVerify(
+      Object.assign({}, options, { getAccount: (user) => this.getAccount(user) })
+    );
+
+    FORWARDED_EVENTS.forEach((eventName) => {
+      this._verifyEmitter.on(eventName, (data) => this.emit(eventName, data));
+    });
+
+    this._verifyEmitter.on('error', (error) => {
+      if (this.listenerCount('error')) this.emit('error', error);
+    });
+
+    this._verifyEmitter.once('stopped', () => {
+      this._verifyEmitter = null;
+      this.emit('stopped');
+    });
+
+    return this;
+  }
+
+  // PUBLIC: Stops routing ORI events
+  stop() {
+    this._verifyEmitter?.stop();
+  }
+
+  // PUBLIC: Sends the queues of all accounts with queued transitions, and returns their receipts (or errors), with their
+  // users
+  async flushQueues(options = {}) {
+    const accounts = Object.values(this._accounts).filter(({ transitionsQueued }) => transitionsQueued > 0);
+
+    this.clearBlockCache();
+
+    return this._forEachAccount(accounts, (account) => account.flushQueue(options));
+  }
+
+  // PUBLIC: Exits optimism for all accounts whose lock time elapsed (since their last optimistic transaction), by
+  // performing a logic function normally, with args (or a function returning them for an account), and returns the
+  // results (or errors), with their users
+  async exitAll(functionName, args = [], options = {}) {
+    this.clearBlockCache();
+
+    const { timestamp } = await this._adapter.getBlock();
+
+    const accounts = Object.values(this._accounts).filter(
+      ({ currentState, isInOptimisticState, lastTime }) =>
+        currentState && isInOptimisticState && timestamp > lastTime + this._lockTime
+    );
+
+    accounts.forEach((account) => assert(account[functionName]?.normal, `No logic function ${functionName}.`));
+
+    return this._forEachAccount(accounts, (account) =>
+      account[functionName].normal(typeof args === 'function' ? args(account) : args, options)
+    );
+  }
+}
+
+module.exports = AccountManager;
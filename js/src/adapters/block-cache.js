@@ -0,0 +1,119 @@
+// Adapter that shares another adapter's chain interactions, but caches the latest block for some time (in ms), so that
+// many clients sharing it (i.e. of an account manager) do not each request the latest block (i.e. for its timestamp)
+class BlockCacheAdapter {
+  constructor(adapter, options = {}) {
+    const { maxAge = 1000 } = options;
+
+    this._adapter = adapter;
+    this._maxAge = maxAge;
+
+    // Promise of the latest block, with the time it was requested at
+    this._latestBlock = null;
+  }
+
+  // GETTER: Returns the JSON ABI of the ORI contract
+  get oriABI() {
+    return this._adapter.oriABI;
+  }
+
+  // GETTER: Returns the address of the ORI contract
+  get oriAddress() {
+    return this._adapter.oriAddress;
+  }
+
+  // GETTER: Returns the JSON ABI of the logic contract
+  get logicABI() {
+    return this._adapter.logicABI;
+  }
+
+  // GETTER: Returns the address of the logic contract
+  get logicAddress() {
+    return this._adapter.logicAddress;
+  }
+
+  // GETTER: Returns true if the wrapped adapter's subscriptions work with its provider
+  get supportsSubscriptions() {
+    return this._adapter.supportsSubscriptions;
+  }
+
+  // PUBLIC: Clears the cached latest block, so that the next request for it is sent
+  clearBlockCache() {
+    this._latestBlock = null;
+  }
+
+  // PUBLIC: Returns a block (latest by default, from the cache unless older than the max age)
+  getBlock(blockTag = 'latest') {
+    if (blockTag !== 'latest') return this._adapter.getBlock(blockTag);
+
+    const now = Date.now();
+
+    if (this._latestBlock && now - this._latestBlock.requestedAt < this._maxAge) return this._latestBlock.block;
+
+    const latestBlock = { requestedAt: now, block: this._adapter.getBlock('latest') };
+    this._latestBlock = latestBlock;
+
+    // A failed request is not cached
+    latestBlock.block.catch(() => {
+      if (this._latestBlock === latestBlock) this._latestBlock = null;
+    });
+
+    return latestBlock.block;
+  }
+
+  // PUBLIC: Returns the result of an eth_call
+  call(callObject) {
+    return this._adapter.call(callObject);
+  }
+
+  // PUBLIC: Returns the result of a read-only ORI contract method
+  readORI(methodName, args) {
+    return this._adapter.readORI(methodName, args);
+  }
+
+  // PUBLIC: Estimates the gas of an ORI contract method
+  estimateORIGas(methodName, args, callOptions) {
+    return this._adapter.estimateORIGas(methodName, args, callOptions);
+  }
+
+  // PUBLIC: Sends an ORI contract method transaction, and returns its receipt and events
+  sendORI(methodName, args, callOptions) {
+    return this._adapter.sendORI(methodName, args, callOptions);
+  }
+
+  // PUBLIC: Returns a transaction
+  getTransaction(txId) {
+    return this._adapter.getTransaction(txId);
+  }
+
+  // PUBLIC: Returns a transaction's receipt
+  getTransactionReceipt(txId) {
+    return this._adapter.getTransactionReceipt(txId);
+  }
+
+  // PUBLIC: Returns the current gas price, as a BigInt
+  getGasPrice() {
+    return this._adapter.getGasPrice();
+  }
+
+  // PUBLIC: Returns the number of transactions sent from an address (i.e. its next nonce)
+  getTransactionCount(address) {
+    return this._adapter.getTransactionCount(address);
+  }
+
+  // PUBLIC: Signs EIP-712 typed data as an address
+  signTypedData(address, typedData) {
+    return this._adapter.signTypedData(address, typedData);
+  }
+
+  // PUBLIC: Returns past ORI contract events
+  getPastEvents(eventName, options) {
+    return this._adapter.getPastEvents(eventName, options);
+  }
+
+  // PUBLIC: Subscribes to an ORI contract event, and returns a function to unsubscribe
+  subscribe(eventName, options, handler) {
+    return this._adapter.subscribe(eventName, options, handler);
+  }
+}
+
+module.exports = BlockCacheAdapter;
@@ -0,0 +1,220 @@
+const { fromRevert } = require('../errors');
+
+// Adapter that performs all chain interactions through ethers (v5) and an ethers Signer
+class EthersAdapter {
+  constructor(ethers, signer, contracts = {}) {
+    const { oriContract, oriAddress, oriABI, logicContract, logicAddress, logicABI } = contracts;
+
+    this._ethers = ethers;
+    this._signer = signer;
+    this._oriContract = oriContract ?? new ethers.Contract(oriAddress, oriABI, signer);
+    this._logicContract = logicContract ?? new ethers.Contract(logicAddress, logicABI, signer);
+  }
+
+  // GETTER: Returns the JSON ABI of the ORI contract
+  get oriABI() {
+    return JSON.parse(this._oriContract.interface.format(this._ethers.utils.FormatTypes.json));
+  }
+
+  // GETTER: Returns the address of the ORI contract
+  get oriAddress() {
+    return this._oriContract.address;
+  }
+
+  // GETTER: Returns the JSON ABI of the logic contract
+  get logicABI() {
+    return JSON.parse(this._logicContract.interface.format(this._ethers.utils.FormatTypes.json));
+  }
+
+  // GETTER: Returns the address of the logic contract
+  get logicAddress() {
+    return this._logicContract.address;
+  }
+
+  // GETTER: Returns true, since ethers providers without subscriptions poll for contract events themselves
+  get supportsSubscriptions() {
+    return true;
+  }
+
+  // PRIVATE: Returns web3-like call options as ethers overrides (ethers sends from the signer)
+  _formatCallOptions(callOptions = {}) {
+    const { gas, value, gasPrice, nonce } = callOptions;
+    const overrides = {};
+
+    if (gas !== undefined) overrides.gasLimit = gas;
+
+    if (value !== undefined) overrides.value = value;
+
+    if (gasPrice !== undefined) overrides.gasPrice = gasPrice;
+
+    if (nonce !== undefined) overrides.nonce = nonce;
+
+    return overrides;
+  }
+
+  // PRIVATE: Returns an ORI event's named args, with BigNumbers converted to decimal strings (like web3)
+  _formatEventArgs(eventName, args) {
+    return this._oriContract.interface.getEvent(eventName).inputs.reduce((values, { name }) => {
+      const value = args[name];
+      values[name] = this._ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+
+      return values;
+    }, {});
+  }
+
+  // PUBLIC: Returns the result of an eth_call
+  call(callObject) {
+    return this._signer.call(callObject).catch((error) => Promise.reject(fromRevert(error)));
+  }
+
+  // PUBLIC: Estimates the gas of an ORI contract method
+  async estimateORIGas(methodName, args = [], callOptions = {}) {
+    const gas = await this._oriContract.estimateGas[methodName](
+      ...args,
+      this._formatCallOptions(callOptions)
+    ).catch((error) => Promise.reject(fromRevert(error)));
+
+    return Number(gas.toString());
+  }
+
+  // PUBLIC: Returns a block (latest by default)
+  getBlock(blockTag = 'latest') {
+    return this._signer.provider.getBlock(blockTag);
+  }
+
+  // PUBLIC: Returns the current gas price, as a BigInt
+  async getGasPrice() {
+    return BigInt((await this._signer.provider.getGasPrice()).toString());
+  }
+
+  // PUBLIC: Returns the number of transactions sent from an address, including pending ones (i.e. its next nonce)
+  getTransactionCount(address) {
+    return this._signer.provider.getTransactionCount(address, 'pending');
+  }
+
+  // PUBLIC: Returns a transaction, with its input as data
+  async getTransaction(txId) {
+    const { hash, from, to, data, blockNumber } = await this._signer.provider.getTransaction(txId);
+
+    return { hash, from, to, data, blockNumber };
+  }
+
+  // PUBLIC: Returns past ORI contract events, optionally filtered by indexed values
+  async getPastEvents(eventName, options = {}) {
+    const { filter = {}, fromBlock = 0, toBlock = 'latest' } = options;
+    const topicValues = this._oriContract.interface
+      .getEvent(eventName)
+      .inputs.filter(({ indexed }) => indexed)
+      .map(({ name }) => filter[name] ?? null);
+
+    const events = await this._oriContract.queryFilter(
+      this._oriContract.filters[eventName](...topicValues),
+      fromBlock,
+      toBlock
+    );
+
+    return events.map(({ transactionHash, blockNumber, logIndex, args }) => ({
+      transactionHash,
+      blockNumber,
+      logIndex,
+      returnValues: this._formatEventArgs(eventName, args),
+    }));
+  }
+
+  // PUBLIC: Returns a transaction receipt
+  getTransactionReceipt(txId) {
+    return this._signer.provider.getTransactionReceipt(txId);
+  }
+
+  // PUBLIC: Calls a view function (i.e. a public mapping) of the ORI contract, and returns the value as a string
+  async readORI(methodName, args = []) {
+    const value = await this._oriContract[methodName](...args);
+
+    return value.toString();
+  }
+
+  // PUBLIC: Sends a transaction to an ORI contract method, and returns the receipt and emitted ORI event values
+  async sendORI(methodName, args = [], callOptions = {}) {
+    const receipt = await this._oriContract[methodName](...args, this._formatCallOptions(callOptions))
+      .then((tx) => tx.wait())
+      .catch((error) => Promise.reject(fromRevert(error)));
+
+    const events = receipt.events
+      .filter(({ event }) => event)
+      .reduce((events, { event, args }) => {
+        events[event] = this._formatEventArgs(event, args);
+
+        return events;
+      }, {});
+
+    return { receipt, events };
+  }
+
+  // PUBLIC: Signs EIP-712 typed data with the signer (which must be the address' signer)
+  signTypedData(address, typedData) {
+    const { domain, message } = typedData;
+    const types = Object.assign({}, typedData.types);
+    delete types.EIP712Domain;
+
+    return this._signer._signTypedData(domain, types, message);
+  }
+
+  // PUBLIC: Subscribes to an ORI contract event, and returns a function to unsubscribe
+  subscribe(eventName, options = {}, handler) {
+    const { fromBlock = 'latest', onError } = options;
+    const filter = this._oriContract.filters[eventName]();
+
+    const handleEvent = ({ transactionHash, blockNumber, logIndex, args }) => {
+      handler({ transactionHash, blockNumber, logIndex, returnValues: this._formatEventArgs(eventName, args) });
+    };
+
+    // ethers listeners only receive new events, so past events need to be queried explicitly, and events received live
+    // meanwhile are buffered, to be handled after the past events (unless also queried)
+    let buffered = fromBlock === 'latest' ? null : [];
+    let subscribed = true;
+
+    const listener = (...args) => {
+      const event = args[args.length - 1];
+
+      if (buffered) {
+        buffered.push(event);
+      } else {
+        handleEvent(event);
+      }
+    };
+
+    this._oriContract.on(filter, listener);
+
+    if (buffered) {
+      this._oriContract
+        .queryFilter(filter, fromBlock)
+        .then((events) => {
+          if (!subscribed) return;
+
+          const isQueried = (event) =>
+            events.some(
+              ({ blockNumber, logIndex }) => blockNumber === event.blockNumber && logIndex === event.logIndex
+            );
+
+          events.forEach(handleEvent);
+          buffered.filter((event) => !isQueried(event)).forEach(handleEvent);
+        })
+        .catch((error) => {
+          if (!subscribed) return;
+
+          onError?.(error);
+          buffered.forEach(handleEvent);
+        })
+        .finally(() => {
+          buffered = null;
+        });
+    }
+
+    return () => {
+      subscribed = false;
+      this._oriContract.off(filter, listener);
+    };
+  }
+}
+
+module.exports = EthersAdapter;
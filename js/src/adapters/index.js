@@ -0,0 +1,34 @@
+// An adapter is any object implementing the chain interactions the client needs:
+//   oriABI, oriAddress, logicABI, logicAddress
+//   call(callObject), readORI(methodName, args), estimateORIGas(methodName, args, callOptions)
+//   sendORI(methodName, args, callOptions) -> { receipt, events }
+//   getBlock(blockTag), getTransaction(txId), getTransactionReceipt(txId), getGasPrice() -> BigInt
+//   getTransactionCount(address) -> Number (including pending), signTypedData(address, typedData) -> signature hex
+//   getPastEvents(eventName, { filter, fromBlock, toBlock }) -> [{ transactionHash, blockNumber, logIndex, returnValues }]
+//   subscribe(eventName, { fromBlock, onError }, handler) -> unsubscribe
+//   supportsSubscriptions (true if subscribe works with the provider, otherwise events need to be polled)
+// Call options are web3-like ({ from, value, gas, gasPrice, nonce })
+// Reverts of call, estimateORIGas and sendORI are thrown as the errors of their revert reasons (see errors.js)
+
+const Web3Adapter = require('./web3');
+const EthersAdapter = require('./ethers');
+const SimulatorAdapter = require('./simulator');
+const BlockCacheAdapter = require('./block-cache');
+
+// Returns an adapter for whichever provider library (or simulator) was given
+const createAdapter = (contracts = {}, options = {}) => {
+  const { oriContract, logicContract, simulator, web3, ethers, ethersSigner } = options;
+  const adapterContracts = Object.assign({ oriContract, logicContract }, contracts);
+
+  if (simulator) return new SimulatorAdapter(simulator);
+
+  return web3 ? new Web3Adapter(web3, adapterContracts) : new EthersAdapter(ethers, ethersSigner, adapterContracts);
+};
+
+module.exports = {
+  Web3Adapter,
+  EthersAdapter,
+  SimulatorAdapter,
+  BlockCacheAdapter,
+  createAdapter,
+};
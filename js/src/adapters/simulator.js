@@ -0,0 +1,158 @@
+const { encodeFunctionCall } = require('../abi');
+const { compareHex } = require('../utils');
+const { fromRevert } = require('../errors');
+
+// Adapter that performs all chain interactions against an in-memory Simulator
+class SimulatorAdapter {
+  constructor(simulator) {
+    this._simulator = simulator;
+  }
+
+  // GETTER: Returns the JSON ABI of the ORI contract
+  get oriABI() {
+    return this._simulator.oriABI;
+  }
+
+  // GETTER: Returns the address of the ORI contract
+  get oriAddress() {
+    return this._simulator.oriAddress;
+  }
+
+  // GETTER: Returns the JSON ABI of the logic contract
+  get logicABI() {
+    return this._simulator.logicABI;
+  }
+
+  // GETTER: Returns the address of the logic contract
+  get logicAddress() {
+    return this._simulator.logicAddress;
+  }
+
+  // GETTER: Returns true, since the simulator calls listeners with new event logs
+  get supportsSubscriptions() {
+    return true;
+  }
+
+  // PRIVATE: Returns the call data of an ORI contract method call
+  _encodeORICall(methodName, args) {
+    const fragment = this.oriABI.find(({ type, name }) => type === 'function' && name === methodName);
+
+    return encodeFunctionCall(fragment, args);
+  }
+
+  // PRIVATE: Returns the transaction object of an ORI contract method call
+  _getORITransaction(methodName, args, callOptions = {}) {
+    const { from, value = 0, gas, nonce } = callOptions;
+
+    return { from, to: this.oriAddress, data: this._encodeORICall(methodName, args), value, gas, nonce };
+  }
+
+  // PUBLIC: Returns the result of an eth_call
+  async call(callObject) {
+    try {
+      return this._simulator.call(callObject);
+    } catch (error) {
+      throw fromRevert(error);
+    }
+  }
+
+  // PUBLIC: Estimates the gas of an ORI contract method
+  async estimateORIGas(methodName, args = [], callOptions = {}) {
+    try {
+      return this._simulator.estimateGas(this._getORITransaction(methodName, args, callOptions));
+    } catch (error) {
+      throw fromRevert(error);
+    }
+  }
+
+  // PUBLIC: Returns a block (latest by default)
+  async getBlock(blockTag = 'latest') {
+    return this._simulator.getBlock(blockTag);
+  }
+
+  // PUBLIC: Returns the current gas price, as a BigInt
+  async getGasPrice() {
+    return this._simulator.getGasPrice();
+  }
+
+  // PUBLIC: Returns the number of transactions sent from an address (i.e. its next nonce)
+  async getTransactionCount(address) {
+    return this._simulator.getTransactionCount(address);
+  }
+
+  // PUBLIC: Returns a transaction, with its input as data
+  async getTransaction(txId) {
+    return this._simulator.getTransaction(txId);
+  }
+
+  // PUBLIC: Returns past ORI contract events, optionally filtered by indexed values
+  async getPastEvents(eventName, options = {}) {
+    const { filter = {}, fromBlock = 0, toBlock = 'latest' } = options;
+
+    return this._simulator
+      .getLogs({ eventName, fromBlock, toBlock })
+      .filter(({ returnValues }) =>
+        Object.entries(filter).every(([name, value]) => compareHex(returnValues[name], value))
+      )
+      .map(({ transactionHash, blockNumber, logIndex, returnValues }) => ({
+        transactionHash,
+        blockNumber,
+        logIndex,
+        returnValues,
+      }));
+  }
+
+  // PUBLIC: Returns a transaction receipt
+  async getTransactionReceipt(txId) {
+    return this._simulator.getTransactionReceipt(txId);
+  }
+
+  // PUBLIC: Calls a view function (i.e. a public mapping) of the ORI contract, and returns the value as a string
+  async readORI(methodName, args = []) {
+    return this._simulator.read(methodName, args).toString();
+  }
+
+  // PUBLIC: Sends a transaction to an ORI contract method, and returns the receipt and emitted ORI event values
+  async sendORI(methodName, args = [], callOptions = {}) {
+    let receipt = null;
+
+    try {
+      receipt = this._simulator.sendTransaction(this._getORITransaction(methodName, args, callOptions));
+    } catch (error) {
+      throw fromRevert(error);
+    }
+
+    const events = receipt.logs.reduce((events, { event, returnValues }) => {
+      events[event] = returnValues;
+
+      return events;
+    }, {});
+
+    return { receipt, events };
+  }
+
+  // PUBLIC: Signs EIP-712 typed data for an account of the simulator
+  async signTypedData(address, typedData) {
+    return this._simulator.signTypedData(address, typedData);
+  }
+
+  // PUBLIC: Subscribes to an ORI contract event, and returns a function to unsubscribe
+  subscribe(eventName, options = {}, handler) {
+    const { fromBlock = 'latest' } = options;
+
+    const handleLog = ({ event, transactionHash, blockNumber, logIndex, returnValues }) => {
+      if (event !== eventName) return;
+
+      handler({ transactionHash, blockNumber, logIndex, returnValues });
+    };
+
+    if (fromBlock !== 'latest') {
+      const pastLogs = this._simulator.getLogs({ eventName, fromBlock });
+      setImmediate(() => pastLogs.forEach(handleLog));
+    }
+
+    return this._simulator.onLog(handleLog);
+  }
+}
+
+module.exports = SimulatorAdapter;
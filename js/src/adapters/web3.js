@@ -0,0 +1,152 @@
+const { fromRevert } = require('../errors');
+
+// Adapter that performs all chain interactions through a web3 (1.x) instance
+class Web3Adapter {
+  constructor(web3, contracts = {}) {
+    const { oriContract, oriAddress, oriABI, logicContract, logicAddress, logicABI } = contracts;
+
+    this._web3 = web3;
+    this._oriContract = oriContract ?? new web3.eth.Contract(oriABI, oriAddress);
+    this._logicContract = logicContract ?? new web3.eth.Contract(logicABI, logicAddress);
+  }
+
+  // GETTER: Returns the JSON ABI of the ORI contract
+  get oriABI() {
+    return this._oriContract.options.jsonInterface;
+  }
+
+  // GETTER: Returns the address of the ORI contract
+  get oriAddress() {
+    return this._oriContract.options.address;
+  }
+
+  // GETTER: Returns the JSON ABI of the logic contract
+  get logicABI() {
+    return this._logicContract.options.jsonInterface;
+  }
+
+  // GETTER: Returns the address of the logic contract
+  get logicAddress() {
+    return this._logicContract.options.address;
+  }
+
+  // GETTER: Returns true if the provider supports subscriptions (i.e. websockets, rather than HTTP)
+  get supportsSubscriptions() {
+    const provider = this._web3.currentProvider;
+
+    return provider.supportsSubscriptions ? provider.supportsSubscriptions() : typeof provider.on === 'function';
+  }
+
+  // PUBLIC: Returns the result of an eth_call
+  call(callObject) {
+    return this._web3.eth.call(callObject).catch((error) => Promise.reject(fromRevert(error)));
+  }
+
+  // PUBLIC: Estimates the gas of an ORI contract method
+  estimateORIGas(methodName, args = [], callOptions = {}) {
+    return this._oriContract.methods[methodName](...args)
+      .estimateGas(callOptions)
+      .catch((error) => Promise.reject(fromRevert(error)));
+  }
+
+  // PUBLIC: Returns a block (latest by default)
+  getBlock(blockTag = 'latest') {
+    return this._web3.eth.getBlock(blockTag);
+  }
+
+  // PUBLIC: Returns the current gas price, as a BigInt
+  async getGasPrice() {
+    return BigInt(await this._web3.eth.getGasPrice());
+  }
+
+  // PUBLIC: Returns the number of transactions sent from an address, including pending ones (i.e. its next nonce)
+  getTransactionCount(address) {
+    return this._web3.eth.getTransactionCount(address, 'pending');
+  }
+
+  // PUBLIC: Returns a transaction, with its input as data
+  async getTransaction(txId) {
+    const { hash, from, to, input, blockNumber } = await this._web3.eth.getTransaction(txId);
+
+    return { hash, from, to, data: input, blockNumber };
+  }
+
+  // PUBLIC: Returns past ORI contract events, optionally filtered by indexed values
+  async getPastEvents(eventName, options = {}) {
+    const { filter = {}, fromBlock = 0, toBlock = 'latest' } = options;
+    const events = await this._oriContract.getPastEvents(eventName, { filter, fromBlock, toBlock });
+
+    return events.map(({ transactionHash, blockNumber, logIndex, returnValues }) => ({
+      transactionHash,
+      blockNumber,
+      logIndex,
+      returnValues,
+    }));
+  }
+
+  // PUBLIC: Returns a transaction receipt
+  getTransactionReceipt(txId) {
+    return this._web3.eth.getTransactionReceipt(txId);
+  }
+
+  // PUBLIC: Calls a view function (i.e. a public mapping) of the ORI contract, and returns the value as a string
+  async readORI(methodName, args = []) {
+    const value = await this._oriContract.methods[methodName](...args).call();
+
+    return value.toString();
+  }
+
+  // PUBLIC: Sends a transaction to an ORI contract method, and returns the receipt and emitted ORI event values
+  async sendORI(methodName, args = [], callOptions = {}) {
+    const receipt = await this._oriContract.methods[methodName](...args)
+      .send(callOptions)
+      .catch((error) => Promise.reject(fromRevert(error)));
+
+    const events = Object.entries(receipt.events ?? {}).reduce((events, [eventName, { returnValues }]) => {
+      events[eventName] = returnValues;
+
+      return events;
+    }, {});
+
+    return { receipt, events };
+  }
+
+  // PRIVATE: Sends a JSON-RPC request through the provider, and returns its result
+  _sendRequest(method, params) {
+    const payload = { jsonrpc: '2.0', id: Date.now(), method, params };
+
+    return new Promise((resolve, reject) => {
+      this._web3.currentProvider.send(payload, (error, response) => {
+        if (error || response.error) return reject(error || new Error(response.error.message));
+
+        resolve(response.result);
+      });
+    });
+  }
+
+  // PUBLIC: Signs EIP-712 typed data with an account of the provider (eth_signTypedData_v4, or eth_signTypedData with
+  // the same semantics, as ganache-cli supports, if the provider does not support it)
+  signTypedData(address, typedData) {
+    return this._sendRequest('eth_signTypedData_v4', [address, JSON.stringify(typedData)]).catch((error) => {
+      if (!/not supported/i.test(error.message)) throw error;
+
+      return this._sendRequest('eth_signTypedData', [address, typedData]);
+    });
+  }
+
+  // PUBLIC: Subscribes to an ORI contract event, and returns a function to unsubscribe
+  subscribe(eventName, options = {}, handler) {
+    const { fromBlock = 'latest', onError } = options;
+
+    const subscription = this._oriContract.events[eventName]({ fromBlock }).on('data', (event) => {
+      const { transactionHash, blockNumber, logIndex, returnValues } = event;
+      handler({ transactionHash, blockNumber, logIndex, returnValues });
+    });
+
+    if (onError) subscription.on('error', onError);
+
+    return () => subscription.unsubscribe();
+  }
+}
+
+module.exports = Web3Adapter;
@@ -0,0 +1,87 @@
+const { hash, toHex, toBuffer } = require('./utils');
+const { encodeParameters } = require('./abi');
+
+const DOMAIN_NAME = 'Optimistic_Roll_In';
+const DOMAIN_VERSION = '1';
+const PRIMARY_TYPE = 'Optimistic_Perform';
+
+// EIP-712 types of a user's authorization of optimistic transitions, performed on their behalf by a relayer
+const TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+  ],
+  [PRIMARY_TYPE]: [
+    { name: 'user', type: 'address' },
+    { name: 'account_state', type: 'bytes32' },
+    { name: 'call_data', type: 'bytes[]' },
+    { name: 'new_state', type: 'bytes32' },
+    { name: 'fee', type: 'uint256' },
+    { name: 'relayer', type: 'address' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// HELPER: Returns the EIP-712 type string of a struct type (i.e. 'EIP712Domain(string name,...)')
+const encodeType = (typeName) => `${typeName}(${TYPES[typeName].map(({ name, type }) => `${type} ${name}`).join(',')})`;
+
+// HELPER: Returns the 32-byte EIP-712 encoding of a struct member
+const encodeValue = (type, value) => {
+  if (type === 'string') return hash(Buffer.from(value, 'utf8'));
+
+  if (type === 'bytes') return hash(toBuffer(value));
+
+  if (type.endsWith('[]')) return hash(Buffer.concat(value.map((v) => encodeValue(type.slice(0, -2), v))));
+
+  return encodeParameters([{ type }], [value]);
+};
+
+// HELPER: Returns the EIP-712 hash of a struct
+const hashStruct = (typeName, data) => {
+  const encodedType = hash(Buffer.from(encodeType(typeName)));
+  const encodedValues = TYPES[typeName].map(({ name, type }) => encodeValue(type, data[name]));
+
+  return hash(Buffer.concat([encodedType].concat(encodedValues)));
+};
+
+// Returns the EIP-712 domain of an ORI contract
+const getDomain = (chainId, verifyingContract) => ({
+  name: DOMAIN_NAME,
+  version: DOMAIN_VERSION,
+  chainId: Number(chainId),
+  verifyingContract,
+});
+
+// Returns the EIP-712 domain separator of a domain (the contract's domain_separator), as a Buffer
+const getDomainSeparator = (domain) => hashStruct('EIP712Domain', domain);
+
+// Returns the typed data (as for eth_signTypedData_v4) of an authorization, with JSON-serializable values
+const getTypedData = (domain, { user, accountState, callData, newState, fee, relayer, deadline }) => ({
+  types: TYPES,
+  domain,
+  primaryType: PRIMARY_TYPE,
+  message: {
+    user,
+    account_state: toHex(accountState),
+    call_data: callData.map(toHex),
+    new_state: toHex(newState),
+    fee: fee.toString(),
+    relayer,
+    deadline: Number(deadline),
+  },
+});
+
+// Returns the EIP-712 digest that is signed for an authorization's typed data, as a Buffer
+const hashTypedData = ({ domain, message }) =>
+  hash(Buffer.concat([Buffer.from('1901', 'hex'), getDomainSeparator(domain), hashStruct(PRIMARY_TYPE, message)]));
+
+module.exports = {
+  TYPES,
+  PRIMARY_TYPE,
+  getDomain,
+  getDomainSeparator,
+  getTypedData,
+  hashTypedData,
+};
@@ -0,0 +1,309 @@
+const EventEmitter = require('events');
+
+const { compareHex } = require('./utils');
+
+const EVENTS = {
+  ORI_Fraud_Proven: 'ORI_Fraud_Proven',
+  ORI_New_Optimistic_State: 'ORI_New_Optimistic_State',
+  ORI_New_Optimistic_States: 'ORI_New_Optimistic_States',
+  ORI_Unlocked: 'ORI_Unlocked',
+};
+
+// HELPER: Returns true if an event (by block number and log index) is at or before some event position
+const isAtOrBefore = ({ blockNumber, logIndex }, position) =>
+  blockNumber < position.blockNumber || (blockNumber === position.blockNumber && logIndex <= position.logIndex);
+
+// HELPER: Compares events by block number and then log index, for sorting
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// HELPER: Returns the user (i.e. suspect) an event is about
+const getEventUser = (eventName, { returnValues }) => (returnValues.suspect ?? returnValues.user).toLowerCase();
+
+// Verifies optimistic transactions as they are mined (via event subscriptions, or by polling for past events), for an
+// ORI instance, and emits 'verified', 'fraud', 'update', 'synced', 'proven', 'unlocked', 'processed', 'error' and
+// 'stopped' events.
+// A getAccount option can return the local account (ORI instance) of a user, whose own optimistic transactions are
+// then synced with it (i.e. if sent by another process), rather than verified.
+// Events are processed in block and log order, and the events of each user are processed one at a time, so that the
+// verification of a transaction, and the fraudster it may create, is complete before the user's next transaction.
+// Errors are only emitted while listened for, since an unhandled 'error' event would throw out of the event loop.
+// The last processed event only advances past events handled successfully, so events that failed, or were skipped
+// since stopped, are processed again when resuming after it. Once stopped, 'stopped' is emitted when the events being
+// processed are, so that none is processed after it.
+class AutoVerifier extends EventEmitter {
+  constructor(ori, adapter, options = {}) {
+    super();
+
+    const {
+      pureVerifiers,
+      fromBlock = 'latest',
+      lastProcessed = null,
+      polling = !adapter.supportsSubscriptions,
+      pollingInterval = 4000,
+      getAccount,
+    } = options;
+
+    this._ori = ori;
+    this._adapter = adapter;
+    this._pureVerifiers = pureVerifiers;
+    this._fromBlock = fromBlock;
+    this._polling = polling;
+    this._pollingInterval = pollingInterval;
+    this._getAccount = getAccount;
+
+    // Position (block number and log index) of the last processed event, before which events are ignored
+    this._lastProcessed = lastProcessed;
+
+    // Events received but not yet dispatched, which are sorted before being dispatched together
+    this._received = [];
+
+    // Dispatched events, in order, until they and all events before them are processed
+    this._dispatched = [];
+
+    // Tail of the work queue of each user
+    this._userQueues = {};
+
+    this._unsubscribes = [];
+    this._nextBlock = fromBlock === 'latest' ? null : Number(fromBlock);
+    this._pollTimeout = null;
+    this._stopped = false;
+  }
+
+  // GETTER: Returns the position (block number and log index) of the last processed event, if any
+  get lastProcessed() {
+    return this._lastProcessed;
+  }
+
+  // GETTER: Returns true if polling for past events, rather than subscribing to events
+  get isPolling() {
+    return this._polling;
+  }
+
+  // PRIVATE: Updates a local account with its optimistic transaction, unless already applied (i.e. sent by it)
+  async _syncAccount(account, transactionHash) {
+    if (!account.currentState) return;
+
+    const accountState = await account.getAccountState();
+
+    if (accountState?.equals(account.accountState)) return;
+
+    const { user } = await account.update(transactionHash);
+    this.emit('synced', { user, transactionHash });
+  }
+
+  // PRIVATE: Syncs a local account, updates a suspect's fraudster, or verifies the optimistic transaction of an event
+  async _handleOptimisticTransaction(event) {
+    const { transactionHash, returnValues } = event;
+    const account = this._getAccount?.(returnValues.user);
+
+    if (account) {
+      await this._syncAccount(account, transactionHash);
+
+      return;
+    }
+
+    const fraudster = this._ori.getFraudster(returnValues.user);
+
+    if (fraudster) {
+      const { user } = await fraudster.update(transactionHash);
+      this.emit('update', { user, transactionHash });
+
+      return;
+    }
+
+    const { valid, user } = await this._ori.verifyTransaction(transactionHash, { pureVerifiers: this._pureVerifiers });
+    this.emit('verified', { user, transactionHash, valid });
+
+    if (!valid) this.emit('fraud', { user, transactionHash });
+  }
+
+  // PRIVATE: Stops tracking a suspect whose fraud was proven
+  _handleProvenFraud(event) {
+    const { transactionHash, returnValues } = event;
+    const { suspect, accuser } = returnValues;
+    this._ori.deleteFraudster(suspect);
+
+    this.emit('proven', { user: suspect.toLowerCase(), accuser: accuser.toLowerCase(), transactionHash });
+  }
+
+  // PRIVATE: Updates the last time of a suspect's fraudster, or of a local account (by default, the ORI instance's own),
+  // that was unlocked
+  async _handleUnlock(event) {
+    const { transactionHash, returnValues } = event;
+    const { suspect, accuser } = returnValues;
+    const localAccount = this._getAccount?.(suspect) ?? (compareHex(suspect, this._ori.user) ? this._ori : null);
+    const account = localAccount?.currentState ? localAccount : this._ori.getFraudster(suspect);
+
+    if (account) await account.update(transactionHash);
+
+    this.emit('unlocked', { user: suspect.toLowerCase(), accuser: accuser.toLowerCase(), transactionHash });
+  }
+
+  // PRIVATE: Emits an error, if listened for
+  _emitError(error) {
+    if (this.listenerCount('error')) this.emit('error', error);
+  }
+
+  // GETTER: Returns true if stopped (even if the events being processed are not yet)
+  get isStopped() {
+    return this._stopped;
+  }
+
+  // PRIVATE: Processes an event, and returns true if handled, or false if skipped since stopped, or if it failed (emitting
+  // 'error')
+  async _processEvent(eventName, event) {
+    if (this._stopped) return false;
+
+    try {
+      if (eventName === EVENTS.ORI_Fraud_Proven) {
+        this._handleProvenFraud(event);
+      } else if (eventName === EVENTS.ORI_Unlocked) {
+        await this._handleUnlock(event);
+      } else {
+        await this._handleOptimisticTransaction(event);
+      }
+
+      return true;
+    } catch (error) {
+      this._emitError(Object.assign(error, { eventName, transactionHash: event.transactionHash }));
+
+      return false;
+    }
+  }
+
+  // PRIVATE: Advances the last processed event past all dispatched events processed in order (so not past one that was
+  // not)
+  _advance() {
+    while (this._dispatched.length && this._dispatched[0].processed) {
+      const { blockNumber, logIndex } = this._dispatched.shift().event;
+
+      this._lastProcessed = { blockNumber, logIndex };
+      this.emit('processed', { blockNumber, logIndex });
+    }
+  }
+
+  // PRIVATE: Queues an event (unless already processed or dispatched) for processing after the user's previous events
+  _dispatchEvent(eventName, event) {
+    if (this._stopped) return;
+
+    if (this._lastProcessed && isAtOrBefore(event, this._lastProcessed)) return;
+
+    if (this._dispatched.some((dispatched) => compareEvents(dispatched.event, event) === 0)) return;
+
+    const dispatched = { event, processed: false };
+    this._dispatched.push(dispatched);
+
+    const user = getEventUser(eventName, event);
+
+    const work = (this._userQueues[user] ?? Promise.resolve()).then(async () => {
+      if (!(await this._processEvent(eventName, event))) return;
+
+      dispatched.processed = true;
+      this._advance();
+    });
+
+    this._userQueues[user] = work;
+
+    // Drop the queue once it is drained, so queues do not accumulate for every user ever seen
+    work.then(() => {
+      if (this._userQueues[user] === work) delete this._userQueues[user];
+    });
+
+    return work;
+  }
+
+  // PRIVATE: Dispatches the events received so far, in order, and returns a promise that they are processed
+  _dispatchReceived() {
+    const received = this._received.sort(compareEvents);
+    this._received = [];
+
+    return Promise.all(received.map(({ eventName, event }) => this._dispatchEvent(eventName, event)));
+  }
+
+  // PRIVATE: Receives a subscribed event, to be dispatched in order with the other events received at the same time
+  _receiveEvent(eventName, event) {
+    if (this._stopped) return;
+
+    if (!this._received.length) setImmediate(() => this._dispatchReceived());
+
+    const { blockNumber, logIndex } = event;
+    this._received.push({ eventName, event, blockNumber, logIndex });
+  }
+
+  // PRIVATE: Handles the events of all blocks since the last poll, in order, and schedules the next poll
+  async _poll() {
+    try {
+      const { number: latestBlock } = await this._adapter.getBlock('latest');
+      const fromBlock = this._nextBlock ?? latestBlock + 1;
+
+      if (fromBlock <= latestBlock) {
+        const eventsByName = await Promise.all(
+          Object.values(EVENTS).map(async (eventName) => {
+            const events = await this._adapter.getPastEvents(eventName, { fromBlock, toBlock: latestBlock });
+
+            return events.map((event) => Object.assign({ eventName }, event));
+          })
+        );
+
+        this._received = eventsByName.flat().map((event) => ({
+          eventName: event.eventName,
+          event,
+          blockNumber: event.blockNumber,
+          logIndex: event.logIndex,
+        }));
+
+        await this._dispatchReceived();
+      }
+
+      this._nextBlock = latestBlock + 1;
+    } catch (error) {
+      this._emitError(error);
+    } finally {
+      if (!this._stopped) this._pollTimeout = setTimeout(() => this._poll(), this._pollingInterval);
+    }
+  }
+
+  // PUBLIC: Starts polling for, or subscribing to, events
+  start() {
+    if (this._polling) {
+      this._poll();
+
+      return this;
+    }
+
+    const onError = (error) => this._emitError(error);
+
+    try {
+      Object.values(EVENTS).forEach((eventName) => {
+        const handler = (event) => this._receiveEvent(eventName, event);
+        this._unsubscribes.push(this._adapter.subscribe(eventName, { fromBlock: this._fromBlock, onError }, handler));
+      });
+    } catch (error) {
+      // Deferred, so that the caller can listen for errors first
+      setImmediate(() => onError(error));
+    }
+
+    return this;
+  }
+
+  // PUBLIC: Stops polling for, or unsubscribes from, events, and emits 'stopped' once the events being processed are
+  stop() {
+    if (this._stopped) return;
+
+    this._stopped = true;
+    clearTimeout(this._pollTimeout);
+    this._unsubscribes.forEach((unsubscribe) => unsubscribe());
+
+    const work = Object.values(this._userQueues);
+
+    if (!work.length) {
+      this.emit('stopped');
+
+      return;
+    }
+
+    Promise.allSettled(work).then(() => this.emit('stopped'));
+  }
+}
+
+module.exports = AutoVerifier;
@@ -0,0 +1,220 @@
+const assert = require('assert');
+
+const { compareHex, toHex } = require('../utils');
+const VerificationService = require('../verification-service');
+
+const VERIFY_EVENTS = ['fraud', 'update', 'proven', 'unlocked'];
+const WATCHTOWER_EVENTS = ['detected', 'skipped', 'locked', 'proven', 'lostRace', 'failed'];
+
+// HELPER: Returns a command line arg as a logic function arg or state (JSON arrays and objects are parsed)
+const parseValue = (value) => (/^\s*[[{]/.test(value) ? JSON.parse(value) : value);
+
+// HELPER: Returns the parts of a receipt worth reporting
+const summarizeReceipt = ({ transactionHash, blockNumber, gasUsed }) => ({ transactionHash, blockNumber, gasUsed });
+
+// HELPER: Returns an operation's result (or event), with its receipt(s) summarized, and its error as message and code
+const summarize = (result = {}) => {
+  const { receipt, receipts, error } = result;
+  const summary = Object.assign({}, result);
+
+  if (receipt) summary.receipt = summarizeReceipt(receipt);
+
+  if (receipts) summary.receipts = receipts.map(summarizeReceipt);
+
+  if (error) summary.error = { message: error.message, code: error.code };
+
+  return summary;
+};
+
+// HELPER: Returns the logic function set of a function name, asserting it exists
+const getFunctionSet = (ori, functionName) => {
+  assert(functionName, 'A logic function name is required.');
+  assert(ori[functionName]?.normal, `No logic function ${functionName}.`);
+
+  return ori[functionName];
+};
+
+// HELPER: Returns the fraudster instance of a suspect, asserting its fraud was found by verify or watch
+const getFraudster = (ori, suspect) => {
+  assert(suspect, 'A suspect address is required.');
+
+  const fraudster = ori.getFraudster(suspect);
+  assert(fraudster, `No known fraud of ${suspect}, whose fraudulent transaction must be verified first.`);
+
+  return fraudster;
+};
+
+// HELPER: Returns the account's local state (the state saved between invocations), with its decoded state if any
+const getLocalStatus = (ori) => {
+  if (!ori.currentState) return { synced: false };
+
+  const { decodedState } = ori;
+
+  return Object.assign(
+    {
+      currentState: toHex(ori.currentState),
+      lastTime: ori.lastTime,
+      inOptimisticState: ori.isInOptimisticState,
+      transitionCount: ori.transitionCount,
+      transitionsQueued: ori.transitionsQueued,
+      queuedState: toHex(ori.queuedState),
+      accountState: toHex(ori.accountState),
+    },
+    decodedState && { decodedState }
+  );
+};
+
+// HELPER: Resolves once a signal is aborted or, without one, once the process is interrupted or terminated
+const waitForStop = (signal) =>
+  new Promise((resolve) => {
+    if (!signal) {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+
+      return;
+    }
+
+    if (signal.aborted) return resolve();
+
+    signal.addEventListener('abort', resolve, { once: true });
+  });
+
+// Commands, each called with the account's client, positional args, and a context of flags, a writer of intermediate
+// results, and an optional abort signal, and returning a result (or undefined)
+const commands = {
+  // Bonds the account
+  bond: async (ori) => summarize(await ori.bond()),
+
+  // Initializes the account, with an optional deposit (in wei) beyond the bond
+  initialize: async (ori, args, { flags }) => summarize(await ori.initialize({ deposit: flags.deposit })),
+
+  // Performs a logic function optimistically, with a new state (hex, or JSON field values) or one computed for it
+  perform: async (ori, [functionName, ...args], { flags }) => {
+    const functionSet = getFunctionSet(ori, functionName);
+    assert(functionSet.optimistic, `Logic function ${functionName} cannot be performed optimistically.`);
+
+    const newState = flags.state === undefined ? undefined : parseValue(flags.state);
+
+    return summarize(await functionSet.optimistic(args.map(parseValue), newState));
+  },
+
+  // Performs a logic function normally, exiting optimism if in it (once the lock time has passed)
+  exit: async (ori, [functionName, ...args]) =>
+    summarize(await getFunctionSet(ori, functionName).normal(args.map(parseValue))),
+
+  // Adds to, lists, sends (in one transaction, or with --all in as many as needed), or clears the queue of transitions
+  queue: async (ori, [subcommand, functionName, ...args], { flags }) => {
+    if (subcommand === 'add') {
+      const functionSet = getFunctionSet(ori, functionName);
+      assert(functionSet.queue, `Logic function ${functionName} cannot be queued.`);
+
+      const newState = flags.state === undefined ? undefined : parseValue(flags.state);
+      await functionSet.queue(args.map(parseValue), newState);
+
+      return { transitionsQueued: ori.transitionsQueued, queuedState: toHex(ori.queuedState) };
+    }
+
+    if (subcommand === 'list') return ori.exportState().localQueue;
+
+    // A single queued transition is sent on its own, since batches are of at least 2
+    if (subcommand === 'send') {
+      const sendAll = flags.all || ori.transitionsQueued === 1;
+
+      return summarize(sendAll ? await ori.flushQueue() : await ori.sendQueue());
+    }
+
+    if (subcommand === 'clear') {
+      ori.clearQueue();
+
+      return { transitionsQueued: 0 };
+    }
+
+    throw Error(`Unknown queue subcommand ${subcommand}, rather than add, list, send, or clear.`);
+  },
+
+  // Verifies the transition(s) of an optimistic transaction, recording the fraudster if fraud is found
+  verify: async (ori, [txHash]) => {
+    assert(txHash, 'A transaction hash is required.');
+
+    return ori.verifyTransaction(txHash);
+  },
+
+  // Locks a suspect whose fraud was found
+  lock: async (ori, [suspect]) => summarize(await getFraudster(ori, suspect).lock()),
+
+  // Proves the fraud of a suspect locked by the account
+  'prove-fraud': async (ori, [suspect]) => summarize(await getFraudster(ori, suspect).proveFraud()),
+
+  // Rolls the account back to right before its proven fraud
+  rollback: async (ori) => summarize(await ori.rollback()),
+
+  // Unlocks the account once the lock of the accuser who failed to prove fraud has expired
+  unlock: async (ori) => summarize(await ori.unlock()),
+
+  // Rebuilds the account's local state from chain history
+  sync: async (ori) => {
+    await ori.syncFromChain();
+
+    return getLocalStatus(ori);
+  },
+
+  // Returns the on-chain status of a user (by default, the account), and the account's local state
+  status: async (ori, [user = ori.user]) => {
+    const status = await ori.getAccountStatus(user);
+
+    if (!compareHex(user, ori.user)) return status;
+
+    const local = getLocalStatus(ori);
+    const inSync = !!status.accountState && local.accountState === toHex(status.accountState);
+
+    return Object.assign(status, { local: Object.assign(local, { inSync }) });
+  },
+
+  // Serves fraud verification over HTTP (see VerificationService), while verifying transactions as they are mined,
+  // until stopped
+  serve: async (ori, args, { flags, write, signal }) => {
+    const options = {
+      host: flags.host,
+      port: flags.port === undefined ? undefined : Number(flags.port),
+      fromBlock: flags.fromBlock === undefined ? undefined : Number(flags.fromBlock),
+      polling: flags.polling,
+      pollingInterval: flags.pollingInterval === undefined ? undefined : Number(flags.pollingInterval),
+    };
+
+    const service = await new VerificationService(ori, options).start();
+    write({ event: 'listening', url: service.url });
+
+    await waitForStop(signal);
+    await service.stop();
+  },
+
+  // Verifies optimistic transactions as they are mined (and, with --watchtower, locks suspects and proves their fraud),
+  // writing each event, until stopped
+  watch: async (ori, args, { flags, write, signal }) => {
+    const options = {
+      fromBlock: flags.fromBlock === undefined ? undefined : Number(flags.fromBlock),
+      polling: flags.polling,
+      pollingInterval: flags.pollingInterval === undefined ? undefined : Number(flags.pollingInterval),
+      minReward: flags.minReward,
+      maxGasPrice: flags.maxGasPrice,
+    };
+
+    const watchtower = flags.watchtower ? ori.watchtower(options) : null;
+    const verifyEmitter = watchtower ? ori.verifyEmitter : ori.autoVerify(options);
+
+    const forward = (emitter, eventNames) =>
+      eventNames.forEach((event) => emitter.on(event, (data) => write(Object.assign({ event }, summarize(data)))));
+
+    forward(verifyEmitter, VERIFY_EVENTS);
+
+    if (watchtower) forward(watchtower, WATCHTOWER_EVENTS);
+
+    (watchtower ?? verifyEmitter).on('error', ({ message, code }) => write({ event: 'error', message, code }));
+
+    await waitForStop(signal);
+
+    verifyEmitter.stop();
+  },
+};
+
+module.exports = commands;
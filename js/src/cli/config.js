@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const OptimisticRollIn = require('..');
+const { createAdapter } = require('../adapters');
+const { JsonFileStorage } = require('../storage');
+
+const DEFAULT_CONFIG_FILE = 'ori.config.json';
+const DEFAULT_BUILD_DIR = 'eth/build';
+const DEFAULT_STATE_FILE = '.ori/state.json';
+
+// A config is a JSON file (ori.config.json by default), with paths relative to its directory:
+//   provider: JSON-RPC URL (a web3 instance, or a simulator, can instead be given to run)
+//   account: the user's address (or ORI_ACCOUNT, or --account), defaulting to the private key's address
+//   privateKey: key signing transactions locally (or ORI_PRIVATE_KEY), rather than the node's unlocked accounts
+//   ori, logic: { address, abi, artifact }, where artifact is a truffle build file, from which a missing ABI is read,
+//     and a missing address is read for the network (by default, eth/build/Optimistic_Roll_In.json and
+//     eth/build/Some_Logic_Contract.json, and the logic address is otherwise read from the ORI contract)
+//   network: network id of artifact addresses (by default, the provider's)
+//   requiredBond, lockTime: the ORI contract's parameters (by default, read from the contract)
+//   stateFile: JSON file where account states persist between invocations (by default, .ori/state.json)
+//   transitions: JS module exporting any transitions, pureVerifiers, and stateCodec options of the client
+
+// HELPER: Returns the config file's contents and directory, or an empty config in the working directory if the default
+// config file does not exist
+const readConfigFile = (configPath, cwd) => {
+  const filePath = path.resolve(cwd, configPath ?? DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    assert(!configPath, `Config file ${filePath} not found.`);
+
+    return { config: {}, configDir: cwd };
+  }
+
+  return { config: JSON.parse(fs.readFileSync(filePath, 'utf8')), configDir: path.dirname(filePath) };
+};
+
+// HELPER: Returns the address and ABI of a contract, from the config or its truffle artifact
+const getContract = (contractConfig = {}, defaultArtifact, configDir, network) => {
+  const { address, abi, artifact = path.join(DEFAULT_BUILD_DIR, defaultArtifact) } = contractConfig;
+  const artifactPath = path.resolve(configDir, artifact);
+
+  if (address && abi) return { address, abi };
+
+  assert(fs.existsSync(artifactPath), `Artifact ${artifactPath} not found.`);
+
+  const { abi: artifactABI, networks = {} } = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+
+  return { address: address ?? networks[network]?.address, abi: abi ?? artifactABI };
+};
+
+// Returns the config, resolved from its file (or ORI_CONFIG), the environment, and command line flags
+const loadConfig = (flags = {}, options = {}) => {
+  const { cwd = process.cwd(), env = process.env } = options;
+  const { config, configDir } = readConfigFile(flags.config ?? env.ORI_CONFIG, cwd);
+
+  return Object.assign({}, config, {
+    configDir,
+    account: flags.account ?? env.ORI_ACCOUNT ?? config.account,
+    privateKey: env.ORI_PRIVATE_KEY ?? config.privateKey,
+    stateFile: path.resolve(configDir, flags.stateFile ?? config.stateFile ?? DEFAULT_STATE_FILE),
+  });
+};
+
+// Returns the client options of the config's transitions module, if any
+const loadTransitions = (config) => {
+  if (!config.transitions) return {};
+
+  const { transitions, pureVerifiers, stateCodec } = require(path.resolve(config.configDir, config.transitions));
+
+  return { transitions, pureVerifiers, stateCodec };
+};
+
+// Returns an OptimisticRollIn client for the config's account, persisting its state in the config's state file
+// A web3 instance or simulator can be given, rather than the config's provider
+const createClient = async (config, options = {}) => {
+  const { simulator } = options;
+  const { configDir, privateKey, network, stateFile } = config;
+  let { web3 } = options;
+  let { account } = config;
+
+  if (!simulator && !web3) {
+    assert(config.provider, 'A provider is required in the config.');
+
+    const Web3 = require('web3');
+    web3 = new Web3(config.provider);
+  }
+
+  if (web3 && privateKey) {
+    const { address } = web3.eth.accounts.wallet.add(privateKey);
+    account = account ?? address;
+  }
+
+  assert(account, 'An account is required (--account, ORI_ACCOUNT, or the config).');
+
+  const networkId = simulator ? null : network ?? String(await web3.eth.net.getId());
+  const ori = simulator ? {} : getContract(config.ori, 'Optimistic_Roll_In.json', configDir, networkId);
+  const logic = simulator ? {} : getContract(config.logic, 'Some_Logic_Contract.json', configDir, networkId);
+
+  assert(simulator || ori.address, `No ORI contract address in the config, or its artifact for network ${networkId}.`);
+
+  const contracts = { oriAddress: ori.address, oriABI: ori.abi, logicAddress: logic.address, logicABI: logic.abi };
+
+  // A missing logic contract address is read from the ORI contract
+  if (!simulator && !logic.address) {
+    const oriAdapter = createAdapter(contracts, { web3 });
+    contracts.logicAddress = await oriAdapter.readORI('logic_contract');
+  }
+
+  const adapter = createAdapter(contracts, { web3, simulator });
+
+  const clientOptions = Object.assign(loadTransitions(config), {
+    adapter,
+    requiredBond: (config.requiredBond ?? (await adapter.readORI('required_bond'))).toString(),
+    lockTime: (config.lockTime ?? (await adapter.readORI('lock_time'))).toString(),
+    storage: new JsonFileStorage(stateFile),
+  });
+
+  return new OptimisticRollIn(account, contracts, clientOptions);
+};
+
+module.exports = {
+  loadConfig,
+  createClient,
+};
@@ -0,0 +1,162 @@
+const assert = require('assert');
+
+const { loadConfig, createClient } = require('./config');
+const commands = require('./commands');
+const { serializeValue } = require('../utils');
+const { ORIError } = require('../errors');
+
+const BOOLEAN_FLAGS = ['all', 'help', 'json', 'polling', 'watchtower'];
+
+const USAGE = `Usage: ori <command> [args...] [flags]
+
+Commands:
+  bond                                        Bond the account
+  initialize [--deposit <wei>]                Initialize the account, depositing beyond the bond
+  perform <function> [args...] [--state <s>]  Perform a logic function optimistically
+  exit <function> [args...]                   Perform a logic function normally, exiting optimism
+  queue add <function> [args...] [--state <s>]
+                                              Queue a logic function, to perform optimistically later
+  queue list                                  List queued transitions
+  queue send [--all]                          Send the queue in one transaction (or, with --all, as many as needed)
+  queue clear                                 Clear the queue
+  verify <txHash>                             Verify an optimistic transaction, recording any fraud found
+  lock <suspect>                              Lock a suspect whose fraud was found
+  prove-fraud <suspect>                       Prove the fraud of a suspect locked by the account
+  rollback                                    Roll the account back to right before its proven fraud
+  unlock                                      Unlock the account once its accuser's lock has expired
+  sync                                        Rebuild the account's local state from chain history
+  status [user]                               Show the on-chain status of a user (by default, the account)
+  watch [--watchtower]                        Verify optimistic transactions as they are mined, until interrupted
+                                              (with --watchtower, also locking suspects and proving their fraud)
+  serve [--host <host>] [--port <port>]       Serve fraud verification over HTTP (by default, on 127.0.0.1), while
+                                              verifying optimistic transactions as they are mined, until interrupted
+
+Logic function args and states are hex strings, or JSON arrays and objects (i.e. states as field values).
+
+Flags:
+  --config <file>       Config file (by default, ORI_CONFIG or ori.config.json)
+  --account <address>   Account of the user (by default, ORI_ACCOUNT or the config's)
+  --state-file <file>   File where account states persist between invocations (by default, the config's)
+  --json                Output JSON (one object per line while watching)
+
+Watch and serve flags:
+  --from-block <n>          Block to verify from (by default, after the last processed event, or the latest)
+  --polling                 Poll for events, rather than subscribing to them
+  --polling-interval <ms>   Interval between polls
+  --min-reward <wei>        Minimum reward for the watchtower to lock a suspect
+  --max-gas-price <wei>     Maximum gas price at which the watchtower locks suspects
+`;
+
+// HELPER: Returns a flag name (i.e. from-block) in camel case (i.e. fromBlock)
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// HELPER: Returns a value as lines of text, indented by depth, for people rather than scripts
+const formatText = (value, indent = '') => {
+  if (value === null || typeof value !== 'object') return `${indent}${value}`;
+
+  const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+
+  return entries
+    .map(([key, v]) =>
+      v !== null && typeof v === 'object' && Object.keys(v).length
+        ? `${indent}${key}:\n${formatText(v, indent + '  ')}`
+        : `${indent}${key}: ${typeof v === 'object' ? JSON.stringify(v) : v}`
+    )
+    .join('\n');
+};
+
+// HELPER: Returns a watched event as a line of text
+const formatEvent = ({ event, ...data }) => {
+  const fields = Object.entries(data).map(([key, v]) => `${key}=${typeof v === 'object' ? JSON.stringify(v) : v}`);
+
+  return [event, ...fields].join(' ');
+};
+
+// Returns the positional args and flags (in camel case) of command line args, where flags are --name value or
+// --name=value (or just --name, for boolean flags), and args after -- are all positional
+const parseArgs = (argv) => {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separatorIndex = arg.indexOf('=');
+    const name = toCamelCase(arg.slice(2, separatorIndex < 0 ? undefined : separatorIndex));
+
+    if (separatorIndex >= 0) {
+      flags[name] = arg.slice(separatorIndex + 1);
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      assert(i + 1 < argv.length, `Flag --${arg.slice(2)} needs a value.`);
+      flags[name] = argv[++i];
+    }
+  }
+
+  return { positionals, flags };
+};
+
+// Runs a command line (args without node and the script), and returns the exit code
+// Options are the cwd, env, stdout and stderr (by default, the process's), an abort signal to stop watching (by
+// default, interrupting or terminating the process), and a web3 instance or simulator to use rather than the config's
+// provider
+const run = async (argv, options = {}) => {
+  const { stdout = process.stdout, stderr = process.stderr, signal } = options;
+  let json = argv.includes('--json');
+
+  try {
+    const { positionals, flags } = parseArgs(argv);
+    const [commandName, ...args] = positionals;
+    json = !!flags.json;
+
+    if (!commandName || commandName === 'help' || flags.help) {
+      stdout.write(USAGE);
+
+      return 0;
+    }
+
+    const command = commands[commandName];
+    assert(command, `Unknown command ${commandName}, see ori help.`);
+
+    const ori = await createClient(loadConfig(flags, options), options);
+
+    const write = (event) =>
+      stdout.write((json ? JSON.stringify(serializeValue(event)) : formatEvent(serializeValue(event))) + '\n');
+
+    const result = await command(ori, args, { flags, write, signal });
+
+    if (result !== undefined) {
+      const value = serializeValue(result);
+      stdout.write((json ? JSON.stringify(value, null, 2) : formatText(value)) + '\n');
+    }
+
+    return 0;
+  } catch (error) {
+    const code = error instanceof ORIError ? error.code : undefined;
+
+    stderr.write(
+      json
+        ? JSON.stringify({ error: { message: error.message, code } }) + '\n'
+        : `Error: ${error.message}${code ? ` (${code})` : ''}\n`
+    );
+
+    return 1;
+  }
+};
+
+module.exports = {
+  run,
+  parseArgs,
+  USAGE,
+};
@@ -0,0 +1,301 @@
+// Base class of the client's errors, with a stable code to react to programmatically
+// Errors decoded from contract reverts also have the revert reason (if any), and the provider's error as cause
+class ORIError extends Error {
+  static code = 'ORI_ERROR';
+
+  constructor(message, options = {}) {
+    super(message);
+
+    const { reason, cause } = options;
+
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+
+    if (reason !== undefined) this.reason = reason;
+
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// Errors with the same codes as the ORI contract's revert reasons, which are also thrown by the client's own checks
+
+class AccountLocked extends ORIError {
+  static code = 'ACCOUNT_LOCKED';
+}
+
+class AccountUnlocked extends ORIError {
+  static code = 'ACCOUNT_UNLOCKED';
+}
+
+class AlreadyInitialized extends ORIError {
+  static code = 'ALREADY_INITIALIZED';
+}
+
+class AuthorizationExpired extends ORIError {
+  static code = 'AUTHORIZATION_EXPIRED';
+}
+
+class CallerUserMismatch extends ORIError {
+  static code = 'CALLER_USER_MISMATCH';
+}
+
+class IncorrectCalldata extends ORIError {
+  static code = 'INCORRECT_CALLDATA';
+}
+
+class InsufficientBalance extends ORIError {
+  static code = 'INSUFFICIENT_BALANCE';
+}
+
+class InsufficientBond extends ORIError {
+  static code = 'INSUFFICIENT_BOND';
+}
+
+class InsufficientCalldata extends ORIError {
+  static code = 'INSUFFICIENT_CALLDATA';
+}
+
+class InsufficientRollback extends ORIError {
+  static code = 'INSUFFICIENT_ROLLBACK';
+}
+
+class InsufficientTime extends ORIError {
+  static code = 'INSUFFICIENT_TIME';
+}
+
+class InsufficientWindow extends ORIError {
+  static code = 'INSUFFICIENT_WINDOW';
+}
+
+class InvalidBond extends ORIError {
+  static code = 'INVALID_BOND';
+}
+
+class InvalidCalldata extends ORIError {
+  static code = 'INVALID_CALLDATA';
+}
+
+class InvalidProof extends ORIError {
+  static code = 'INVALID_PROOF';
+}
+
+class InvalidRelayer extends ORIError {
+  static code = 'INVALID_RELAYER';
+}
+
+class InvalidRollback extends ORIError {
+  static code = 'INVALID_ROLLBACK';
+}
+
+class InvalidRoots extends ORIError {
+  static code = 'INVALID_ROOTS';
+}
+
+class InvalidSignature extends ORIError {
+  static code = 'INVALID_SIGNATURE';
+}
+
+class InvalidSize extends ORIError {
+  static code = 'INVALID_SIZE';
+}
+
+class InvalidTree extends ORIError {
+  static code = 'INVALID_TREE';
+}
+
+class NotLocker extends ORIError {
+  static code = 'NOT_LOCKER';
+}
+
+class RollbackRequired extends ORIError {
+  static code = 'ROLLBACK_REQUIRED';
+}
+
+class RollbackTooDeep extends ORIError {
+  static code = 'ROLLBACK_TOO_DEEP';
+}
+
+class RollbackUnnecessary extends ORIError {
+  static code = 'ROLLBACK_UNNECESSARY';
+}
+
+class UnexpectedUnderflow extends ORIError {
+  static code = 'UNEXPECTED_UNDERFLOW';
+}
+
+class ValidTransition extends ORIError {
+  static code = 'VALID_TRANSITION';
+}
+
+// A contract revert with a reason the client does not know (e.g. from the logic contract), or without a reason
+
+class ContractReverted extends ORIError {
+  static code = 'CONTRACT_REVERTED';
+}
+
+// Errors only thrown by the client's own checks
+
+class AlreadyBonded extends ORIError {
+  static code = 'ALREADY_BONDED';
+}
+
+class InsufficientFee extends ORIError {
+  static code = 'INSUFFICIENT_FEE';
+}
+
+class InvalidQueue extends ORIError {
+  static code = 'INVALID_QUEUE';
+}
+
+class LocalStateMismatch extends ORIError {
+  static code = 'LOCAL_STATE_MISMATCH';
+}
+
+class NoPendingTransaction extends ORIError {
+  static code = 'NO_PENDING_TRANSACTION';
+}
+
+class NotArchived extends ORIError {
+  static code = 'NOT_ARCHIVED';
+}
+
+class NotInitialized extends ORIError {
+  static code = 'NOT_INITIALIZED';
+}
+
+class NotMined extends ORIError {
+  static code = 'NOT_MINED';
+}
+
+class NotOwnAccount extends ORIError {
+  static code = 'NOT_OWN_ACCOUNT';
+}
+
+class UnsupportedOperation extends ORIError {
+  static code = 'UNSUPPORTED_OPERATION';
+}
+
+const REVERT_ERRORS = [
+  AccountLocked,
+  AccountUnlocked,
+  AlreadyInitialized,
+  AuthorizationExpired,
+  CallerUserMismatch,
+  IncorrectCalldata,
+  InsufficientBalance,
+  InsufficientBond,
+  InsufficientCalldata,
+  InsufficientRollback,
+  InsufficientTime,
+  InsufficientWindow,
+  InvalidBond,
+  InvalidCalldata,
+  InvalidProof,
+  InvalidRelayer,
+  InvalidRollback,
+  InvalidRoots,
+  InvalidSignature,
+  InvalidSize,
+  InvalidTree,
+  NotLocker,
+  RollbackRequired,
+  RollbackTooDeep,
+  RollbackUnnecessary,
+  UnexpectedUnderflow,
+  ValidTransition,
+].reduce((errors, ErrorClass) => Object.assign(errors, { [ErrorClass.code]: ErrorClass }), {});
+
+// Revert reasons, as they appear in the errors of ganache, geth and hardhat (possibly nested in web3 or ethers errors)
+const REVERT_REASON_PATTERNS = [
+  /reverted with reason string '([^']*)'/,
+  /execution reverted: ([^\s"',\\]+)/,
+  /revert ([^\s"',\\]+)/,
+];
+
+// Reverts without a reason (i.e. a mined transaction that failed)
+const REVERT_PATTERNS = [/reverted by the EVM/, /execution reverted/, /transaction failed/];
+
+// HELPER: Returns the messages of an error, and of the errors nested in it (as ethers does with provider errors)
+const getMessages = (error) => {
+  if (!error || typeof error !== 'object') return [];
+
+  const messages = [error.reason, error.message, error.body].filter((message) => typeof message === 'string');
+
+  return messages.concat(getMessages(error.error));
+};
+
+// HELPER: Returns the revert reason of a provider error, null if it is a revert without reason, or undefined otherwise
+const getRevertReason = (error) => {
+  const messages = getMessages(error);
+
+  for (const pattern of REVERT_REASON_PATTERNS) {
+    for (const message of messages) {
+      const match = message.match(pattern);
+
+      if (match) return match[1];
+    }
+  }
+
+  const isRevert =
+    error?.code === 'CALL_EXCEPTION' ||
+    messages.some((message) => REVERT_PATTERNS.some((pattern) => pattern.test(message)));
+
+  return isRevert ? null : undefined;
+};
+
+// HELPER: Returns a provider error decoded into the error of its revert reason, or the error itself if not a revert
+const fromRevert = (error) => {
+  if (error instanceof ORIError) return error;
+
+  const reason = getRevertReason(error);
+
+  if (reason === undefined) return error;
+
+  const ErrorClass = REVERT_ERRORS[reason] ?? ContractReverted;
+
+  return new ErrorClass(error.message, { reason, cause: error });
+};
+
+module.exports = {
+  ORIError,
+  AccountLocked,
+  AccountUnlocked,
+  AlreadyInitialized,
+  AuthorizationExpired,
+  CallerUserMismatch,
+  IncorrectCalldata,
+  InsufficientBalance,
+  InsufficientBond,
+  InsufficientCalldata,
+  InsufficientRollback,
+  InsufficientTime,
+  InsufficientWindow,
+  InvalidBond,
+  InvalidCalldata,
+  InvalidProof,
+  InvalidRelayer,
+  InvalidRollback,
+  InvalidRoots,
+  InvalidSignature,
+  InvalidSize,
+  InvalidTree,
+  NotLocker,
+  RollbackRequired,
+  RollbackTooDeep,
+  RollbackUnnecessary,
+  UnexpectedUnderflow,
+  ValidTransition,
+  ContractReverted,
+  AlreadyBonded,
+  InsufficientFee,
+  InvalidQueue,
+  LocalStateMismatch,
+  NoPendingTransaction,
+  NotArchived,
+  NotInitialized,
+  NotMined,
+  NotOwnAccount,
+  UnsupportedOperation,
+  getRevertReason,
+  fromRevert,
+};
@@ -0,0 +1,95 @@
+const assert = require('assert');
+
+const { encodeFunctionCall } = require('./abi');
+const { toBuffer } = require('./utils');
+
+const TRANSACTION_GAS = 21000;
+
+// Execution gas used (beyond intrinsic gas) by each modelled ORI method, as a base plus a cost per call data element and
+// per proof node, measured against the ORI contract. Methods that clear storage also need a gas limit covering the gas
+// refunded at the end of execution. The prove_fraud base includes executing a transition of the logic contract, so it
+// is only a starting point for logic contracts with expensive transitions.
+const DEFAULT_COEFFICIENTS = {
+  perform_optimistically: { base: 9542, perElement: 1034, perProofNode: 307, refund: 0 },
+  perform_optimistically_and_enter: { base: 9220, perElement: 1034, perProofNode: 307, refund: 0 },
+  perform_many_optimistically: { base: 10775, perElement: 1034, perProofNode: 602, refund: 0 },
+  perform_many_optimistically_and_enter: { base: 7156, perElement: 1034, perProofNode: 602, refund: 0 },
+  prove_fraud: { base: 258452, perElement: 1034, perProofNode: 958, refund: 64000 },
+  rollback: { base: 13073, perElement: 1042, perProofNode: 630, refund: 30000 },
+};
+
+// HELPER: Returns the intrinsic gas of call data (16 per non-zero byte, 4 per zero byte)
+const getCalldataGas = (data) => toBuffer(data).reduce((gas, byte) => gas + (byte ? 16 : 4), 0);
+
+// Local model of the gas used by ORI methods, as a function of call data bytes, call data element count, and proof
+// length, calibrated from the receipts of transactions it has modelled
+class GasModel {
+  constructor(oriABI, options = {}) {
+    const { coefficients = {}, margin = 1.1, sampleSize = 20 } = options;
+
+    this._fragments = {};
+    this._coefficients = Object.assign({}, DEFAULT_COEFFICIENTS, coefficients);
+    this._margin = margin;
+    this._sampleSize = sampleSize;
+
+    // Differences between observed and modelled execution gas, of the most recent receipts, by method
+    this._residuals = {};
+
+    Object.keys(this._coefficients).forEach((methodName) => {
+      const fragment = oriABI.find(({ type, name }) => type === 'function' && name === methodName);
+      assert(fragment, `No ORI method ${methodName}.`);
+
+      this._fragments[methodName] = fragment;
+      this._residuals[methodName] = [];
+    });
+  }
+
+  // PRIVATE: Returns the intrinsic gas and modelled (uncalibrated) execution gas of a method call
+  _model(methodName, args) {
+    const fragment = this._fragments[methodName];
+    assert(fragment, `Gas of ${methodName} is not modelled.`);
+
+    let elementCount = 0;
+    let proofLength = 0;
+
+    fragment.inputs.forEach(({ type }, i) => {
+      if (type === 'bytes') elementCount += 1;
+
+      if (type === 'bytes[]') elementCount += args[i].length;
+
+      if (type === 'bytes32[]') proofLength += args[i].length;
+    });
+
+    const { base, perElement, perProofNode, refund = 0 } = this._coefficients[methodName];
+    const intrinsicGas = TRANSACTION_GAS + getCalldataGas(encodeFunctionCall(fragment, args));
+    const executionGas = base + perElement * elementCount + perProofNode * proofLength;
+
+    return { intrinsicGas, executionGas, refund };
+  }
+
+  // PUBLIC: Returns true if the gas of the method is modelled
+  isModelled(methodName) {
+    return Boolean(this._fragments[methodName]);
+  }
+
+  // PUBLIC: Returns a gas limit for a method call (exact intrinsic gas, calibrated execution gas with a margin, and refund)
+  estimate(methodName, args = []) {
+    const { intrinsicGas, executionGas, refund } = this._model(methodName, args);
+    const residuals = this._residuals[methodName];
+    const calibration = residuals.length ? Math.max(...residuals) : 0;
+
+    return intrinsicGas + Math.ceil(Math.max(executionGas + calibration, 0) * this._margin) + refund;
+  }
+
+  // PUBLIC: Calibrates the model with the gas used by a method call (args may be positional decoded values)
+  record(methodName, args, gasUsed) {
+    const { intrinsicGas, executionGas } = this._model(methodName, args);
+    const residuals = this._residuals[methodName];
+
+    residuals.push(Number(gasUsed) - intrinsicGas - executionGas);
+
+    if (residuals.length > this._sampleSize) residuals.shift();
+  }
+}
+
+module.exports = GasModel;
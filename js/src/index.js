@@ -1,17 +1,51 @@
-// TODO: smart local gas estimates as default
 // TODO: check if account locked for all performs (maybe not, might be slow)
-// TODO: implement unbond properly
-// TODO: implement withdraw, archive, and unarchive
 
 const assert = require('assert');
 const { MerkleTree, PartialMerkleTree } = require('merkle-trees/js');
-const txDecoder = require('ethereum-tx-decoder');
-const EventEmitter = require('events');
 
-const { to32ByteBuffer, hashPacked, prefix, toHex, toBuffer, compareHex } = require('./utils');
+const { to32ByteBuffer, hashPacked, prefix, toHex, toBuffer, compareHex, serializeValue } = require('./utils');
+const { Web3Adapter, EthersAdapter, SimulatorAdapter, BlockCacheAdapter, createAdapter } = require('./adapters');
+const { MemoryStorage, JsonFileStorage } = require('./storage');
+const { PackedStateCodec, HashedStateCodec } = require('./state-codecs');
+const { getTopic, encodeFunctionCall, FunctionCodec } = require('./abi');
+const { getDomain, getTypedData } = require('./authorizations');
+const errors = require('./errors');
+const {
+  AccountLocked,
+  AccountUnlocked,
+  AlreadyBonded,
+  AlreadyInitialized,
+  ContractReverted,
+  InsufficientBalance,
+  InsufficientBond,
+  InsufficientTime,
+  InsufficientWindow,
+  InvalidCalldata,
+  InvalidQueue,
+  LocalStateMismatch,
+  NoPendingTransaction,
+  NotArchived,
+  NotInitialized,
+  NotMined,
+  NotOwnAccount,
+  RollbackRequired,
+  UnsupportedOperation,
+} = errors;
+const GasModel = require('./gas-model');
+const Watchtower = require('./watchtower');
+const AutoVerifier = require('./auto-verifier');
+const Relayer = require('./relayer');
+const VerificationService = require('./verification-service');
+const AccountManager = require('./account-manager');
+const LogicRouter = require('./logic-router');
+const Simulator = require('./simulator');
 
 const PROOF_OPTIONS = { compact: true, simple: true };
 
+const STATE_VERSION = 1;
+
+const DEFAULT_BATCH_GAS = 1000000;
+
 const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
 const ZERO_BYTES_32 = '0x0000000000000000000000000000000000000000000000000000000000000000';
 
@@ -20,8 +54,26 @@ const SIG_HASHES = {
   PerformManyOptimistically: '0x6a8dddef',
   PerformOptimisticallyAndEnter: '0x177f15c5',
   PerformOptimistically: '0x1646d051',
+  PerformManyOptimisticallyAndEnterFor: '0xa4dc62e7',
+  PerformManyOptimisticallyFor: '0x0948f2f3',
+  PerformOptimisticallyAndEnterFor: '0x00a15645',
+  PerformOptimisticallyFor: '0x24117923',
 };
 
+const BATCH_SIG_HASHES = [
+  SIG_HASHES.PerformManyOptimisticallyAndEnter,
+  SIG_HASHES.PerformManyOptimistically,
+  SIG_HASHES.PerformManyOptimisticallyAndEnterFor,
+  SIG_HASHES.PerformManyOptimisticallyFor,
+];
+
+const SINGLE_SIG_HASHES = [
+  SIG_HASHES.PerformOptimisticallyAndEnter,
+  SIG_HASHES.PerformOptimistically,
+  SIG_HASHES.PerformOptimisticallyAndEnterFor,
+  SIG_HASHES.PerformOptimisticallyFor,
+];
+
 const EVENTS = {
   ORI_Fraud_Proven: 'ORI_Fraud_Proven',
   ORI_Locked: 'ORI_Locked',
@@ -33,13 +85,31 @@ const EVENTS = {
 };
 
 const TOPICS = {
-  ORI_Fraud_Proven: '0xa66290bc21cee2ba1a3c6ba2cac21d24511cea1f9ed7efe453736f24fd894886',
+  ORI_Fraud_Proven: '0x55469cdf3fd81a478fed2a1491832e3d145bf2ab3c6a6fbb187022b3885b90fd',
   ORI_Locked: '0x8773bde6581ad6ddd421210de867340039fb65ce3df41edba7b5de6d24ae7a51',
   ORI_New_Optimistic_State: '0x4779c4b07abff82b16061ec9a47d081e7f4981c29088395cdb7ff87e322cbbc6',
   ORI_New_Optimistic_States: '0x0b87b136840d19f5f25329273082c00833265a189b70137e06df6315ddc7839e',
   ORI_New_State: '0x0f5025cc4f20aa47a346d1b7d9da6ba8c68cc8e83b75e813da4b4490d55365ae',
   ORI_Rolled_Back: '0x4d7ed8c49e6b03daee23a18f4bd14bd7e4628e5ed54c57bf84407a693867eca9',
-  ORI_Unlocked: '0x524512344e535e9bda79e916c2ea8c7b9e5d23d83e1b95181d7622b4ac3d4293',
+  ORI_Unlocked: '0xd896484469c47833eb445d62b95b9dd6b28d0c050a9b7f2ce8902d137316500e',
+};
+
+// HELPER: Returns the user of a transition's call data (its first arg), without decoding the rest of it
+const getUserHex = (callDataHex) => prefix(callDataHex.slice(34, 74));
+
+// HELPER: Returns the starting state of a transition's call data (its second arg), without decoding the rest of it
+const getStartingStateHex = (callDataHex) => prefix(callDataHex.slice(74, 138));
+
+// HELPER: Returns true if a logic function ABI fragment can be performed optimistically (i.e. is pure or view)
+const isPureOrView = ({ stateMutability }) => stateMutability === 'pure' || stateMutability === 'view';
+
+// HELPER: Returns the value of an indexed event param from its topic (uints as decimal strings, like web3)
+const decodeTopic = (type, topic) => {
+  if (type === 'address') return prefix(topic.slice(26));
+
+  if (type.startsWith('uint')) return BigInt(topic).toString();
+
+  return topic;
 };
 
 // HELPER: Will find the index in the callDataArray that results in transaction just under the maxGas
@@ -74,32 +144,38 @@ class OptimisticRollIn {
     const { oriAddress, oriABI, logicAddress, logicABI } = contracts;
 
     const {
-      oriContract,
-      logicContract,
+      adapter,
+      simulator,
       sourceAddress = accountAddress.toLowerCase(),
       treeOptions = { elementPrefix: '00' },
-      optimismDecoder,
-      logicDecoder,
+      oriCodec,
+      logicRouter,
+      stateCodec,
       web3,
       ethers,
       ethersSigner,
       parentORI,
       requiredBond,
       lockTime,
+      storage,
+      autosave = true,
+      transitions = {},
+      pureVerifiers,
+      gasModel,
+      rpcGasCheck = false,
+      unsigned = false,
     } = options;
 
     const { elementPrefix = '00' } = treeOptions;
 
     assert(
-      ethers && ethersSigner ? !web3 : web3,
-      'either web3 or ethers (and ethersSigner) option is mandatory for now.'
+      adapter || simulator || (ethers && ethersSigner ? !web3 : web3),
+      'either adapter, simulator, web3, or ethers (and ethersSigner) option is mandatory.'
     );
     assert(requiredBond, 'requiredBond option is mandatory for now.');
     assert(lockTime, 'lockTime option is mandatory for now.');
 
-    this._web3 = web3;
-    this._ethers = ethers;
-    this._ethersSigner = ethersSigner;
+    this._adapter = adapter ?? createAdapter({ oriAddress, oriABI, logicAddress, logicABI }, options);
     this._requiredBond = BigInt(requiredBond);
     this._lockTime = Number(lockTime);
 
@@ -107,41 +183,49 @@ class OptimisticRollIn {
 
     this._treeOptions = { unbalanced: true, sortedHash: false, elementPrefix };
 
-    if (oriContract) {
-      this._oriContract = oriContract;
-    } else {
-      this._oriContract = this._web3
-        ? new this._web3.eth.Contract(oriABI, oriAddress)
-        : new this._ethers.Contract(oriAddress, oriABI, this._ethersSigner);
-    }
+    // Local gas model for batch sizing and default gas limits, optionally checked against RPC gas estimates
+    this._gasModel = gasModel ?? new GasModel(this._adapter.oriABI);
+    this._rpcGasCheck = rpcGasCheck;
 
-    if (logicContract) {
-      this._logicContract = logicContract;
-    } else {
-      this._logicContract = this._web3
-        ? new this._web3.eth.Contract(logicABI, logicAddress)
-        : new this._ethers.Contract(logicAddress, logicABI, this._ethersSigner);
-    }
+    // In unsigned mode, operations return unsigned transactions to be signed and broadcast externally, and the one
+    // pending is applied to the local state once confirmed
+    this._unsigned = unsigned;
+    this._pendingTransaction = null;
 
-    // TODO: test for ethers
-    this._logicContract.options.jsonInterface.forEach(({ name, type, signature, stateMutability }) => {
-      if (type !== 'function') return;
+    // EIP-712 domain of the ORI contract, for signing relayed optimistic performs (read from the contract when needed)
+    this._domain = null;
 
-      const functionSet = { normal: (args, callOptions) => this._pessimisticCall(name, args, callOptions) };
+    // Codec of the state's fields (i.e. packed, or committed to by hash), to accept and present states as field values
+    this._stateCodec = stateCodec ?? null;
 
-      if (stateMutability === 'pure' || stateMutability === 'view') {
-        Object.assign(functionSet, {
-          optimistic: (args, newState, callOptions) => this._optimisticCall(name, args, newState, callOptions),
-          queue: (args, newState) => this._queueCall(name, args, newState),
-        });
-      }
+    // Routes of logic functions to logic contracts (by default, all to the ORI's one logic contract)
+    this._logicRouter = logicRouter ?? new LogicRouter([{ abi: this._adapter.logicABI }]);
 
-      Object.assign(this, { [name]: functionSet });
+    // Local JS implementations of logic functions, and pure verifiers of their results, by route key (i.e. sighash)
+    this._transitions = {};
+    this._pureVerifiers = pureVerifiers;
+
+    // Function sets of logic functions, by name, dispatched to the route of the state they are called from
+    const functionSets = {};
+
+    this._logicRouter.routes.forEach(({ fragment }) => {
+      const { name } = fragment;
+
+      functionSets[name] = functionSets[name] ?? {
+        normal: (args, callOptions) => this._pessimisticCall(name, args, callOptions),
+      };
+
+      if (!isPureOrView(fragment)) return;
+
+      Object.assign(functionSets[name], {
+        optimistic: (args, newState, callOptions) => this._optimisticCall(name, args, newState, callOptions),
+        queue: (args, newState) => this._queueCall(name, args, newState),
+      });
     });
 
-    // TODO: perhaps use web3-ethers instead of ethereum-tx-decoder
-    this._optimismDecoder = optimismDecoder ?? new txDecoder.FunctionDecoder(this._oriContract.options.jsonInterface);
-    this._logicDecoder = logicDecoder ?? new txDecoder.FunctionDecoder(this._logicContract.options.jsonInterface);
+    Object.assign(this, functionSets);
+
+    this._oriCodec = oriCodec ?? new FunctionCodec(this._adapter.oriABI);
 
     this._sourceAddress = sourceAddress;
 
@@ -158,6 +242,21 @@ class OptimisticRollIn {
     this._frauds = {};
 
     this.verifyEmitter = null;
+    this._watchtower = null;
+
+    // Position (block number and log index) of the last event processed by autoVerify, to resume from
+    this._lastProcessedEvent = null;
+
+    Object.entries(transitions).forEach(([functionNameOrSighash, transition]) =>
+      this.registerTransition(functionNameOrSighash, transition)
+    );
+
+    this._storage = storage;
+    this._autosave = autosave;
+
+    const savedState = storage?.load(this._getStorageKey());
+
+    if (savedState) this.importState(savedState);
   }
 
   // STATIC: Creates a new OptimisticRollIn instance, with defined parameters and options
@@ -165,26 +264,28 @@ class OptimisticRollIn {
     const { suspect, fraudIndex, callDataArrayHex, newStateHex, proofHex, lastTime } = parameters;
 
     const {
-      oriContract,
-      logicContract,
+      adapter,
       sourceAddress,
       treeOptions = { elementPrefix: '00' },
-      optimismDecoder,
-      logicDecoder,
+      oriCodec,
+      logicRouter,
+      stateCodec,
       web3,
       ethers,
       ethersSigner,
       parentORI,
       requiredBond,
       lockTime,
+      gasModel,
+      rpcGasCheck,
     } = options;
 
     const oriOptions = {
-      oriContract,
-      logicContract,
+      adapter,
       sourceAddress,
-      optimismDecoder,
-      logicDecoder,
+      oriCodec,
+      logicRouter,
+      stateCodec,
       treeOptions,
       web3,
       ethers,
@@ -192,6 +293,8 @@ class OptimisticRollIn {
       parentORI,
       requiredBond,
       lockTime,
+      gasModel,
+      rpcGasCheck,
     };
 
     const fraudster = new OptimisticRollIn(suspect, {}, oriOptions);
@@ -210,6 +313,13 @@ class OptimisticRollIn {
 
     fraudster._frauds = null;
 
+    // Retained so the partial tree can be rebuilt when exported state is imported
+    fraudster._appendProof = {
+      appendElements: toHex(callDataArrayHex),
+      compactProof: toHex(proofHex),
+      elementCount: callDataPartialTree.elements.length,
+    };
+
     return fraudster;
   }
 
@@ -223,6 +333,16 @@ class OptimisticRollIn {
     return this._state.currentState;
   }
 
+  // GETTER: Returns the field values of the current state, decoded by the state codec (or null if none or unknown)
+  get decodedState() {
+    return this.decodeState(this._state.currentState);
+  }
+
+  // GETTER: Returns the field values of the state after queued transitions, decoded by the state codec (or null)
+  get decodedQueuedState() {
+    return this.decodeState(this.queuedState);
+  }
+
   // GETTER: Returns the index of fraud, if it exists
   get fraudIndex() {
     return this._state.fraudIndex;
@@ -238,6 +358,26 @@ class OptimisticRollIn {
     return this._state.lastTime;
   }
 
+  // GETTER: Returns the account's user
+  get user() {
+    return this._state.user;
+  }
+
+  // GETTER: Returns the users whose fraud was found, and whose fraudster ORI instances are tracked
+  get suspects() {
+    return Object.keys(this._frauds ?? {}).filter((user) => this._frauds[user]);
+  }
+
+  // GETTER: Returns the address from which transactions are sent
+  get sourceAddress() {
+    return this._sourceAddress;
+  }
+
+  // GETTER: Returns the unsigned transaction (in unsigned mode) or relay request awaiting confirmation, if any
+  get pendingTransaction() {
+    return this._pendingTransaction?.transaction ?? null;
+  }
+
   // GETTER: Returns the current state of the account's data
   get queuedState() {
     const queueLength = this._queue.length;
@@ -255,90 +395,329 @@ class OptimisticRollIn {
     return this._queue.length;
   }
 
+  // PRIVATE: Returns a state (Buffer, hex string, or field values, encoded by the state codec) as a Buffer
+  _toState(state) {
+    if (Buffer.isBuffer(state) || typeof state === 'string') return toBuffer(state);
+
+    assert(this._stateCodec, 'A stateCodec option is needed for states given as field values.');
+
+    return this._stateCodec.encode(state);
+  }
+
+  // PRIVATE: Returns the args of a pure verifier: the decoded call data and new state (hex), or, with a state codec, with
+  // the call data's state and the new state decoded (or null if they cannot be, so the transition is checked otherwise)
+  _getPureVerifierArgs(fragment, decodedCallData, newStateHex) {
+    if (!this._stateCodec) return [decodedCallData, newStateHex];
+
+    const currentState = this._stateCodec.decode(decodedCallData[1]);
+    const newState = this._stateCodec.decode(newStateHex);
+
+    if (!currentState || !newState) return null;
+
+    const stateName = fragment.inputs[1].name;
+    const callData = Object.assign(
+      [],
+      decodedCallData,
+      { 1: currentState },
+      stateName && { [stateName]: currentState }
+    );
+
+    return [callData, newState];
+  }
+
+  // PRIVATE: Returns the route of a logic function called from a state
+  _getLogicRoute(functionName, state) {
+    const route = this._logicRouter.getRoute(functionName, state);
+
+    assert(route, `No logic function ${functionName} for the state's version.`);
+
+    return route;
+  }
+
   // PRIVATE: Returns call data hex needed to call a function, given the current state and args
   _getCalldata(user, currentState, functionName, args = []) {
-    // TODO: ethers path needs to be tested
-    return this._web3
-      ? this._logicContract.methods[functionName](toHex(user), toHex(currentState), ...args).encodeABI()
-      : this._logicContract.populateTransaction[functionName](toHex(user), toHex(currentState), ...args).data;
+    const { fragment } = this._getLogicRoute(functionName, currentState);
+
+    return encodeFunctionCall(fragment, [toHex(user), toHex(currentState), ...args]);
+  }
+
+  // PRIVATE: Returns the new state computed by a registered JS transition from call data, whose args (including the user
+  // and starting state) are decoded, so that a transition gets the same args when computing and verifying a new state
+  _applyTransition(route, callDataHex) {
+    const decodedCallData = route.codec.decode(callDataHex).args;
+    const args = route.fragment.inputs.map((_, i) => decodedCallData[i]);
+
+    return this._toState(this._transitions[route.key](...args));
+  }
+
+  // PRIVATE: Returns the new state computed by a registered JS transition, or null if none is registered
+  _computeNewStateLocally(functionName, currentState, args = []) {
+    const route = this._logicRouter.getRoute(functionName, currentState);
+
+    if (!route || !this._transitions[route.key]) return null;
+
+    return this._applyTransition(route, this._getCalldata(this._state.user, currentState, functionName, args));
+  }
+
+  // PRIVATE: Returns the new state computed locally if possible, or else by the logic contract (via eth_call)
+  async _computeNewState(functionName, currentState, args = []) {
+    const newState = this._computeNewStateLocally(functionName, currentState, args);
+
+    if (newState) return newState;
+
+    const { address = this._adapter.logicAddress } = this._getLogicRoute(functionName, currentState);
+    const data = this._getCalldata(this._state.user, currentState, functionName, args);
+
+    return toBuffer(await this._adapter.call({ to: address, data }));
   }
 
   // PRIVATE: returns the tx input args and logs
   async _getDataFromOptimisticTx(txId) {
-    const data = this._web3
-      ? (await this._web3.eth.getTransaction(txId)).input
-      : (await this._ethersSigner.getTransaction(txId)).data;
+    const { data } = await this._adapter.getTransaction(txId);
+    const { name: methodName, sighash, args: decodedData } = this._oriCodec.decode(data);
 
-    // TODO: perhaps use web3-ethers instead of ethereum-tx-decoder
-    //       this._web3.eth.abi.decodeParameters(typesArray, hexString);
-    //       this._ethers.utils.defaultAbiCoder.decode(types, data);
-    const decodedData = this._optimismDecoder.decodeFn(data);
+    const { logs, gasUsed } = await this._adapter.getTransactionReceipt(txId);
 
-    // TODO: ethers path needs to be tested
-    const { logs } = this._web3
-      ? await this._web3.eth.getTransactionReceipt(txId)
-      : await this._ethersSigner.getTransactionReceipt(txId);
+    // Calibrate the gas model with the gas used by any optimistic transaction seen, not just those sent
+    if (this._gasModel.isModelled(methodName)) this._gasModel.record(methodName, decodedData, gasUsed);
 
-    return { decodedData, logs };
+    return { sighash, decodedData, logs };
   }
 
   // PRIVATE: returns if the transition results in the proposed new state
   async _isValidTransition(suspectHex, callDataHex, newStateHex, options = {}) {
-    const { pureVerifiers } = options;
+    const { pureVerifiers = this._pureVerifiers } = options;
 
-    // Decode sighash and user from calldata
-    const decodedCallData = this._logicDecoder.decodeFn(callDataHex);
-    const { sighash } = decodedCallData;
+    // Call data of a function that is not routed (for the state it starts from) cannot be a valid transition
+    const route = this._logicRouter.resolve(callDataHex);
+
+    if (!route) return false;
+
+    // Decode route key and user from calldata
+    const { key, fragment, codec, address = this._adapter.logicAddress } = route;
+    const decodedCallData = codec.decode(callDataHex).args;
     const user = decodedCallData[0];
 
     // If the user extracted from the calldata does not match, its invalid
     if (!compareHex(suspectHex, user)) return false;
 
-    try {
-      // If a pure function was provided to compute this locally, then use it
-      if (pureVerifiers?.[sighash]) return pureVerifiers[sighash](decodedCallData, newStateHex);
+    // If a pure function was provided to compute this locally, then use it
+    const verifierArgs = pureVerifiers?.[key] && this._getPureVerifierArgs(fragment, decodedCallData, newStateHex);
 
-      // If not, we ned to verify against with the node, which is slower
-      const callObject = { to: this._logicContract.options.address, data: callDataHex };
+    if (verifierArgs) return pureVerifiers[key](...verifierArgs);
 
-      // TODO: ethers path needs to be tested
-      return this._web3
-        ? compareHex(await this._web3.eth.call(callObject), newStateHex)
-        : compareHex(await this._ethersSigner.call(callObject), newStateHex);
-    } catch (err) {
-      console.log(err);
-      console.log(err.message);
-    }
+    // If a transition was registered, then use it to compute the expected new state locally
+    if (this._transitions[key]) return compareHex(toHex(this._applyTransition(route, callDataHex)), newStateHex);
+
+    // If not, we need to verify with the node, which is slower, where (as for the ORI contract) a revert means
+    // the call data results in no new state
+    const callObject = { to: address, data: callDataHex };
+    const computedNewStateHex = await this._adapter.call(callObject).catch((error) => {
+      if (error.reason === undefined) throw error;
 
-    return false;
+      return null;
+    });
+
+    return computedNewStateHex !== null && compareHex(computedNewStateHex, newStateHex);
   }
 
   // PRIVATE: performs an optimistic contract call, on-chain
-  _optimisticCall(functionName, args, newState, options) {
-    return this.isInOptimisticState
-      ? this._performOptimistically(functionName, args, newState, options)
-      : this._performOptimisticallyWhileEnteringOptimism(functionName, args, newState, options);
+  async _optimisticCall(functionName, args = [], newState, options) {
+    const computedNewState = newState
+      ? this._toState(newState)
+      : await this._computeNewState(functionName, this._state.currentState, args);
+
+    const result = this.isInOptimisticState
+      ? await this._performOptimistically(functionName, args, computedNewState, options)
+      : await this._performOptimisticallyWhileEnteringOptimism(functionName, args, computedNewState, options);
+
+    this._saveState();
+
+    return result;
   }
 
   // PRIVATE: performs a non-optimistic contract call, on-chain
   async _pessimisticCall(functionName, args, callOptions) {
-    if (!this.isInOptimisticState) return this._performPessimistically(functionName, args, callOptions);
+    if (this.isInOptimisticState) {
+      const { timestamp } = await this._adapter.getBlock();
+
+      assert(
+        timestamp > this._state.lastTime + this._lockTime,
+        new InsufficientTime('In optimistic state and cannot yet exit.')
+      );
+    }
+
+    const result = this.isInOptimisticState
+      ? await this._performPessimisticallyWhileExitingOptimism(functionName, args, callOptions)
+      : await this._performPessimistically(functionName, args, callOptions);
+
+    this._saveState();
+
+    return result;
+  }
+
+  // PRIVATE: Returns the gas limit of an ORI method call from the gas model (or the RPC gas estimate, if checked and higher)
+  async _estimateGas(methodName, args, callOptions = {}) {
+    const gas = this._gasModel.estimate(methodName, args);
+
+    if (!this._rpcGasCheck) return gas;
+
+    const rpcGas = await this._adapter.estimateORIGas(
+      methodName,
+      args,
+      Object.assign({}, callOptions, { gas: 5000000 })
+    );
+
+    return Math.max(gas, Number(rpcGas));
+  }
+
+  // PRIVATE: Sends an ORI method call, with a modelled gas limit if none given, and calibrates the gas model with its receipt
+  async _sendORI(methodName, args, callOptions = {}) {
+    if (!this._gasModel.isModelled(methodName)) return this._adapter.sendORI(methodName, args, callOptions);
+
+    const gas = callOptions.gas ?? (await this._estimateGas(methodName, args, callOptions));
+    const result = await this._adapter.sendORI(methodName, args, Object.assign({}, callOptions, { gas }));
+    this._gasModel.record(methodName, args, result.receipt.gasUsed);
+
+    return result;
+  }
+
+  // PRIVATE: Returns the gas limit of an ORI method call (the given one, or else modelled, or else estimated by the node)
+  async _getGasLimit(methodName, args, callOptions = {}) {
+    if (callOptions.gas) return callOptions.gas;
+
+    if (this._gasModel.isModelled(methodName)) return this._estimateGas(methodName, args, callOptions);
+
+    return Number(await this._adapter.estimateORIGas(methodName, args, callOptions));
+  }
+
+  // PRIVATE: Returns the call data of an ORI method call
+  _encodeORICall(methodName, args) {
+    const fragment = this._adapter.oriABI.find(({ type, name }) => type === 'function' && name === methodName);
+
+    return encodeFunctionCall(fragment, args);
+  }
+
+  // PRIVATE: Returns the values of the ORI events in some receipt logs, by event name (all ORI event params are indexed)
+  _decodeORIEvents(logs = []) {
+    const fragments = this._adapter.oriABI.filter(({ type }) => type === 'event');
+
+    return logs.reduce((events, { address, topics }) => {
+      const fragment = fragments.find((fragment) => topics[0] === getTopic(fragment));
+
+      if (!fragment || !compareHex(address, this._adapter.oriAddress)) return events;
+
+      events[fragment.name] = fragment.inputs.reduce((returnValues, { name, type }, i) => {
+        returnValues[name] = decodeTopic(type, topics[i + 1]);
+
+        return returnValues;
+      }, {});
+
+      return events;
+    }, {});
+  }
+
+  // PRIVATE: Sends an ORI method call and applies its result, or in unsigned mode, returns the unsigned transaction and
+  // keeps it pending, to apply its result once confirmed
+  async _submitORI(methodName, args, callOptions, apply) {
+    if (!this._unsigned) return apply(await this._sendORI(methodName, args, callOptions));
+
+    const { from, value = '0' } = callOptions;
+
+    const transaction = {
+      from,
+      to: this._adapter.oriAddress,
+      data: this._encodeORICall(methodName, args),
+      value,
+      gas: await this._getGasLimit(methodName, args, callOptions),
+    };
+
+    this._pendingTransaction = { methodName, args, transaction, apply };
+
+    return { transaction };
+  }
+
+  // PRIVATE: Returns the EIP-712 domain of the ORI contract
+  async _getDomain() {
+    this._domain = this._domain ?? getDomain(await this._adapter.readORI('chain_id'), this._adapter.oriAddress);
+
+    return this._domain;
+  }
+
+  // PRIVATE: Signs the user's authorization of an optimistic perform from the current account state, to be sent by a
+  // relayer for a fee, and returns the request for the relayer, keeping it pending to apply its result once confirmed
+  async _relayORI(methodName, args, relay, apply) {
+    const { fee = '0', relayer = ZERO_ADDRESS, deadline } = relay;
 
-    const { timestamp } = this._web3
-      ? await this._web3.eth.getBlock(await this._web3.eth.getBlockNumber())
-      : await this._ethersSigner.getBlock(await this._ethersSigner.getBlockNumber());
+    const balance = await this.getBalance();
+    assert(balance - this._requiredBond >= BigInt(fee), new InsufficientBalance('Insufficient balance for relay fee.'));
 
-    assert(timestamp >= this._state.lastTime + this._lockTime, 'In optimistic state and cannot yet exit.');
+    // All optimistic perform methods start with the call data (or array of call data) and the new state
+    const [callData, newState] = args;
 
-    return this._performPessimisticallyWhileExitingOptimism(functionName, args, callOptions);
+    const message = {
+      user: this._state.user,
+      accountState: this.accountState,
+      callData: [].concat(callData),
+      newState,
+      fee,
+      relayer,
+      deadline: deadline ?? (await this._adapter.getBlock()).timestamp + this._lockTime,
+    };
+
+    const typedData = getTypedData(await this._getDomain(), message);
+    const signature = await this._adapter.signTypedData(this._state.user, typedData);
+
+    // The authorization has the values as signed (i.e. the fee as a decimal string, and the default deadline)
+    const authorization = { fee: typedData.message.fee, relayer, deadline: typedData.message.deadline, signature };
+    const relayMethodName = `${methodName}_for`;
+    const relayArgs = [this._state.user].concat(args, [authorization]);
+
+    const request = {
+      user: this._state.user,
+      to: this._adapter.oriAddress,
+      data: this._encodeORICall(relayMethodName, relayArgs),
+      methodName: relayMethodName,
+      args: serializeValue(relayArgs),
+    };
+
+    this._pendingTransaction = { methodName: relayMethodName, args: relayArgs, transaction: request, apply };
+
+    return { request };
+  }
+
+  // PRIVATE: Returns the timestamp a transaction is expected to be mined at (the given one, or else the latest block's)
+  async _getExpectedTimestamp(options = {}) {
+    return options.timestamp ?? (await this._adapter.getBlock()).timestamp;
+  }
+
+  // PRIVATE: Returns the plan of an ORI method call, without sending it, with the account state it must be sent from,
+  // and the account state expected once it is mined (i.e. the call data tree root, state, and last time)
+  async _planORI(methodName, args, callOptions, effects) {
+    const { callDataElements = [], proof = [], newCallDataTree, newState, newLastTime } = effects;
+    const gas = await this._getGasLimit(methodName, args, callOptions);
+
+    return {
+      methodName,
+      args: serializeValue(args),
+      data: this._encodeORICall(methodName, args),
+      callOptions: Object.assign({}, callOptions, { gas }),
+      callDataElements: toHex(callDataElements),
+      proof: toHex(proof),
+      accountState: toHex(this.accountState),
+      newCallDataRoot: toHex(newCallDataTree.root),
+      newState: toHex(newState),
+      newLastTime,
+      newAccountState: toHex(hashPacked([newCallDataTree.root, toBuffer(newState), to32ByteBuffer(newLastTime)])),
+    };
   }
 
   // PRIVATE: Prepare optimistic calldata necessary for batch optimistic calls, within gas constraints (only for self)
-  async _prepareBatchCalldata(queue = [], options = {}) {
-    const { from = this._sourceAddress, gas = 1000000, estimator } = options;
+  async _prepareBatchCalldata(methodName, getArgs, queue = [], options = {}) {
+    const { from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only perform on own account.');
-    assert(queue.length > 1, 'Queue must contain at least 2.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only perform on own account.'));
+    assert(queue.length > 1, new InvalidQueue('Queue must contain at least 2.'));
 
     const callDataArray = [];
     const newStatesArray = [];
@@ -350,23 +729,26 @@ class OptimisticRollIn {
       newStatesArray.push(newState);
     }
 
-    const gasEstimator = (cdArray, ns) =>
-      estimator(cdArray, ns, this._state.callDataTree.appendMulti(cdArray, PROOF_OPTIONS).proof);
+    // The append proof only depends on the current call data tree, so it is the same for any batch size
+    const proof = this._state.callDataTree.generateAppendProof(PROOF_OPTIONS);
 
-    const index = await binarySearchGasCost(callDataArray, newStatesArray, gasEstimator, gas);
+    const gasEstimator = (cdArray, ns) => this._estimateGas(methodName, getArgs(cdArray, ns, proof), { from });
+
+    const index = await binarySearchGasCost(callDataArray, newStatesArray, gasEstimator, gas ?? DEFAULT_BATCH_GAS);
 
     const possibleCallDataArray = callDataArray.slice(0, index + 1);
     const newState = newStatesArray[index];
 
-    // Get the expected new call data tree and append proof
-    const { proof, newMerkleTree } = this._state.callDataTree.appendMulti(possibleCallDataArray, PROOF_OPTIONS);
+    // Get the expected new call data tree
+    const { newMerkleTree } = this._state.callDataTree.appendMulti(possibleCallDataArray, PROOF_OPTIONS);
     const callOptions = gas ? { from, gas } : { from };
     const remainingQueue = queue.slice(index + 1, queue.length);
 
     return {
+      args: getArgs(possibleCallDataArray, newState, proof),
       callDataArray: possibleCallDataArray,
-      newState,
       proof,
+      newState,
       callOptions,
       newMerkleTree,
       remainingQueue,
@@ -375,83 +757,105 @@ class OptimisticRollIn {
 
   // PRIVATE: Optimistically perform batch transitions while already in optimistic state, and update internal state (only for self)
   async _performBatchOptimistically(options = {}) {
-    const estimator = (callDataArray, newState, proof) =>
-      this._oriContract.methods
-        .perform_many_optimistically(
-          toHex(callDataArray),
-          toHex(newState),
-          toHex(proof.root),
-          toHex(proof.compactProof),
-          this._state.lastTime
-        )
-        .estimateGas({ gas: 5000000, from: this._state.user });
+    const getArgs = (callDataArray, newState, proof) => [
+      toHex(callDataArray),
+      toHex(newState),
+      toHex(proof.root),
+      toHex(proof.compactProof),
+      this._state.lastTime,
+    ];
 
     const {
+      args,
       callDataArray,
-      newState,
       proof,
+      newState,
       callOptions,
       newMerkleTree,
       remainingQueue,
-    } = await this._prepareBatchCalldata(this._queue, Object.assign({ estimator }, options));
+    } = await this._prepareBatchCalldata('perform_many_optimistically', getArgs, this._queue, options);
+
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: callDataArray,
+        proof: proof.compactProof,
+        newCallDataTree: newMerkleTree,
+        newState,
+        newLastTime: await this._getExpectedTimestamp(options),
+      };
+
+      return this._planORI('perform_many_optimistically', args, callOptions, effects);
+    }
 
-    const receipt = await this._oriContract.methods
-      .perform_many_optimistically(
-        toHex(callDataArray),
-        toHex(newState),
-        toHex(proof.root),
-        toHex(proof.compactProof),
-        this._state.lastTime
-      )
-      .send(callOptions);
+    const apply = ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_Optimistic_States];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_Optimistic_States];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+      this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
 
-    this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
+      this._queue.length = 0;
+      this._queue = remainingQueue;
 
-    this._queue.length = 0;
-    this._queue = remainingQueue;
+      return { newState, receipt };
+    };
+
+    if (options.relay) return this._relayORI('perform_many_optimistically', args, options.relay, apply);
 
-    return { newState, receipt };
+    return this._submitORI('perform_many_optimistically', args, callOptions, apply);
   }
 
   // PRIVATE: Optimistically perform batch transitions to enter optimistic state, and update internal state (only for self)
   async _performBatchOptimisticallyWhileEnteringOptimism(options = {}) {
-    const estimator = (callDataArray, newState, proof) =>
-      this._oriContract.methods
-        .perform_many_optimistically_and_enter(toHex(callDataArray), toHex(newState), toHex(proof.compactProof))
-        .estimateGas({ gas: 5000000, from: this._state.user });
+    const getArgs = (callDataArray, newState, proof) => [
+      toHex(callDataArray),
+      toHex(newState),
+      toHex(proof.compactProof),
+    ];
 
     const {
+      args,
       callDataArray,
-      newState,
       proof,
+      newState,
       callOptions,
       newMerkleTree,
       remainingQueue,
-    } = await this._prepareBatchCalldata(this._queue, Object.assign({ estimator }, options));
+    } = await this._prepareBatchCalldata('perform_many_optimistically_and_enter', getArgs, this._queue, options);
+
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: callDataArray,
+        proof: proof.compactProof,
+        newCallDataTree: newMerkleTree,
+        newState,
+        newLastTime: await this._getExpectedTimestamp(options),
+      };
+
+      return this._planORI('perform_many_optimistically_and_enter', args, callOptions, effects);
+    }
 
-    const receipt = await this._oriContract.methods
-      .perform_many_optimistically_and_enter(toHex(callDataArray), toHex(newState), toHex(proof.compactProof))
-      .send(callOptions);
+    const apply = ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_Optimistic_States];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_Optimistic_States];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+      this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
 
-    this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
+      this._queue.length = 0;
+      this._queue = remainingQueue;
 
-    this._queue.length = 0;
-    this._queue = remainingQueue;
+      return { newState, receipt };
+    };
+
+    if (options.relay) return this._relayORI('perform_many_optimistically_and_enter', args, options.relay, apply);
 
-    return { newState, receipt };
+    return this._submitORI('perform_many_optimistically_and_enter', args, callOptions, apply);
   }
 
   // PRIVATE: Prepare optimistic calldata necessary for single optimistic call (only for self)
   _prepareCalldata(functionName, args = [], options = {}) {
-    const { from = this._sourceAddress, gas = 100000 } = options;
+    const { from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only perform on own account.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only perform on own account.'));
 
     const callDataHex = this._getCalldata(this._state.user, this._state.currentState, functionName, args);
     const callData = toBuffer(callDataHex);
@@ -466,85 +870,355 @@ class OptimisticRollIn {
   async _performOptimistically(functionName, args = [], newState, options = {}) {
     const { callData, proof, newMerkleTree, callOptions } = this._prepareCalldata(functionName, args, options);
 
-    const receipt = await this._oriContract.methods
-      .perform_optimistically(
-        toHex(callData),
-        toHex(newState),
-        toHex(proof.root),
-        toHex(proof.compactProof),
-        this._state.lastTime
-      )
-      .send(callOptions);
+    const oriArgs = [
+      toHex(callData),
+      toHex(newState),
+      toHex(proof.root),
+      toHex(proof.compactProof),
+      this._state.lastTime,
+    ];
+
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: [callData],
+        proof: proof.compactProof,
+        newCallDataTree: newMerkleTree,
+        newState,
+        newLastTime: await this._getExpectedTimestamp(options),
+      };
+
+      return this._planORI('perform_optimistically', oriArgs, callOptions, effects);
+    }
+
+    const apply = ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_Optimistic_State];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
+
+      this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_Optimistic_State];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+      return { newState, receipt };
+    };
 
-    this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
+    if (options.relay) return this._relayORI('perform_optimistically', oriArgs, options.relay, apply);
 
-    return { newState, receipt };
+    return this._submitORI('perform_optimistically', oriArgs, callOptions, apply);
   }
 
   // PRIVATE: Optimistically perform a transition to enter optimistic state, and update internal state (only for self)
   async _performOptimisticallyWhileEnteringOptimism(functionName, args = [], newState, options = {}) {
     const { callData, proof, newMerkleTree, callOptions } = this._prepareCalldata(functionName, args, options);
 
-    const receipt = await this._oriContract.methods
-      .perform_optimistically_and_enter(toHex(callData), toHex(newState), toHex(proof.compactProof))
-      .send(callOptions);
+    const oriArgs = [toHex(callData), toHex(newState), toHex(proof.compactProof)];
+
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: [callData],
+        proof: proof.compactProof,
+        newCallDataTree: newMerkleTree,
+        newState,
+        newLastTime: await this._getExpectedTimestamp(options),
+      };
+
+      return this._planORI('perform_optimistically_and_enter', oriArgs, callOptions, effects);
+    }
+
+    const apply = ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_Optimistic_State];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
+
+      this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_Optimistic_State];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+      return { newState, receipt };
+    };
 
-    this._updateStateOptimistically(newMerkleTree, newState, Number(returnValues.block_time));
+    if (options.relay) return this._relayORI('perform_optimistically_and_enter', oriArgs, options.relay, apply);
 
-    return { newState, receipt };
+    return this._submitORI('perform_optimistically_and_enter', oriArgs, callOptions, apply);
   }
 
   // PRIVATE: Non-optimistically perform a transition, and update internal state (only for self)
   async _performPessimistically(functionName, args = [], options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only perform on own account.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only perform on own account.'));
 
     const callDataHex = this._getCalldata(this._state.user, this._state.currentState, functionName, args);
 
     const callOptions = gas ? { from, gas } : { from };
-    const receipt = await this._oriContract.methods.perform(callDataHex).send(callOptions);
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_State];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: [callDataHex],
+        newCallDataTree: new MerkleTree([], this._treeOptions),
+        newState: await this._computeNewState(functionName, this._state.currentState, args),
+        newLastTime: 0,
+      };
+
+      return this._planORI('perform', [callDataHex], callOptions, effects);
+    }
+
+    return this._submitORI('perform', [callDataHex], callOptions, ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_State];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
 
-    this._updateStatePessimistically(toBuffer(returnValues.new_state));
+      this._updateStatePessimistically(toBuffer(returnValues.new_state));
 
-    return { newState: returnValues.new_state, receipt };
+      return { newState: returnValues.new_state, receipt };
+    });
   }
 
   // PRIVATE: Non-optimistically perform a transition to exit optimistic state, and update internal state (only for self)
   async _performPessimisticallyWhileExitingOptimism(functionName, args = [], options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only perform on own account.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only perform on own account.'));
 
-    const callDataHex = await this._getCalldata(this._state.user, this._state.currentState, functionName, args);
+    const callDataHex = this._getCalldata(this._state.user, this._state.currentState, functionName, args);
 
     const callOptions = gas ? { from, gas } : { from };
+    const oriArgs = [callDataHex, toHex(this._state.callDataTree.root), this._state.lastTime];
 
-    const receipt = await this._oriContract.methods
-      .perform_and_exit(callDataHex, toHex(this._state.callDataTree.root), this._state.lastTime)
-      .send(callOptions);
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: [callDataHex],
+        newCallDataTree: new MerkleTree([], this._treeOptions),
+        newState: await this._computeNewState(functionName, this._state.currentState, args),
+        newLastTime: 0,
+      };
 
-    const { returnValues } = receipt.events[EVENTS.ORI_New_State];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
+      return this._planORI('perform_and_exit', oriArgs, callOptions, effects);
+    }
+
+    return this._submitORI('perform_and_exit', oriArgs, callOptions, ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_New_State];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
 
-    this._updateStatePessimistically(toBuffer(returnValues.new_state));
+      this._updateStatePessimistically(toBuffer(returnValues.new_state));
 
-    return { newState: returnValues.new_state, receipt };
+      return { newState: returnValues.new_state, receipt };
+    });
   }
 
-  // PRIVATE: queues a transition to be broadcasted in batch later
+  // PRIVATE: queues a transition to be broadcasted in batch later, and returns a promise of its new state
+  // Note: an invalid transition throws synchronously, and a transition is queued synchronously if the new state is given
+  //       or can be computed locally, otherwise the returned promise must be awaited before queueing more transitions
   _queueCall(functionName, args = [], newState) {
-    // TODO: assert that args.currentState is newState
-    this._queue.push({ functionName, args, newState });
+    const startingState = this.queuedState;
+
+    // Asserts that the function is routed for the state it is queued from
+    this._getLogicRoute(functionName, startingState);
+
+    // A given new state is checked locally, if possible, before it can be queued (if not, it is checked before sending)
+    const reason = newState
+      ? this._checkQueuedTransitionLocally(
+          { functionName, args, newState: this._toState(newState), startingState },
+          startingState
+        )
+      : null;
+
+    assert(
+      !reason,
+      new InvalidQueue(`Queued transition ${this._queue.length} (${functionName}) is invalid: ${reason}.`)
+    );
+
+    // Computed new states, and given ones already checked, do not need their new state checked again
+    const enqueue = (queuedNewState) => {
+      this._queue.push({ functionName, args, newState: queuedNewState, startingState, verified: reason === null });
+      this._saveState();
+
+      return { newState: queuedNewState };
+    };
+
+    const localNewState = newState
+      ? this._toState(newState)
+      : this._computeNewStateLocally(functionName, startingState, args);
+
+    if (localNewState) return Promise.resolve(enqueue(localNewState));
+
+    return this._computeNewState(functionName, startingState, args).then((computedNewState) => {
+      assert(this.queuedState === startingState, new InvalidQueue('Queue changed while computing new state.'));
+
+      return enqueue(computedNewState);
+    });
+  }
+
+  // PRIVATE: Returns why a queued transition is invalid (or null if valid), or undefined if it cannot be checked locally
+  _checkQueuedTransitionLocally(queuedTransition, expectedStartingState, options = {}) {
+    const { pureVerifiers = this._pureVerifiers } = options;
+    const { functionName, args, newState, startingState } = queuedTransition;
+
+    if (!startingState.equals(expectedStartingState)) {
+      return `starts from state ${toHex(startingState)} instead of ${toHex(expectedStartingState)}`;
+    }
+
+    if (queuedTransition.verified) return null;
+
+    const route = this._logicRouter.getRoute(functionName, startingState);
+
+    if (!route || !isPureOrView(route.fragment)) return `${functionName} is not a pure or view logic function`;
+
+    const expectedNewState = this._computeNewStateLocally(functionName, startingState, args);
+
+    if (expectedNewState) {
+      return expectedNewState.equals(newState)
+        ? null
+        : `results in state ${toHex(expectedNewState)} instead of ${toHex(newState)}`;
+    }
+
+    if (!pureVerifiers?.[route.key]) return undefined;
+
+    const callDataHex = this._getCalldata(this._state.user, startingState, functionName, args);
+    const decodedCallData = route.codec.decode(callDataHex).args;
+    const verifierArgs = this._getPureVerifierArgs(route.fragment, decodedCallData, toHex(newState));
+
+    if (!verifierArgs) return undefined;
+
+    const isValid = pureVerifiers[route.key](...verifierArgs);
+
+    return isValid ? null : `does not result in state ${toHex(newState)}, according to its pure verifier`;
+  }
+
+  // PRIVATE: Returns why a queued transition is invalid (or null if valid), checking with the logic contract if needed
+  async _checkQueuedTransition(queuedTransition, expectedStartingState, options = {}) {
+    const reason = this._checkQueuedTransitionLocally(queuedTransition, expectedStartingState, options);
+
+    if (reason !== undefined) return reason;
+
+    const { functionName, args, newState, startingState } = queuedTransition;
+    const expectedNewState = await this._computeNewState(functionName, startingState, args);
+
+    if (!expectedNewState.equals(newState)) {
+      return `results in state ${toHex(expectedNewState)} instead of ${toHex(newState)}`;
+    }
+
+    queuedTransition.verified = true;
+
+    return null;
+  }
+
+  // PRIVATE: Rebuilds state from chain, and drops queued transitions already sent (i.e. if local state was not updated)
+  async _reconcileQueue() {
+    const queue = this._queue;
+    const { transitionCount } = this;
+
+    await this.syncFromChain();
+
+    // Queued transitions are sent in order, so those sent are the transitions added to the call data tree since
+    const sentCount = Math.min(Math.max(this.transitionCount - transitionCount, 0), queue.length);
+
+    assert(
+      sentCount === 0 || queue[sentCount - 1].newState.equals(this._state.currentState),
+      new LocalStateMismatch('Queue does not match the transitions sent.')
+    );
+
+    this._queue = queue.slice(sentCount);
+    this._saveState();
+
+    return sentCount;
+  }
+
+  // PRIVATE: Returns the events that changed a user's account state, in the order they were emitted
+  async _getAccountEvents(user, fromBlock = 0) {
+    const eventFilters = [
+      [EVENTS.ORI_New_State, { user }],
+      [EVENTS.ORI_New_Optimistic_State, { user }],
+      [EVENTS.ORI_New_Optimistic_States, { user }],
+      [EVENTS.ORI_Rolled_Back, { user }],
+      [EVENTS.ORI_Unlocked, { suspect: user }],
+    ];
+
+    const eventLists = await Promise.all(
+      eventFilters.map(async ([eventName, filter]) => {
+        const events = await this._adapter.getPastEvents(eventName, { filter, fromBlock });
+
+        return events.map((event) => Object.assign({ eventName }, event));
+      })
+    );
+
+    return [].concat(...eventLists).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  // PRIVATE: Returns the logic function name and named args (beyond the user and current state) of call data, or nulls
+  // if not a call to a logic function that can be performed optimistically
+  _decodeTransitionCalldata(callDataHex) {
+    const route = this._logicRouter.resolve(callDataHex);
+
+    if (!route || !isPureOrView(route.fragment)) return { functionName: null, args: null };
+
+    const { fragment, codec } = route;
+    const decodedCallData = codec.decode(callDataHex).args;
+
+    const args = fragment.inputs.slice(2).reduce((args, { name }, i) => {
+      args[name] = serializeValue(decodedCallData[i + 2]);
+
+      return args;
+    }, {});
+
+    return { functionName: fragment.name, args };
+  }
+
+  // PRIVATE: Returns the transaction hash and block number that added each element of the user's call data tree, from
+  // the user's events (entering optimism, which starts a new tree, and rolling back, which truncates it)
+  async _getCalldataSources() {
+    const sources = [];
+    const events = await this._getAccountEvents(this._state.user);
+
+    for (const { eventName, transactionHash, blockNumber, returnValues } of events) {
+      if (eventName === EVENTS.ORI_Unlocked) continue;
+
+      if (eventName === EVENTS.ORI_New_State) {
+        sources.length = 0;
+        continue;
+      }
+
+      if (eventName === EVENTS.ORI_Rolled_Back) {
+        sources.length = Number(returnValues.tree_size);
+        continue;
+      }
+
+      const { data } = await this._adapter.getTransaction(transactionHash);
+      const { call_data: callDataHex, call_data_root: callDataRootHex } = this._oriCodec.decode(data).args;
+
+      // Methods entering optimism have no call data root, as they start a new tree (i.e. also after archiving)
+      if (callDataRootHex === undefined) sources.length = 0;
+
+      [].concat(callDataHex).forEach(() => sources.push({ transactionHash, blockNumber }));
+    }
+
+    return sources;
+  }
+
+  // PRIVATE: Applies an on-chain event (and its transaction's input, if needed) to the internal state
+  async _replayEvent({ eventName, transactionHash, returnValues }) {
+    if (eventName === EVENTS.ORI_New_State) {
+      this._updateStatePessimistically(toBuffer(returnValues.new_state));
+      return;
+    }
+
+    if (eventName === EVENTS.ORI_Unlocked) {
+      // Unlocking an account that is not in optimistic state does not change its last time
+      if (Number(returnValues.block_time) !== 0) this._state.lastTime = Number(returnValues.block_time);
+
+      return;
+    }
+
+    if (eventName === EVENTS.ORI_Rolled_Back) {
+      const treeSize = Number(returnValues.tree_size);
+      const elements = this._state.callDataTree.elements;
+      const currentState = elements[treeSize].slice(36, 68);
+      const oldCallDataTree = new MerkleTree(elements.slice(0, treeSize), this._treeOptions);
+      this._updateStateOptimistically(oldCallDataTree, currentState, Number(returnValues.block_time));
+
+      return;
+    }
+
+    const { data } = await this._adapter.getTransaction(transactionHash);
+    const { call_data: callDataHex, new_state: newStateHex } = this._oriCodec.decode(data).args;
+
+    // Call data is either a single element or an array of elements, depending on the perform function
+    const elements = this._state.callDataTree.elements.concat(toBuffer(callDataHex));
+    const newMerkleTree = new MerkleTree(elements, this._treeOptions);
+    this._updateStateOptimistically(newMerkleTree, toBuffer(newStateHex), Number(returnValues.block_time));
   }
 
   // PRIVATE: Creates and stores an ORI instance by cloning current instance, and setting account to fraudulent user's data
@@ -552,21 +1226,90 @@ class OptimisticRollIn {
     const { suspect } = parameters;
 
     const options = {
-      oriContract: this._oriContract,
-      logicContract: this._logicContract,
+      adapter: this._adapter,
       sourceAddress: this._sourceAddress,
       treeOptions: this._treeOptions,
-      optimismDecoder: this._optimismDecoder,
-      logicDecoder: this._logicDecoder,
-      web3: this._web3,
-      ethers: this._ethers,
-      ethersSigner: this._ethersSigner,
+      oriCodec: this._oriCodec,
+      logicRouter: this._logicRouter,
+      stateCodec: this._stateCodec,
       parentORI: this,
       requiredBond: this._requiredBond,
       lockTime: this._lockTime,
+      gasModel: this._gasModel,
+      rpcGasCheck: this._rpcGasCheck,
     };
 
-    this._frauds[suspect.toLowerCase()] = OptimisticRollIn.fraudsterFromProof(parameters, options);
+    const fraudster = OptimisticRollIn.fraudsterFromProof(parameters, options);
+    const trackedFraudster = this._frauds[suspect.toLowerCase()];
+
+    // A tracked fraudster is not replaced by one from an older transaction (i.e. one verified again), which lacks the
+    // suspect's later transitions
+    if (trackedFraudster && trackedFraudster.transitionCount >= fraudster.transitionCount) return trackedFraudster;
+
+    this._frauds[suspect.toLowerCase()] = fraudster;
+
+    return fraudster;
+  }
+
+  // PRIVATE: Optimistically performs the first queued transition on its own, and removes it from the queue
+  async _sendQueuedTransition(options = {}) {
+    const [{ functionName, args, newState }] = this._queue;
+
+    const result = this.isInOptimisticState
+      ? await this._performOptimistically(functionName, args, newState, options)
+      : await this._performOptimisticallyWhileEnteringOptimism(functionName, args, newState, options);
+
+    this._queue = this._queue.slice(1);
+    this._saveState();
+
+    return result;
+  }
+
+  // PRIVATE: Returns the key under which this account's state is saved in storage
+  _getStorageKey() {
+    return `${this._adapter.oriAddress.toLowerCase()}:${this._state.user}`;
+  }
+
+  // PRIVATE: Saves the exported state to storage, if autosaving (fraudsters are saved as part of their parent's state)
+  _saveState() {
+    if (this._parentORI) return this._parentORI._saveState();
+
+    if (!this._storage || !this._autosave) return;
+
+    this._storage.save(this._getStorageKey(), this.exportState());
+  }
+
+  // PRIVATE: Returns the serialized state of a fraudster (its partial tree is rebuilt from the original append proof)
+  _exportFraudsterState() {
+    const { appendElements, compactProof, elementCount } = this._appendProof;
+
+    return {
+      appendProof: { appendElements, compactProof },
+      appendedCallData: toHex(this._state.callDataTree.elements.slice(elementCount)),
+      currentState: toHex(this._state.currentState),
+      lastTime: this._state.lastTime,
+      fraudIndex: this._state.fraudIndex,
+    };
+  }
+
+  // PRIVATE: Creates and stores a fraudster ORI instance from its serialized state
+  _importFraudsterState(suspect, fraudsterState) {
+    const { appendProof, appendedCallData = [], currentState, lastTime, fraudIndex } = fraudsterState;
+
+    const fraudster = this._recordFraud({
+      suspect,
+      fraudIndex: 0,
+      callDataArrayHex: appendProof.appendElements,
+      newStateHex: currentState,
+      proofHex: appendProof.compactProof,
+      lastTime,
+    });
+
+    if (appendedCallData.length) {
+      fraudster._state.callDataTree = fraudster._state.callDataTree.append(toBuffer(appendedCallData));
+    }
+
+    fraudster._state.fraudIndex = fraudIndex;
   }
 
   // PRIVATE: Updates the state with new call data tree, new state, and last optimistic time
@@ -583,27 +1326,37 @@ class OptimisticRollIn {
     this._state.lastTime = 0;
   }
 
+  // PRIVATE: Returns the call data tree with call data appended (to a fraudster's partial tree, or the account's own tree)
+  _appendToCallDataTree(callDataArray) {
+    const tree = this._state.callDataTree;
+
+    return tree instanceof PartialMerkleTree
+      ? tree.append(callDataArray)
+      : tree.appendMulti(callDataArray, PROOF_OPTIONS).newMerkleTree;
+  }
+
   // PRIVATE: Updates internal account given some new batch optimistic transitions
   _updateWithBatchTransitions(decodedOptimismData, lastTime) {
-    // Decode the optimism input data
+    // Decode the optimism input data (where transactions entering optimism have no call data root or last time, as
+    // they start from the account's own)
     const {
       call_data: callDataArrayHex,
       new_state: newStateHex,
-      call_data_root: callDataRootHex,
-      last_time: originalLastTimeBN,
+      call_data_root: callDataRootHex = toHex(this._state.callDataTree.root),
+      last_time: originalLastTime = 0,
     } = decodedOptimismData;
 
-    assert(originalLastTimeBN.toNumber() === this._state.lastTime, 'Last time mismatch.');
-    assert(toBuffer(callDataRootHex).equals(this._state.callDataTree.root), 'Root mismatch.');
+    assert(Number(originalLastTime) === this._state.lastTime, new LocalStateMismatch('Last time mismatch.'));
+    assert(toBuffer(callDataRootHex).equals(this._state.callDataTree.root), new LocalStateMismatch('Root mismatch.'));
 
     // TODO: check user matches
-    const user = this._logicDecoder.decodeFn(callDataArrayHex[0])[0].toLowerCase();
+    const user = getUserHex(callDataArrayHex[0]);
 
     // Check that this last transition was valid, by decoding arg from calldata and compute expected new state
-    const startingStateHex = this._logicDecoder.decodeFn(callDataArrayHex[0])[1];
-    assert(toBuffer(startingStateHex).equals(this._state.currentState), 'State mismatch.');
+    const startingStateHex = getStartingStateHex(callDataArrayHex[0]);
+    assert(toBuffer(startingStateHex).equals(this._state.currentState), new LocalStateMismatch('State mismatch.'));
 
-    const newMerkleTree = this._state.callDataTree.append(toBuffer(callDataArrayHex));
+    const newMerkleTree = this._appendToCallDataTree(toBuffer(callDataArrayHex));
     this._updateStateOptimistically(newMerkleTree, toBuffer(newStateHex), lastTime);
 
     return { user };
@@ -611,55 +1364,64 @@ class OptimisticRollIn {
 
   // PRIVATE: Updates internal account given some new optimistic transition
   _updateWithTransition(decodedOptimismData, lastTime) {
-    // Decode the optimism input data
+    // Decode the optimism input data (where transactions entering optimism have no call data root or last time, as
+    // they start from the account's own)
     const {
       call_data: callDataHex,
       new_state: newStateHex,
-      call_data_root: callDataRootHex,
-      last_time: originalLastTimeBN,
+      call_data_root: callDataRootHex = toHex(this._state.callDataTree.root),
+      last_time: originalLastTime = 0,
     } = decodedOptimismData;
 
-    assert(originalLastTimeBN.toNumber() === this._state.lastTime, 'Last time mismatch.');
-    assert(toBuffer(callDataRootHex).equals(this._state.callDataTree.root), 'Root mismatch.');
+    assert(Number(originalLastTime) === this._state.lastTime, new LocalStateMismatch('Last time mismatch.'));
+    assert(toBuffer(callDataRootHex).equals(this._state.callDataTree.root), new LocalStateMismatch('Root mismatch.'));
 
     // TODO: check user matches
-    const user = this._logicDecoder.decodeFn(callDataHex)[0].toLowerCase();
+    const user = getUserHex(callDataHex);
 
     // Check that this last transition was valid, by decoding arg from calldata and compute expected new state
-    const startingStateHex = this._logicDecoder.decodeFn(callDataHex)[1];
-    assert(toBuffer(startingStateHex).equals(this._state.currentState), 'State mismatch.');
+    const startingStateHex = getStartingStateHex(callDataHex);
+    assert(toBuffer(startingStateHex).equals(this._state.currentState), new LocalStateMismatch('State mismatch.'));
 
-    const newMerkleTree = this._state.callDataTree.append(toBuffer(callDataHex));
+    const newMerkleTree = this._appendToCallDataTree([toBuffer(callDataHex)]);
     this._updateStateOptimistically(newMerkleTree, toBuffer(newStateHex), lastTime);
 
     return { user };
   }
 
+  // PRIVATE: Returns the index of the first invalid transition of a batch, or -1 if all are valid
+  async _findInvalidTransition(suspectHex, callDataArrayHex, newStateHex, options) {
+    // Compute what the new states should have been, from the original state (each transition's resulting state is the
+    // next one's starting state, so only each transition's own call data needs decoding)
+    for (let i = 0; i < callDataArrayHex.length; i++) {
+      const intermediateStateHex =
+        i === callDataArrayHex.length - 1 ? newStateHex : getStartingStateHex(callDataArrayHex[i + 1]);
+
+      if (!(await this._isValidTransition(suspectHex, callDataArrayHex[i], intermediateStateHex, options))) return i;
+    }
+
+    return -1;
+  }
+
   // PRIVATE: Verifies batch optimistic transitions, and creates a fraudster ORI if fraud is found
   async _verifyBatchTransitions(suspectHex, decodedOptimismData, lastTime, options) {
     // Decode the optimism input data
     const { call_data: callDataArrayHex, new_state: newStateHex, proof: proofHex } = decodedOptimismData;
 
-    // Compute what the new states should have been, from the original state
-    for (let i = 0; i < callDataArrayHex.length; i++) {
-      const intermediateStateHex =
-        i === callDataArrayHex.length - 1 ? newStateHex : this._logicDecoder.decodeFn(callDataArrayHex[i + 1])[1];
-
-      if (await this._isValidTransition(suspectHex, callDataArrayHex[i], intermediateStateHex, options)) continue;
+    const fraudIndex = await this._findInvalidTransition(suspectHex, callDataArrayHex, newStateHex, options);
 
-      this._recordFraud({
-        suspect: suspectHex,
-        fraudIndex: i,
-        callDataArrayHex,
-        newStateHex,
-        proofHex,
-        lastTime,
-      });
+    if (fraudIndex < 0) return { valid: true, user: suspectHex };
 
-      return { valid: false, user: suspectHex };
-    }
+    this._recordFraud({
+      suspect: suspectHex,
+      fraudIndex,
+      callDataArrayHex,
+      newStateHex,
+      proofHex,
+      lastTime,
+    });
 
-    return { valid: true, user: suspectHex };
+    return { valid: false, user: suspectHex };
   }
 
   // PRIVATE: Verifies an optimistic transition, and creates a fraudster ORI if fraud is found
@@ -683,52 +1445,246 @@ class OptimisticRollIn {
     return { valid: false, user: suspectHex };
   }
 
-  // PUBLIC: Export state (optimistic calldata elements, current state, and lastTime)
+  // PUBLIC: Export JSON-safe state (optimistic calldata elements, current state, lastTime, queue, and fraudsters)
   exportState() {
+    const { callDataTree, currentState, lastTime } = this._state;
+
+    const localQueue = this._queue.map(({ functionName, args, newState, startingState }) => ({
+      functionName,
+      args: serializeValue(args),
+      newState: toHex(newState),
+      startingState: toHex(startingState),
+    }));
+
+    const fraudsters = Object.entries(this._frauds ?? {})
+      .filter(([, fraudster]) => fraudster)
+      .reduce((fraudsters, [suspect, fraudster]) => {
+        fraudsters[suspect] = fraudster._exportFraudsterState();
+
+        return fraudsters;
+      }, {});
+
     return {
-      callDataElements: toHex(this._state.callDataTree.elements),
-      currentState: toHex(this._state.currentState),
-      lastTime: this._state.lastTime,
-      localQueue: this._queue,
+      version: STATE_VERSION,
+      callDataElements: callDataTree ? toHex(callDataTree.elements) : [],
+      currentState: currentState ? toHex(currentState) : null,
+      lastTime,
+      localQueue,
+      fraudsters,
+      lastProcessedEvent: this._lastProcessedEvent,
     };
   }
 
-  // PUBLIC: Import state (optimistic calldata elements, current state, and lastTime)
-  importState({ callDataElements = [], currentState, lastTime, localQueue = [] }) {
-    this._state.callDataTree = new MerkleTree(toBuffer(callDataElements), this._treeOptions);
-    this._state.currentState = toBuffer(currentState);
+  // PUBLIC: Import state (optimistic calldata elements, current state, lastTime, queue, fraudsters, and autoVerify progress)
+  importState(exportedState) {
+    const {
+      version,
+      callDataElements = [],
+      currentState,
+      lastTime,
+      localQueue = [],
+      fraudsters = {},
+      lastProcessedEvent = null,
+    } = exportedState;
+
+    // Unversioned states were exported before queues and fraudsters were serialized
+    assert(!version || version === STATE_VERSION, `Unsupported state version ${version}.`);
+
+    this._state.callDataTree = currentState ? new MerkleTree(toBuffer(callDataElements), this._treeOptions) : null;
+    this._state.currentState = currentState ? toBuffer(currentState) : null;
     this._state.lastTime = lastTime;
-    this._queue = localQueue.slice();
+
+    // Queues exported without starting states are assumed to chain from the current state
+    this._queue = localQueue.map(({ functionName, args, newState, startingState }, i) => ({
+      functionName,
+      args,
+      newState: toBuffer(newState),
+      startingState: toBuffer(startingState ?? (i === 0 ? currentState : localQueue[i - 1].newState)),
+    }));
+
+    this._lastProcessedEvent = lastProcessedEvent;
+
+    if (!this._frauds) return;
+
+    this._frauds = {};
+    Object.entries(fraudsters).forEach(([suspect, fraudsterState]) =>
+      this._importFraudsterState(suspect, fraudsterState)
+    );
+  }
+
+  // PUBLIC: Exits optimism (if in it) and sends the entire balance to some destination, leaving the account locked by
+  // the user until unarchived (only for self)
+  async archive(destination = this._state.user, options = {}) {
+    const { from = this._sourceAddress, gas } = options;
+
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only archive own account.'));
+    assert(!(await this.getLocker()), new AccountLocked('Account locked.'));
+
+    const { timestamp } = await this._adapter.getBlock();
+    assert(
+      timestamp > this._state.lastTime + this._lockTime,
+      new InsufficientTime('In optimistic state and cannot yet exit.')
+    );
+
+    const amount = await this.getBalance();
+    const callOptions = gas ? { from, gas } : { from };
+    return this._submitORI(
+      'archive',
+      [destination, toHex(this._state.callDataTree.root), toHex(this._state.currentState), this._state.lastTime],
+      callOptions,
+      ({ receipt }) => {
+        // The contract resets the call data tree and last time, keeping the current state
+        this._updateStatePessimistically(this._state.currentState);
+        this._saveState();
+
+        return { amount, receipt };
+      }
+    );
   }
 
   // PUBLIC: Bonds the user's account, using the source address (which may be the same as the user)
   async bond() {
     const amountRequired = this._requiredBond - (await this.getBalance());
-    assert(amountRequired > 0n, 'Bond not required.');
+    assert(amountRequired > 0n, new AlreadyBonded('Bond not required.'));
 
     const callOptions = { value: amountRequired.toString(), from: this._sourceAddress };
-    const receipt = await this._oriContract.methods.bond(this._state.user).send(callOptions);
-
-    return { receipt };
+    return this._submitORI('bond', [this._state.user], callOptions, ({ receipt }) => ({ receipt }));
   }
 
   // PUBLIC: Clear the queued transitions
   clearQueue() {
     this._queue.length = 0;
+    this._saveState();
+  }
+
+  // PUBLIC: Applies the pending unsigned transaction or relay request to the local state, given its hash or receipt
+  // once mined
+  // Note: only the last transaction built is pending, since each is built from the local state before it
+  async confirm(txHashOrReceipt) {
+    const pending = this._pendingTransaction;
+    assert(pending, new NoPendingTransaction('No pending transaction.'));
+
+    const receipt =
+      typeof txHashOrReceipt === 'string'
+        ? await this._adapter.getTransactionReceipt(txHashOrReceipt)
+        : txHashOrReceipt;
+
+    assert(receipt, new NotMined('Transaction not yet mined.'));
+
+    const { to, data } = await this._adapter.getTransaction(receipt.transactionHash);
+
+    assert(
+      compareHex(to, pending.transaction.to) && compareHex(data, pending.transaction.data),
+      new LocalStateMismatch('Transaction does not match the pending transaction.')
+    );
+
+    this._pendingTransaction = null;
+
+    // Failed transactions have a falsy status (false with web3, 0 with ethers)
+    assert(receipt.status, new ContractReverted('Transaction reverted.', { reason: null }));
+
+    const { methodName, args, apply } = pending;
+
+    if (this._gasModel.isModelled(methodName)) this._gasModel.record(methodName, args, receipt.gasUsed);
+
+    // Receipts of web3 contract sends (i.e. a relayer's) have their logs decoded as events, so the raw logs are fetched
+    const { logs } = receipt.logs ? receipt : await this._adapter.getTransactionReceipt(receipt.transactionHash);
+
+    const result = await apply({ receipt, events: this._decodeORIEvents(logs) });
+    this._saveState();
+
+    return result;
   }
 
   // PUBLIC: Delete internal fraudster object
   deleteFraudster(user) {
     this._frauds[user.toLowerCase()] = null;
+    this._saveState();
+  }
+
+  // PUBLIC: Adds to the user's balance beyond their bond (i.e. to pay relayers' fees), from the source address
+  async deposit(amount, options = {}) {
+    const { from = this._sourceAddress, gas } = options;
+
+    assert(await this.isBonded(), new InsufficientBond('Account not bonded.'));
+
+    const callOptions = { from, value: BigInt(amount).toString() };
+
+    if (gas) callOptions.gas = gas;
+
+    return this._submitORI('deposit', [this._state.user], callOptions, ({ receipt }) => ({
+      amount: BigInt(amount),
+      receipt,
+    }));
+  }
+
+  // PUBLIC: Sends the entire queue, in as many transactions as needed, and returns their receipts (only for self)
+  // If any transaction fails, the transitions not yet sent remain queued, so calling this again resumes
+  async flushQueue(options = {}) {
+    const { onProgress, validate = true } = options;
+
+    assert(!this._unsigned, new UnsupportedOperation('Cannot flush the queue in unsigned mode.'));
+    assert(this._queue.length > 0, new InvalidQueue('Queue is empty.'));
+
+    // A previous flush may have failed after a transaction was mined, but before local state was updated
+    const accountState = await this.getAccountState();
+
+    if (!accountState?.equals(this.accountState)) await this._reconcileQueue();
+
+    if (validate) {
+      const { valid, index, functionName, reason } = await this.validateQueue(options);
+      assert(valid, new InvalidQueue(`Queued transition ${index} (${functionName}) is invalid: ${reason}.`));
+    }
+
+    const transitionCount = this._queue.length;
+    const receipts = [];
+
+    while (this._queue.length) {
+      const { receipt } =
+        this._queue.length > 1
+          ? await this.sendQueue(Object.assign({}, options, { validate: false }))
+          : await this._sendQueuedTransition(options);
+
+      receipts.push(receipt);
+
+      if (onProgress) {
+        const transitionsRemaining = this._queue.length;
+        onProgress({ receipt, transitionsSent: transitionCount - transitionsRemaining, transitionsRemaining });
+      }
+    }
+
+    return { receipts };
   }
 
   // PUBLIC: Returns the account user's balance (on chain)
   async getAccountState(user = this._state.user) {
-    const accountState = await this._oriContract.methods.account_states(user).call();
+    const accountState = await this._adapter.readORI('account_states', [user]);
 
     return accountState === ZERO_BYTES_32 ? null : toBuffer(accountState);
   }
 
+  // PUBLIC: Returns the on-chain status of the account user's account (state, balance, bond, lock, and rollback size)
+  async getAccountStatus(user = this._state.user) {
+    const [accountState, balance, locker, lockTimestamp, rollbackSize] = await Promise.all([
+      this.getAccountState(user),
+      this.getBalance(user),
+      this.getLocker(user),
+      this.getLockTimestamp(user),
+      this.getRollbackSize(user),
+    ]);
+
+    return {
+      user: user.toLowerCase(),
+      initialized: !!accountState,
+      accountState,
+      balance,
+      bonded: balance >= this._requiredBond,
+      locker,
+      lockTimestamp,
+      rollbackSize,
+    };
+  }
+
   // PUBLIC: Returns true if the account is initialized (on chain)
   async isInitialized(user = this._state.user) {
     return !!(await this.getAccountState(user));
@@ -736,9 +1692,14 @@ class OptimisticRollIn {
 
   // PUBLIC: Returns the account user's balance (on chain)
   async getBalance(user = this._state.user) {
-    const balance = await this._oriContract.methods.balances(user).call();
+    const balance = await this._adapter.readORI('balances', [user]);
+
+    return BigInt(balance);
+  }
 
-    return BigInt(balance.toString());
+  // PUBLIC: Returns the current gas price (on chain)
+  async getGasPrice() {
+    return this._adapter.getGasPrice();
   }
 
   // PUBLIC: Returns true if the account is sufficiently bonded (on chain)
@@ -753,57 +1714,105 @@ class OptimisticRollIn {
 
   // PUBLIC: Returns the locked of this account, if any (on chain)
   async getLocker(user = this._state.user) {
-    const locker = await this._oriContract.methods.lockers(user).call();
+    const locker = await this._adapter.readORI('lockers', [user]);
 
     return compareHex(locker, ZERO_ADDRESS) ? null : locker.toLowerCase();
   }
 
   // PUBLIC: Returns lock time for the account (on chain)
   async getLockTimestamp(user = this._state.user) {
-    const lockTimestamp = await this._oriContract.methods.locked_timestamps(user).call();
+    const lockTimestamp = await this._adapter.readORI('locked_timestamps', [user]);
 
     return Number(lockTimestamp);
   }
 
   // PUBLIC: Returns the rollback size that the account needs to be rolled back to (on chain)
   async getRollbackSize(user = this._state.user) {
-    const rollbackSize = await this._oriContract.methods.rollback_sizes(user).call();
+    const rollbackSize = await this._adapter.readORI('rollback_sizes', [user]);
 
     return Number(rollbackSize);
   }
 
-  // PUBLIC: Returns approximate time remaining until account can exit optimism (on chain)
+  // PUBLIC: Returns the optimistic transitions in the call data tree (for fraudsters, only those in their proof), each
+  // with its logic function name and named args (beyond the user and current state), starting and resulting states
+  // (and, with a state codec, their decoded field values), and the transaction and block that added it
+  async getTransitionHistory() {
+    const { callDataTree, currentState } = this._state;
+    const { elements } = callDataTree;
+    const sources = await this._getCalldataSources();
+
+    // A fraudster's call data tree is as of the fraudulent transaction, so the user may have since added to theirs
+    assert(
+      sources.length === elements.length || (this._frauds === null && sources.length > elements.length),
+      new LocalStateMismatch('Call data tree does not match on-chain events.')
+    );
+
+    return elements.reduce((history, element, index) => {
+      if (!element) return history;
+
+      const { functionName, args } = this._decodeTransitionCalldata(toHex(element));
+      const nextElement = elements[index + 1];
+      const startingState = element.slice(36, 68);
+      const resultingState = nextElement ? nextElement.slice(36, 68) : currentState;
+
+      const transition = {
+        index,
+        functionName,
+        args,
+        startingState: toHex(startingState),
+        resultingState: toHex(resultingState),
+        transactionHash: sources[index].transactionHash,
+        blockNumber: sources[index].blockNumber,
+      };
+
+      if (this._stateCodec) {
+        transition.decodedStartingState = serializeValue(this.decodeState(startingState));
+        transition.decodedResultingState = serializeValue(this.decodeState(resultingState));
+      }
+
+      history.push(transition);
+
+      return history;
+    }, []);
+  }
+
+  // PUBLIC: Returns approximate time remaining until the account's lock expires (on chain)
   async getLockTimeRemaining(user = this._state.user) {
-    const { timestamp } = this._web3
-      ? await this._web3.eth.getBlock(await this._web3.eth.getBlockNumber())
-      : await this._ethersSigner.getBlock(await this._ethersSigner.getBlockNumber());
+    const { timestamp } = await this._adapter.getBlock();
 
-    const timeRemaining = timestamp - ((await this.getLockTimestamp(user)) + this._lockTime);
+    const timeRemaining = (await this.getLockTimestamp(user)) + this._lockTime - timestamp;
 
     return timeRemaining > 0 ? timeRemaining : 0;
   }
 
+  // PUBLIC: Returns true if the account is locked and the lock has expired, so it can be unlocked (on chain)
+  async isLockExpired(user = this._state.user) {
+    if (!(await this.getLocker(user))) return false;
+
+    return (await this.getLockTimeRemaining(user)) === 0;
+  }
+
   // PUBLIC: Initialize the on-chain account and the internal state (only for self)
   async initialize(options = {}) {
     const { deposit = '0', from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only initialize own account.');
-    assert(!(await this.getAccountState()), 'Already Initialized.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only initialize own account.'));
+    assert(!(await this.getAccountState()), new AlreadyInitialized('Already Initialized.'));
 
     const amountRequired = this._requiredBond - (await this.getBalance());
     const additionalBond = amountRequired > 0n ? amountRequired : 0n;
     const value = (BigInt(deposit) + additionalBond).toString();
 
     const callOptions = gas ? { from, value, gas } : { from, value };
-    const receipt = await this._oriContract.methods.initialize().send(callOptions);
-
-    const { user } = receipt.events[EVENTS.ORI_New_State].returnValues;
-    assert(compareHex(user, this._state.user), 'Unexpected user.');
+    return this._submitORI('initialize', [], callOptions, ({ receipt, events }) => {
+      const { user, new_state: newState } = events[EVENTS.ORI_New_State];
+      assert(compareHex(user, this._state.user), new LocalStateMismatch('Unexpected user.'));
 
-    const newState = receipt.events[EVENTS.ORI_New_State].returnValues.new_state;
-    this._updateStatePessimistically(toBuffer(newState));
+      this._updateStatePessimistically(toBuffer(newState));
+      this._saveState();
 
-    return { newState, receipt };
+      return { newState, receipt };
+    });
   }
 
   // PUBLIC: Returns whether the account is in an optimistic state (on chain)
@@ -819,65 +1828,83 @@ class OptimisticRollIn {
   async lock(options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    assert(!(await this.getLocker()), 'Account already locked.');
+    assert(!(await this.getLocker()), new AccountLocked('Account already locked.'));
 
     const amountRequired = this._requiredBond - (await this.getBalance(from));
     const value = amountRequired > 0n ? amountRequired.toString() : '0';
     const callOptions = { from, value, gas: gas ?? 140000 };
-    const receipt = await this._oriContract.methods.lock(this._state.user).send(callOptions);
-
-    const { returnValues } = receipt.events[EVENTS.ORI_Locked];
-    assert(compareHex(returnValues.accuser, this._sourceAddress), 'Unexpected accuser.');
-    assert(compareHex(returnValues.suspect, this._state.user), 'Unexpected suspect.');
+    return this._submitORI('lock', [this._state.user], callOptions, ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_Locked];
+      assert(compareHex(returnValues.accuser, this._sourceAddress), new LocalStateMismatch('Unexpected accuser.'));
+      assert(compareHex(returnValues.suspect, this._state.user), new LocalStateMismatch('Unexpected suspect.'));
 
-    return { receipt };
+      return { receipt };
+    });
   }
 
-  // PUBLIC: Submit proof to ORI contract that account user committed fraud
+  // PUBLIC: Submit proof to ORI contract that account user committed fraud (or, with dryRun, only return its plan)
   async proveFraud(options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    // Build a Multi Proof for the call data of the fraudulent transition
-    const indices = [this._state.fraudIndex, this._state.fraudIndex + 1];
+    // Build a Multi Proof for the call data of the fraudulent transition, and of the next transition (for its starting
+    // state), unless the fraudulent transition is the last, in which case its new state is the current state
+    const isLastTransition = this._state.fraudIndex === this.transitionCount - 1;
+    const indices = isLastTransition ? [this._state.fraudIndex] : [this._state.fraudIndex, this._state.fraudIndex + 1];
     const { root, elements, compactProof } = this._state.callDataTree.generateMultiProof(indices, PROOF_OPTIONS);
 
     const callOptions = gas ? { from, gas } : { from };
+    const oriArgs = [
+      this._state.user,
+      toHex(elements),
+      toHex(this._state.currentState),
+      toHex(root),
+      toHex(compactProof),
+      this._state.lastTime,
+    ];
+
+    // Proving fraud leaves the suspect's account state unchanged (until rolled back)
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: elements,
+        proof: compactProof,
+        newCallDataTree: this._state.callDataTree,
+        newState: this._state.currentState,
+        newLastTime: this._state.lastTime,
+      };
+
+      return this._planORI('prove_fraud', oriArgs, callOptions, effects);
+    }
 
     // Prove the fraud
-    const receipt = await this._oriContract.methods
-      .prove_fraud(
-        this._state.user,
-        toHex(elements),
-        toHex(this._state.currentState),
-        toHex(root),
-        toHex(compactProof),
-        this._state.lastTime
-      )
-      .send(callOptions);
-
-    const { returnValues } = receipt.events[EVENTS.ORI_Fraud_Proven];
-    assert(compareHex(returnValues.accuser, this._sourceAddress), 'Unexpected accuser.');
-    assert(compareHex(returnValues.suspect, this._state.user), 'Unexpected suspect.');
-    assert(Number(returnValues.transition_index) === this._state.fraudIndex, 'Unexpected index.');
-
-    // TODO: This is just a hack to prevent re-proving fraud after the first success
-    this._state.fraudIndex = null;
-
-    if (this._parentORI) {
-      this._parentORI.deleteFraudster(this._state.user);
-    }
+    return this._submitORI('prove_fraud', oriArgs, callOptions, ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_Fraud_Proven];
+      assert(compareHex(returnValues.accuser, this._sourceAddress), new LocalStateMismatch('Unexpected accuser.'));
+      assert(compareHex(returnValues.suspect, this._state.user), new LocalStateMismatch('Unexpected suspect.'));
+      assert(
+        Number(returnValues.transition_index) === this._state.fraudIndex,
+        new LocalStateMismatch('Unexpected index.')
+      );
+
+      // TODO: This is just a hack to prevent re-proving fraud after the first success
+      this._state.fraudIndex = null;
+
+      if (this._parentORI) {
+        this._parentORI.deleteFraudster(this._state.user);
+      }
 
-    return { receipt };
+      return { receipt };
+    });
   }
 
-  // PUBLIC: Rollback optimistic state (and thus calldata tree) to right before the fraud index
+  // PUBLIC: Rollback optimistic state (and thus calldata tree) to right before the fraud index (or, with dryRun, only
+  // return its plan)
   async rollback(options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    assert(compareHex(from, this._state.user), 'Can only rollback own account.');
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only rollback own account.'));
 
     const index = await this.getRollbackSize();
-    assert(index < this.transitionCount, 'Unexpected rollback index.');
+    assert(index < this.transitionCount, new LocalStateMismatch('Unexpected rollback index.'));
 
     const amountRequired = this._requiredBond - (await this.getBalance());
     const value = amountRequired > 0n ? amountRequired.toString() : '0';
@@ -897,172 +1924,396 @@ class OptimisticRollIn {
     const { root, elementCount, elementRoot: sizeProof } = this._state.callDataTree.generateSizeProof(PROOF_OPTIONS);
 
     const callOptions = gas ? { from, value, gas } : { from, value };
+    const oriArgs = [
+      toHex(oldRoot),
+      toHex(rolledBackCallDataArray),
+      toHex(appendProof),
+      elementCount,
+      toHex(sizeProof),
+      toHex(root),
+      toHex(this._state.currentState),
+      this._state.lastTime,
+    ];
+
+    if (options.dryRun) {
+      const effects = {
+        callDataElements: rolledBackCallDataArray,
+        proof: appendProof,
+        newCallDataTree: oldCallDataTree,
+        newState: rolledBackCallDataArray[0].slice(36, 68),
+        newLastTime: await this._getExpectedTimestamp(options),
+      };
+
+      return this._planORI('rollback', oriArgs, callOptions, effects);
+    }
 
     // User performs the rollback while bonding new coin at the same time
-    const receipt = await this._oriContract.methods
-      .rollback(
-        toHex(oldRoot),
-        toHex(rolledBackCallDataArray),
-        toHex(appendProof),
-        elementCount,
-        toHex(sizeProof),
-        toHex(root),
-        toHex(this._state.currentState),
-        this._state.lastTime
-      )
-      .send(callOptions);
-
-    const { returnValues } = receipt.events[EVENTS.ORI_Rolled_Back];
-    assert(compareHex(returnValues.user, this._state.user), 'Unexpected user.');
-    assert(returnValues.tree_size.toString() === index.toString(), 'Unexpected tree size.');
-
-    const currentState = rolledBackCallDataArray[0].slice(36, 68);
-    this._updateStateOptimistically(oldCallDataTree, currentState, Number(returnValues.block_time));
-
-    // TODO: this is weird, because this isn't here for the suspect's own ori instance
-    this._state.fraudIndex = null;
+    return this._submitORI('rollback', oriArgs, callOptions, ({ receipt, events }) => {
+      const returnValues = events[EVENTS.ORI_Rolled_Back];
+      assert(compareHex(returnValues.user, this._state.user), new LocalStateMismatch('Unexpected user.'));
+      assert(returnValues.tree_size.toString() === index.toString(), new LocalStateMismatch('Unexpected tree size.'));
+
+      const currentState = rolledBackCallDataArray[0].slice(36, 68);
+      this._updateStateOptimistically(oldCallDataTree, currentState, Number(returnValues.block_time));
+
+      // TODO: this is weird, because this isn't here for the suspect's own ori instance
+      this._state.fraudIndex = null;
+
+      this._saveState();
+
+      return { newState: currentState, receipt };
+    });
+  }
+
+  // PUBLIC: Returns the field values of a state (Buffer or hex string), decoded by the state codec (or null if none, or
+  // if the state cannot be decoded)
+  decodeState(state) {
+    return this._stateCodec && state ? this._stateCodec.decode(toBuffer(state)) : null;
+  }
+
+  // PUBLIC: Registers a JS implementation of a pure/view logic function, used to compute new states locally
+  // The transition is called with the user, current state (hex), and args, and must return the new state (or, with a
+  // state codec, its field values) synchronously
+  // A function routed for several state versions is registered per version, by route key (i.e. 'some_function@2')
+  registerTransition(functionNameOrKey, transition) {
+    const routes = this._logicRouter.findRoutes(functionNameOrKey).filter(({ fragment }) => isPureOrView(fragment));
 
-    return { newState: currentState, receipt };
+    assert(routes.length, `No pure or view logic function ${functionNameOrKey}.`);
+    assert(routes.length === 1, `${functionNameOrKey} is routed for several state versions.`);
+
+    this._transitions[routes[0].key] = transition;
   }
 
   // PUBLIC: Rolls the entire transition queue into a single transaction and broadcasts (only for self)
+  // With the dryRun option, returns the plan of the transaction instead, leaving the state and queue untouched
   async sendQueue(options = {}) {
-    assert(this._queue.length > 1, '');
+    assert(this._queue.length > 1, new InvalidQueue('Queue must contain at least 2.'));
+
+    const { validate = true } = options;
+
+    if (validate) {
+      const { valid, index, functionName, reason } = await this.validateQueue(options);
+      assert(valid, new InvalidQueue(`Queued transition ${index} (${functionName}) is invalid: ${reason}.`));
+    }
 
     // if in optimism, perform optimistically, else, perform and enter
     const result = this.isInOptimisticState
       ? await this._performBatchOptimistically(options)
       : await this._performBatchOptimisticallyWhileEnteringOptimism(options);
 
+    this._saveState();
+
     return result;
   }
 
-  // PUBLIC: Unbonds the user's account to some destination
-  async unbond(destination, options = {}) {
+  // PUBLIC: Rebuilds the internal state (call data tree, current state, and last time) from on-chain events (only for self)
+  // A fraudster keeps its fraud index, unless the fraudulent transition was rolled back
+  async syncFromChain(user = this._state.user, options = {}) {
+    const { fromBlock = 0 } = options;
+
+    assert(compareHex(user, this._state.user), new NotOwnAccount('Can only sync own account.'));
+
+    const { fraudIndex } = this._state;
+    const events = await this._getAccountEvents(user, fromBlock);
+
+    this._state.callDataTree = new MerkleTree([], this._treeOptions);
+    this._state.currentState = null;
+    this._state.lastTime = 0;
+    this._state.fraudIndex = null;
+    this._queue = [];
+
+    for (let i = 0; i < events.length; i++) {
+      await this._replayEvent(events[i]);
+    }
+
+    if (fraudIndex !== null && fraudIndex < this.transitionCount) this._state.fraudIndex = fraudIndex;
+
+    const accountState = await this.getAccountState();
+    assert(accountState, new NotInitialized('Account not initialized.'));
+
+    // Archiving an account emits no event, but leaves it with an empty call data tree and no last time
+    if (!accountState.equals(this.accountState) && this._state.currentState) {
+      const archivedState = hashPacked([to32ByteBuffer(0), this._state.currentState, to32ByteBuffer(0)]);
+
+      if (archivedState.equals(accountState)) this._updateStatePessimistically(this._state.currentState);
+    }
+
+    assert(accountState.equals(this.accountState), new LocalStateMismatch('Account state mismatch.'));
+
+    this._saveState();
+
+    return this.exportState();
+  }
+
+  // PUBLIC: Bonds an archived account, unlocking it so it can be used again (only for self)
+  async unarchive(options = {}) {
     const { from = this._sourceAddress, gas } = options;
-    const callOptions = gas ? { from, gas } : { from };
-    const receipt = await this._oriContract.methods.unbond(destination).send(callOptions);
 
-    return { receipt };
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only unarchive own account.'));
+    assert(
+      compareHex((await this.getLocker()) ?? ZERO_ADDRESS, this._state.user),
+      new NotArchived('Account not archived.')
+    );
+
+    // The contract requires exactly the bond, unless already bonded, in which case it requires nothing
+    const balance = await this.getBalance();
+    const value = balance >= this._requiredBond ? '0' : this._requiredBond.toString();
+    const callOptions = gas ? { from, value, gas } : { from, value };
+    return this._submitORI('unarchive', [], callOptions, ({ receipt }) => ({ receipt }));
+  }
+
+  // PUBLIC: Unbonds the user's entire balance to some destination, clearing the account so it can be re-initialized
+  async unbond(destination = this._state.user, options = {}) {
+    const { from = this._sourceAddress, gas } = options;
+
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only unbond own account.'));
+    assert(!(await this.getLocker()), new AccountLocked('Account locked.'));
+
+    if (this.isInOptimisticState) {
+      const { timestamp } = await this._adapter.getBlock();
+
+      assert(
+        timestamp > this._state.lastTime + this._lockTime,
+        new InsufficientTime('In optimistic state and cannot yet exit.')
+      );
+    }
+
+    const amount = await this.getBalance();
+    const callOptions = gas ? { from, gas } : { from };
+    return this._submitORI('unbond', [destination], callOptions, ({ receipt }) => {
+      // The contract clears the account state, so any local state and queued transitions no longer apply
+      this._state.callDataTree = null;
+      this._state.currentState = null;
+      this._state.lastTime = null;
+      this._queue = [];
+      this._saveState();
+
+      return { amount, receipt };
+    });
   }
 
-  // PUBLIC: Updates the internal state given an optimistic tx
+  // PUBLIC: Updates the internal state given an optimistic tx, or a tx unlocking the account
   async update(txId) {
-    const { decodedData, logs } = await this._getDataFromOptimisticTx(txId);
-    const { sighash } = decodedData;
+    const { sighash, decodedData, logs } = await this._getDataFromOptimisticTx(txId);
+
+    const unlockLog = logs.find(({ topics }) => topics[0] === TOPICS.ORI_Unlocked);
+
+    if (unlockLog) {
+      assert(
+        compareHex(prefix(unlockLog.topics[1].slice(26)), this._state.user),
+        new LocalStateMismatch('User mismatch.')
+      );
+
+      const returnValues = { block_time: parseInt(unlockLog.topics[3].slice(2), 16) };
+      await this._replayEvent({ eventName: EVENTS.ORI_Unlocked, returnValues });
+      this._saveState();
+
+      return { user: this._state.user };
+    }
 
     const oriLog = logs.find(({ topics }) =>
       [TOPICS.ORI_New_Optimistic_State, TOPICS.ORI_New_Optimistic_States].includes(topics[0])
     );
 
+    assert(oriLog, new InvalidCalldata('Not an optimistic transaction.'));
+
     // TODO: should also not update unless its a fraudster (partial merkle tree)
-    assert(compareHex(prefix(oriLog.topics[1].slice(26)), this._state.user), 'User mismatch.');
+    assert(compareHex(prefix(oriLog.topics[1].slice(26)), this._state.user), new LocalStateMismatch('User mismatch.'));
 
     const lastTime = parseInt(oriLog.topics[2].slice(2), 16);
 
-    if ([SIG_HASHES.PerformManyOptimisticallyAndEnter, SIG_HASHES.PerformManyOptimistically].includes(sighash)) {
-      return this._updateWithBatchTransitions(decodedData, lastTime);
-    }
+    const isBatch = BATCH_SIG_HASHES.includes(sighash);
+    const isSingle = SINGLE_SIG_HASHES.includes(sighash);
 
-    if ([SIG_HASHES.PerformOptimisticallyAndEnter, SIG_HASHES.PerformOptimistically].includes(sighash)) {
-      return this._updateWithTransition(decodedData, lastTime);
-    }
+    const result = isBatch
+      ? this._updateWithBatchTransitions(decodedData, lastTime)
+      : isSingle
+      ? this._updateWithTransition(decodedData, lastTime)
+      : undefined;
+
+    this._saveState();
+
+    return result;
   }
 
-  // PUBLIC: Unlock account, from the source address (which may be the same as the user)
+  // PUBLIC: Unlock account once its lock expired, from the source address (which may be the same as the user)
+  // The accuser's balance goes to the user, and the user's last time is reset (if in optimism), delaying their exit
   async unlock(options = {}) {
     const { from = this._sourceAddress, gas } = options;
 
-    assert(await this.getLocker(), 'Account already unlocked.');
+    const locker = await this.getLocker();
+    assert(locker, new AccountUnlocked('Account already unlocked.'));
+    assert(!compareHex(locker, this._state.user), new AccountLocked('Account locked by its user.'));
+    assert((await this.getRollbackSize()) === 0, new RollbackRequired('Rollback required.'));
+    assert(await this.isLockExpired(), new InsufficientWindow('Lock not yet expired.'));
 
-    const callOptions = { from, value, gas: gas ?? 100000 };
-    const receipt = await this._oriContract.methods
-      .unlock(
-        this._state.user,
-        toHex(this._state.currentState),
-        toHex(this._state.callDataTree.root),
-        this._state.lastTime
-      )
-      .send(callOptions);
+    const amount = await this.getBalance(locker);
+    const callOptions = gas ? { from, gas } : { from };
+    return this._submitORI(
+      'unlock',
+      [this._state.user, toHex(this._state.currentState), toHex(this._state.callDataTree.root), this._state.lastTime],
+      callOptions,
+      async ({ receipt, events }) => {
+        const returnValues = events[EVENTS.ORI_Unlocked];
+        assert(compareHex(returnValues.suspect, this._state.user), new LocalStateMismatch('Unexpected suspect.'));
+        assert(compareHex(returnValues.accuser, locker), new LocalStateMismatch('Unexpected accuser.'));
+
+        await this._replayEvent({ eventName: EVENTS.ORI_Unlocked, returnValues });
+        this._saveState();
+
+        return { accuser: locker, amount, receipt };
+      }
+    );
+  }
 
-    const { returnValues } = receipt.events[EVENTS.ORI_Unlocked];
-    assert(compareHex(returnValues.suspect, this._state.user), 'Unexpected suspect.');
+  // PUBLIC: Checks that each queued transition starts from the previous new state, and results in its new state
+  async validateQueue(options = {}) {
+    for (let i = 0; i < this._queue.length; i++) {
+      const expectedStartingState = i === 0 ? this._state.currentState : this._queue[i - 1].newState;
+      const reason = await this._checkQueuedTransition(this._queue[i], expectedStartingState, options);
 
-    this._state.lastTime = Number(returnValues.block_time);
+      if (reason) return { valid: false, index: i, functionName: this._queue[i].functionName, reason };
+    }
 
-    return { receipt };
+    return { valid: true };
   }
 
   // PUBLIC: Verifies the transitions(s) of an optimistic tx, and creates a fraudster ORI if fraud is found
   async verifyTransaction(txId, options) {
-    const { decodedData, logs } = await this._getDataFromOptimisticTx(txId);
-    const { sighash } = decodedData;
+    const { sighash, decodedData, logs } = await this._getDataFromOptimisticTx(txId);
 
     const oriLog = logs.find(({ topics }) =>
       [TOPICS.ORI_New_Optimistic_State, TOPICS.ORI_New_Optimistic_States].includes(topics[0])
     );
 
+    assert(oriLog, new InvalidCalldata('Not an optimistic transaction.'));
+
     const suspectHex = prefix(oriLog.topics[1].slice(26)).toLowerCase();
     const lastTime = parseInt(oriLog.topics[2].slice(2), 16);
 
-    return [SIG_HASHES.PerformManyOptimisticallyAndEnter, SIG_HASHES.PerformManyOptimistically].includes(sighash)
-      ? this._verifyBatchTransitions(suspectHex, decodedData, lastTime, options)
-      : [SIG_HASHES.PerformOptimisticallyAndEnter, SIG_HASHES.PerformOptimistically].includes(sighash)
-      ? this._verifyTransition(suspectHex, decodedData, lastTime, options)
+    const isBatch = BATCH_SIG_HASHES.includes(sighash);
+    const isSingle = SINGLE_SIG_HASHES.includes(sighash);
+
+    const result = isBatch
+      ? await this._verifyBatchTransitions(suspectHex, decodedData, lastTime, options)
+      : isSingle
+      ? await this._verifyTransition(suspectHex, decodedData, lastTime, options)
       : { valid: true };
-  }
 
-  autoVerify(options) {
-    // TODO: eth only for now (ethers v5 event docs unclear)
-    // TODO: likely susceptible to race conditions (should update but fraud detection not done yet)
-    // TODO: needs a mechanism/event to indicate if fraudster is locked and updates are done
-    // TODO: mechanism to return error if no websockets or fail to subscribe (perhaps async return)
-    // TODO: perhaps an unsubscribe mechanism, if supported by web3/ethers
+    // A newly recorded fraudster is part of the saved state
+    if (!result.valid) this._saveState();
 
-    const { pureVerifiers, fromBlock = 'latest' } = options;
+    // With a state codec, the report also has the field values of the state the transaction results in
+    if (this._stateCodec) result.decodedState = this.decodeState(decodedData.new_state);
 
-    if (this.verifyEmitter) return this.verifyEmitter;
+    return result;
+  }
 
-    this.verifyEmitter = new EventEmitter();
+  // PUBLIC: Verifies the transition(s) of an optimistic perform's call data (i.e. of a transaction not yet mined, or
+  // relayed), without recording fraud, and returns the index of the first invalid transition, if any
+  async verifyCalldata(oriCallData, options) {
+    const { sighash, args } = this._oriCodec.decode(oriCallData);
+    const isBatch = BATCH_SIG_HASHES.includes(sighash);
 
-    const handleOptimisticTransaction = (event) => {
-      const { transactionHash, returnValues } = event;
-      const fraudster = this.getFraudster(returnValues.user);
+    assert(
+      isBatch || SINGLE_SIG_HASHES.includes(sighash),
+      new InvalidCalldata('Not the call data of an optimistic perform.')
+    );
 
-      if (fraudster) {
-        fraudster.update(transactionHash).then(({ user }) => {
-          this.verifyEmitter.emit('update', { user });
-        });
+    const callDataArrayHex = isBatch ? args.call_data : [args.call_data];
+    assert(callDataArrayHex.length, new InvalidCalldata('No transitions in the call data.'));
 
-        return;
-      }
+    // Relayed performs are for their user arg, and others for the user of their transitions
+    const suspectHex = (args.user ?? getUserHex(callDataArrayHex[0])).toLowerCase();
+    const fraudIndex = await this._findInvalidTransition(suspectHex, callDataArrayHex, args.new_state, options);
 
-      this.verifyTransaction(transactionHash, { pureVerifiers }).then(({ valid, user }) => {
-        if (valid) return;
+    return fraudIndex < 0 ? { valid: true, user: suspectHex } : { valid: false, user: suspectHex, index: fraudIndex };
+  }
 
-        this.verifyEmitter.emit('fraud', { user });
-      });
+  // PUBLIC: Verifies optimistic transactions as they are mined, and returns the emitter of the results (with stop)
+  // Resumes after the last processed event (which is saved until stopped), unless fromBlock is given
+  // A getAccount option can return the local accounts of users (i.e. of an account manager), which are synced instead
+  autoVerify(options = {}) {
+    const { pureVerifiers, fromBlock, polling, pollingInterval, getAccount } = options;
+
+    if (this.verifyEmitter && !this.verifyEmitter.isStopped) return this.verifyEmitter;
+
+    const verifierOptions = {
+      pureVerifiers,
+      fromBlock: fromBlock ?? this._lastProcessedEvent?.blockNumber ?? 'latest',
+      lastProcessed: this._lastProcessedEvent,
+      polling,
+      pollingInterval,
+      getAccount,
     };
 
-    const handleProvenFraud = (event) => {
-      const { returnValues } = event;
-      const { suspect } = returnValues;
-      this.deleteFraudster(suspect);
+    const verifyEmitter = new AutoVerifier(this, this._adapter, verifierOptions);
+    this.verifyEmitter = verifyEmitter;
 
-      this.verifyEmitter.emit('proven', { user: suspect.toLowerCase() });
+    const onProcessed = (lastProcessedEvent) => {
+      this._lastProcessedEvent = lastProcessedEvent;
+      this._saveState();
     };
 
-    const newStateEmitter = this._oriContract.events.ORI_New_Optimistic_State({ fromBlock });
-    newStateEmitter.on('data', handleOptimisticTransaction);
+    verifyEmitter.on('processed', onProcessed);
+
+    // Once stopped, the emitter no longer saves its last processed event (i.e. over that of a later autoVerify)
+    verifyEmitter.once('stopped', () => {
+      verifyEmitter.removeListener('processed', onProcessed);
+
+      if (this.verifyEmitter !== verifyEmitter) return;
+
+      this.verifyEmitter = null;
+      this._watchtower = null;
+    });
+
+    return verifyEmitter.start();
+  }
 
-    const newStatesEmitter = this._oriContract.events.ORI_New_Optimistic_States({ fromBlock });
-    newStatesEmitter.on('data', handleOptimisticTransaction);
+  // PUBLIC: Starts a watchtower that automatically locks suspects and proves the fraud that autoVerify finds
+  watchtower(options = {}) {
+    if (this._watchtower) return this._watchtower;
 
-    const fraudProvenEmitter = this._oriContract.events.ORI_Fraud_Proven({ fromBlock });
-    fraudProvenEmitter.on('data', handleProvenFraud);
+    this._watchtower = new Watchtower(this, options);
+    this._watchtower.watch(this.autoVerify(options));
 
-    return this.verifyEmitter;
+    return this._watchtower;
+  }
+
+  // PUBLIC: Sends the balance in excess of the bond (or the entire balance, if not initialized) to some destination
+  async withdraw(destination = this._state.user, options = {}) {
+    const { from = this._sourceAddress, gas } = options;
+
+    assert(compareHex(from, this._state.user), new NotOwnAccount('Can only withdraw from own account.'));
+    assert(!(await this.getLocker()), new AccountLocked('Account locked.'));
+
+    const balance = await this.getBalance();
+    const amount = (await this.isInitialized()) ? balance - this._requiredBond : balance;
+    assert(amount >= 0n, new InsufficientBalance('Insufficient balance.'));
+
+    const callOptions = gas ? { from, gas } : { from };
+    return this._submitORI('withdraw', [destination], callOptions, ({ receipt }) => ({ amount, receipt }));
   }
 }
 
 module.exports = OptimisticRollIn;
+
+Object.assign(module.exports, {
+  Web3Adapter,
+  EthersAdapter,
+  SimulatorAdapter,
+  BlockCacheAdapter,
+  Simulator,
+  MemoryStorage,
+  JsonFileStorage,
+  GasModel,
+  Watchtower,
+  AutoVerifier,
+  Relayer,
+  VerificationService,
+  AccountManager,
+  LogicRouter,
+  PackedStateCodec,
+  HashedStateCodec,
+  errors,
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+const { toBuffer } = require('./utils');
+const { FunctionCodec, getSelector } = require('./abi');
+
+// HELPER: Returns the version of a state, as its first byte
+const getStateVersion = (state) => toBuffer(state)[0];
+
+// Routes logic function calls to logic contracts (ABI and optional address), by sighash and optionally by the version of
+// the state they start from, as does a logic router set as the ORI's logic contract. Routes without a version apply to
+// states of any version, unless a route with the state's version has the same sighash. Routes are keyed by sighash, or
+// sighash and version (i.e. '0x12345678@2'), which also key registered transitions and pure verifiers.
+class LogicRouter {
+  constructor(routes = [], options = {}) {
+    const { getVersion = getStateVersion } = options;
+
+    assert(routes.length, 'At least one route is required.');
+
+    this._getVersion = getVersion;
+    this._routes = {};
+
+    routes.forEach(({ abi, address, version }) => {
+      const codec = new FunctionCodec(abi);
+
+      abi
+        .filter(({ type }) => type === 'function')
+        .forEach((fragment) => {
+          const sighash = getSelector(fragment);
+          const key = version === undefined ? sighash : `${sighash}@${version}`;
+
+          assert(!this._routes[key], `${fragment.name} (${key}) is already routed.`);
+
+          this._routes[key] = { key, sighash, version, address, fragment, codec };
+        });
+    });
+  }
+
+  // GETTER: Returns all routes
+  get routes() {
+    return Object.values(this._routes);
+  }
+
+  // GETTER: Returns the ABI of all routed functions (as a logic router forwarding them would have), once per sighash
+  get abi() {
+    const fragments = {};
+
+    this.routes.forEach(({ sighash, fragment }) => (fragments[sighash] = fragments[sighash] ?? fragment));
+
+    return Object.values(fragments);
+  }
+
+  // PUBLIC: Returns the version of a state
+  getVersion(state) {
+    return this._getVersion(state);
+  }
+
+  // PUBLIC: Returns the routes of a function name, sighash, or route key (optionally only those of a version)
+  findRoutes(functionNameOrKey, version) {
+    const [nameOrSighash, keyVersion] = functionNameOrKey.split('@');
+    const routeVersion = keyVersion === undefined ? version : Number(keyVersion);
+
+    return this.routes.filter(
+      (route) =>
+        (route.sighash === nameOrSighash.toLowerCase() || route.fragment.name === nameOrSighash) &&
+        (routeVersion === undefined || route.version === routeVersion)
+    );
+  }
+
+  // PUBLIC: Returns the route of a function name or sighash, called from a state, or null if not routed
+  getRoute(functionNameOrSighash, state) {
+    const routes = this.findRoutes(functionNameOrSighash);
+    const version = state ? this._getVersion(state) : undefined;
+
+    return (
+      routes.find((route) => route.version !== undefined && route.version === version) ??
+      routes.find((route) => route.version === undefined) ??
+      null
+    );
+  }
+
+  // PUBLIC: Returns the route of call data (Buffer or hex string), by its sighash and starting state (its second arg,
+  // after the user), or null if not routed
+  resolve(callData) {
+    const buffer = toBuffer(callData);
+    const state = buffer.length >= 68 ? buffer.slice(36, 68) : null;
+
+    return this.getRoute('0x' + buffer.slice(0, 4).toString('hex'), state);
+  }
+}
+
+module.exports = LogicRouter;
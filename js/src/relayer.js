@@ -0,0 +1,135 @@
+const assert = require('assert');
+
+const { createAdapter } = require('./adapters');
+const { compareHex } = require('./utils');
+const { AuthorizationExpired, InsufficientFee, InvalidRelayer, UnsupportedOperation } = require('./errors');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const RELAYED_METHODS = [
+  'perform_optimistically_for',
+  'perform_optimistically_and_enter_for',
+  'perform_many_optimistically_for',
+  'perform_many_optimistically_and_enter_for',
+];
+
+// Sends the optimistic performs that users authorized (the relay requests returned by the client's relay option) from
+// the relayer's account, if their fee, paid from the user's ORI balance, covers the gas cost plus a minimum profit.
+// Nonces are assigned locally, so several requests can be relayed at once. The nonce of a failed send that never reached
+// the node is reissued to the next request (while that of one mined but reverted is not, since it was used), and once no
+// send is in flight, the next nonce is fetched again (i.e. in case it was used elsewhere).
+class Relayer {
+  constructor(contracts = {}, options = {}) {
+    const { adapter, from, minProfit = '0', gasMargin = 1.2 } = options;
+
+    assert(from, 'from option is mandatory.');
+
+    this._adapter = adapter ?? createAdapter(contracts, options);
+    this._from = from.toLowerCase();
+    this._minProfit = BigInt(minProfit);
+    this._gasMargin = gasMargin;
+
+    // The next nonce of the relayer's account, fetched when first needed (and again once no send is in flight, after a
+    // failed send), and the nonces of failed sends, in ascending order, to be reissued first
+    this._nextNonce = null;
+    this._failedNonces = [];
+    this._nonceStale = false;
+    this._sendsInFlight = 0;
+  }
+
+  // GETTER: Returns the relayer's account, which sends the transactions and receives the fees
+  get address() {
+    return this._from;
+  }
+
+  // PRIVATE: Returns the next nonce of the relayer's account, and reserves it
+  _reserveNonce() {
+    if (this._failedNonces.length) return Promise.resolve(this._failedNonces.shift());
+
+    const nonce = this._nextNonce ?? this._adapter.getTransactionCount(this._from);
+    this._nextNonce = Promise.resolve(nonce).then((value) => Number(value) + 1);
+
+    return this._nextNonce.then((value) => value - 1);
+  }
+
+  // PRIVATE: Reissues the nonce of a failed send, unless the relayer's transaction count shows it was used (i.e. mined
+  // but reverted), and has the next nonce fetched again once no send is in flight
+  async _releaseNonce(nonce) {
+    this._nonceStale = true;
+
+    // If the transaction count cannot be fetched, the nonce is reissued, since a gap would hold all later sends
+    const transactionCount = await Promise.resolve(this._adapter.getTransactionCount(this._from)).catch(() => null);
+
+    if (transactionCount !== null && Number(transactionCount) > nonce) return;
+
+    this._failedNonces = this._failedNonces.concat(nonce).sort((a, b) => a - b);
+  }
+
+  // PUBLIC: Returns the fee of a relay request, as a BigInt, once checked to be relayable and profitable, and the gas
+  // limit and gas price it would be sent with
+  async quote(request) {
+    const { methodName, args } = request;
+
+    assert(RELAYED_METHODS.includes(methodName), new UnsupportedOperation(`Cannot relay ${methodName}.`));
+
+    const { fee, relayer, deadline } = args[args.length - 1];
+
+    assert(
+      compareHex(relayer, ZERO_ADDRESS) || compareHex(relayer, this._from),
+      new InvalidRelayer('Authorized for another relayer.')
+    );
+
+    const { timestamp } = await this._adapter.getBlock();
+    assert(timestamp <= Number(deadline), new AuthorizationExpired('Authorization expired.'));
+
+    const gasPrice = await this._adapter.getGasPrice();
+
+    // Estimating gas also checks that the request would succeed (i.e. signature, account state, and user's balance)
+    const estimate = await this._adapter.estimateORIGas(methodName, args, { from: this._from });
+    const gas = Math.ceil(Number(estimate) * this._gasMargin);
+    const cost = BigInt(gas) * gasPrice;
+
+    assert(
+      BigInt(fee) >= cost + this._minProfit,
+      new InsufficientFee(`Fee ${fee} is less than the cost ${cost} plus minimum profit ${this._minProfit}.`)
+    );
+
+    return { fee: BigInt(fee), gas, gasPrice };
+  }
+
+  // PUBLIC: Sends a relay request, if relayable and profitable, and returns the receipt, fee, and actual gas cost
+  async relay(request) {
+    const { methodName, args } = request;
+    const { fee, gas, gasPrice } = await this.quote(request);
+    let nonce = null;
+
+    this._sendsInFlight += 1;
+
+    try {
+      nonce = await this._reserveNonce();
+      const callOptions = { from: this._from, gas, gasPrice: gasPrice.toString(), nonce };
+      const { receipt } = await this._adapter.sendORI(methodName, args, callOptions);
+
+      return { receipt, fee, cost: BigInt(receipt.gasUsed) * gasPrice };
+    } catch (error) {
+      // A nonce that could not be fetched is fetched again once idle, while a reserved one is reissued if not used
+      if (nonce === null) {
+        this._nonceStale = true;
+      } else {
+        await this._releaseNonce(nonce);
+      }
+
+      throw error;
+    } finally {
+      this._sendsInFlight -= 1;
+
+      if (this._nonceStale && this._sendsInFlight === 0) {
+        this._nextNonce = null;
+        this._failedNonces = [];
+        this._nonceStale = false;
+      }
+    }
+  }
+}
+
+module.exports = Relayer;
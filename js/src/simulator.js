@@ -0,0 +1,897 @@
+const EventEmitter = require('events');
+const { MerkleTree } = require('merkle-trees/js');
+
+const { to32ByteBuffer, hash, hashPacked, prefix, toHex, toBuffer, compareHex } = require('./utils');
+const { getTopic, encodeParameters, FunctionCodec } = require('./abi');
+const LogicRouter = require('./logic-router');
+const { getDomain, getDomainSeparator, getTypedData, hashTypedData } = require('./authorizations');
+
+const ORI_ABI = require('../../eth/build/Optimistic_Roll_In.json').abi;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ZERO_BYTES_32 = to32ByteBuffer(0);
+
+const DEFAULT_ACCOUNT_BALANCE = 100000000000000000000n;
+
+// Gas used by a transaction is modelled roughly, as the base transaction gas, plus the intrinsic gas of its call data,
+// plus a flat execution gas (so it does not depend on the execution itself)
+const TRANSACTION_GAS = 21000;
+const EXECUTION_GAS = 10000;
+
+// HELPER: Returns a deterministic address derived from a label
+const deriveAddress = (label) => prefix(hash(Buffer.from(label)).slice(12).toString('hex'));
+
+// HELPER: Returns the intrinsic gas of call data (16 per non-zero byte, 4 per zero byte)
+const getCalldataGas = (data) => toBuffer(data).reduce((gas, byte) => gas + (byte ? 16 : 4), 0);
+
+// HELPER: Returns the gas a transaction uses, by the rough gas model
+const getGasUsed = (data) => TRANSACTION_GAS + getCalldataGas(data) + EXECUTION_GAS;
+
+// HELPER: Returns the 32-byte word that encodes a transition's returned state
+const toStateBuffer = (state) => {
+  const buffer = toBuffer(state);
+
+  if (buffer.length !== 32) throw Error('Transition must return a 32-byte state.');
+
+  return buffer;
+};
+
+// HELPER: Throws an error that looks like a node's revert error
+const revert = (reason = '') => {
+  const error = new Error(`VM Exception while processing transaction: revert${reason ? ' ' + reason : ''}`);
+  error.reason = reason;
+
+  throw error;
+};
+
+// HELPER: Reverts with the reason if the condition is not met (Solidity's require)
+const check = (condition, reason) => {
+  if (!condition) revert(reason);
+};
+
+// HELPER: Returns the account state hash of a call data root, state, and last time
+const getAccountState = (callDataRoot, state, lastTime) =>
+  toHex(hashPacked([toBuffer(callDataRoot), toBuffer(state), to32ByteBuffer(lastTime)]));
+
+// HELPER: Returns the user encoded in call data (20 bytes of the first word after the function selector)
+const getCalldataUser = (callData) => prefix(toBuffer(callData).slice(16, 36).toString('hex'));
+
+// HELPER: Returns the state encoded in call data (second word after the function selector)
+const getCalldataState = (callData) => toHex(toBuffer(callData).slice(36, 68));
+
+// In-memory chain that mirrors Optimistic_Roll_In (and a logic contract whose functions are JS transitions)
+class Simulator {
+  constructor(options = {}) {
+    const {
+      logicABI,
+      logicRouter,
+      transitions = {},
+      initializeState = (user) => hash(toBuffer(user)),
+      lockTime = 600,
+      requiredBond = '1000000000000000000',
+      time = Math.floor(Date.now() / 1000),
+      accountCount = 10,
+      accountBalance = DEFAULT_ACCOUNT_BALANCE,
+      treeOptions = { elementPrefix: '00' },
+      gasPrice = '1000000000',
+      chainId = 1337,
+    } = options;
+
+    if (!logicABI && !logicRouter) throw Error('either logicABI or logicRouter option is mandatory.');
+
+    const { elementPrefix = '00' } = treeOptions;
+
+    this.oriABI = ORI_ABI;
+    this.logicABI = logicABI ?? logicRouter.abi;
+    this.oriAddress = deriveAddress('Optimistic_Roll_In');
+    this.logicAddress = deriveAddress('Logic_Contract');
+    this.lockTime = Number(lockTime);
+    this.requiredBond = BigInt(requiredBond);
+    this.chainId = Number(chainId);
+    this.accounts = Array.from({ length: accountCount }, (_, i) => deriveAddress(`account ${i}`));
+
+    this._transitions = transitions;
+    this._initializeState = initializeState;
+    this._treeOptions = { unbalanced: true, sortedHash: false, elementPrefix };
+    this._gasPrice = BigInt(gasPrice);
+
+    this._oriCodec = new FunctionCodec(ORI_ABI);
+    this._logicRouter = logicRouter ?? new LogicRouter([{ abi: logicABI }]);
+
+    this._eventFragments = {};
+
+    ORI_ABI.forEach((fragment) => {
+      if (fragment.type === 'event') this._eventFragments[fragment.name] = fragment;
+    });
+
+    this._state = {
+      accountStates: new Map(),
+      balances: new Map(),
+      lockers: new Map(),
+      lockedTimestamps: new Map(),
+      rollbackSizes: new Map(),
+      etherBalances: new Map(this.accounts.map((account) => [account, BigInt(accountBalance)])),
+    };
+
+    this._time = Number(time);
+    this._blocks = [];
+    this._transactions = new Map();
+    this._receipts = new Map();
+    this._transactionCounts = new Map();
+    this._signers = new Map();
+    this._logs = [];
+    this._emitter = new EventEmitter();
+
+    this._mineBlock([]);
+  }
+
+  // GETTER: Returns the current block number
+  get blockNumber() {
+    return this._blocks.length - 1;
+  }
+
+  // GETTER: Returns the current time (the timestamp of the next block)
+  get time() {
+    return this._time;
+  }
+
+  // PRIVATE: Returns a value from one of the state mappings, or its default
+  _get(mapping, key, defaultValue) {
+    return this._state[mapping].get(key.toLowerCase()) ?? defaultValue;
+  }
+
+  // PRIVATE: Sets a value in one of the state mappings
+  _set(mapping, key, value) {
+    this._state[mapping].set(key.toLowerCase(), value);
+  }
+
+  // PRIVATE: Returns a copy of the state mappings, to restore if a transaction reverts
+  _snapshot() {
+    return Object.entries(this._state).reduce((snapshot, [mapping, values]) => {
+      snapshot[mapping] = new Map(values);
+
+      return snapshot;
+    }, {});
+  }
+
+  // PRIVATE: Moves ether between addresses
+  _transfer(from, to, amount) {
+    const balance = this._get('etherBalances', from, 0n);
+    check(balance >= amount, 'INSUFFICIENT_FUNDS');
+
+    this._set('etherBalances', from, balance - amount);
+    this._set('etherBalances', to, this._get('etherBalances', to, 0n) + amount);
+  }
+
+  // PRIVATE: Mines a block with the given transactions and logs, and notifies subscribers of the logs
+  _mineBlock(transactionHashes, logs = []) {
+    const number = this._blocks.length;
+    const blockHash = toHex(hash(Buffer.from(`block ${number}`)));
+    const block = { number, hash: blockHash, timestamp: this._time, transactions: transactionHashes };
+
+    this._blocks.push(block);
+    this._logs.push(...logs);
+
+    // Subscribers are notified asynchronously, like with a real provider
+    logs.forEach((log) => setImmediate(() => this._emitter.emit('log', log)));
+
+    return block;
+  }
+
+  // PRIVATE: Returns an ORI event log (all ORI event params are indexed)
+  _createLog(eventName, values) {
+    const fragment = this._eventFragments[eventName];
+    const topics = [getTopic(fragment)].concat(
+      fragment.inputs.map(({ type }, i) => toHex(encodeParameters([{ type }], [values[i]])))
+    );
+
+    const returnValues = fragment.inputs.reduce((returnValues, { name, type }, i) => {
+      returnValues[name] = type === 'uint256' ? values[i].toString() : values[i].toLowerCase();
+
+      return returnValues;
+    }, {});
+
+    return { address: this.oriAddress, topics, data: '0x', event: eventName, returnValues };
+  }
+
+  // PRIVATE: Records an ORI event to be emitted if the transaction succeeds
+  _emit(context, eventName, ...values) {
+    context.logs.push(this._createLog(eventName, values));
+  }
+
+  // PRIVATE: Decodes logic call data into its route (by sighash and the state's version), function ABI fragment, and args
+  _decodeLogicCall(callData) {
+    const route = this._logicRouter.resolve(callData);
+
+    if (!route) return null;
+
+    const args = Array.from(route.codec.decode(callData).args);
+
+    return { route, fragment: route.fragment, args };
+  }
+
+  // PRIVATE: Executes a logic contract function (a JS transition), and returns the new state
+  _executeLogic(callData, context) {
+    const decoded = this._decodeLogicCall(callData);
+    check(decoded, '');
+
+    // Transitions are keyed by route key (i.e. sighash, or sighash and version), or by function name (and version)
+    const { route, fragment, args } = decoded;
+    const transition =
+      this._transitions[route.key] ??
+      this._transitions[`${fragment.name}@${route.version}`] ??
+      this._transitions[fragment.name];
+    check(transition, '');
+
+    const { timestamp, blockNumber } = context;
+
+    return toStateBuffer(transition(...args, { value: context.logicValue ?? 0n, timestamp, blockNumber }));
+  }
+
+  // PRIVATE: Mirrors the logic contract's optimistic_call (a staticcall, so only pure and view functions)
+  _optimisticCall(callData, context) {
+    const decoded = this._decodeLogicCall(callData);
+    check(decoded && ['pure', 'view'].includes(decoded.fragment.stateMutability), 'OPTIMISTIC_CALL_FAILED');
+
+    try {
+      return this._executeLogic(callData, Object.assign({}, context, { logicValue: 0n }));
+    } catch (err) {
+      revert('OPTIMISTIC_CALL_FAILED');
+    }
+  }
+
+  // PRIVATE: Mirrors the logic contract's pessimistic_call (forwarding value)
+  _pessimisticCall(callData, value, context) {
+    this._transfer(this.oriAddress, this.logicAddress, value);
+
+    try {
+      return this._executeLogic(callData, Object.assign({}, context, { logicValue: value }));
+    } catch (err) {
+      revert('PESSIMISTIC_CALL_FAILED');
+    }
+  }
+
+  // PRIVATE: Mirrors Internal_Merkle_Library.try_append_one_c and try_append_many_c
+  _tryAppend(callDataRoot, appendElements, proof) {
+    const root = toBuffer(callDataRoot);
+    const compactProof = toBuffer(proof);
+
+    check(root.equals(ZERO_BYTES_32) === compactProof[0].equals(ZERO_BYTES_32), 'INVALID_TREE');
+
+    try {
+      const parameters = { root, appendElements: toBuffer(appendElements), compactProof };
+      return toHex(MerkleTree.appendWithAppendProof(parameters, this._treeOptions).root);
+    } catch (err) {
+      revert('INVALID_PROOF');
+    }
+  }
+
+  // PRIVATE: Mirrors Internal_Merkle_Library.elements_exist_c
+  _elementsExist(callDataRoot, elements, proof) {
+    try {
+      const parameters = { root: toBuffer(callDataRoot), elements: toBuffer(elements), compactProof: toBuffer(proof) };
+      return MerkleTree.verifyMultiProof(parameters, this._treeOptions);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // PRIVATE: Mirrors Internal_Merkle_Library.get_indices
+  _getIndices(elements, proof) {
+    return MerkleTree.getMultiProofIndices({ elements: toBuffer(elements), compactProof: toBuffer(proof) });
+  }
+
+  // PRIVATE: Mirrors Internal_Merkle_Library.verify_size
+  _verifySize(callDataRoot, size, elementRoot) {
+    const parameters = { root: toBuffer(callDataRoot), elementCount: size, elementRoot: toBuffer(elementRoot) };
+    return MerkleTree.verifySizeProof(parameters, this._treeOptions);
+  }
+
+  // PRIVATE: Modifier checks, mirroring the ORI contract's modifiers
+  _notInitialized(user) {
+    check(this._get('accountStates', user, toHex(ZERO_BYTES_32)) === toHex(ZERO_BYTES_32), 'ALREADY_INITIALIZED');
+  }
+
+  _notLocked(user) {
+    check(this._get('lockers', user, ZERO_ADDRESS) === ZERO_ADDRESS, 'ACCOUNT_LOCKED');
+  }
+
+  _isLocked(user) {
+    check(this._get('lockers', user, ZERO_ADDRESS) !== ZERO_ADDRESS, 'ACCOUNT_UNLOCKED');
+  }
+
+  _noRollbackRequired(user) {
+    check(this._get('rollbackSizes', user, 0) === 0, 'ROLLBACK_REQUIRED');
+  }
+
+  _canExitOptimism(lastTime, context) {
+    check(lastTime + this.lockTime < context.timestamp, 'INSUFFICIENT_TIME');
+  }
+
+  _sufficientCalldata(callData) {
+    check(callData.length > 1, 'INSUFFICIENT_CALLDATA');
+  }
+
+  _lockExpired(user, context) {
+    check(this._get('lockedTimestamps', user, 0) + this.lockTime <= context.timestamp, 'INSUFFICIENT_WINDOW');
+  }
+
+  // PRIVATE: Checks that the roots and last time hash to the user's account state
+  _checkRoots(user, callDataRoot, state, lastTime) {
+    const accountState = this._get('accountStates', user, toHex(ZERO_BYTES_32));
+    check(getAccountState(callDataRoot, state, lastTime) === accountState, 'INVALID_ROOTS');
+  }
+
+  // PRIVATE: Bonds the amount for user, and returns the remainder (mirrors apply_bond)
+  _applyBond(user, context) {
+    if (this._get('balances', user, 0n) >= this.requiredBond) return context.value;
+
+    check(context.value >= this.requiredBond, 'INSUFFICIENT_BOND');
+
+    this._set('balances', user, this.requiredBond);
+    return context.value - this.requiredBond;
+  }
+
+  // PRIVATE: Returns true if calling the logic contract with the call data results in new state
+  _verifyTransition(user, callData, newState, context) {
+    if (!compareHex(user, getCalldataUser(callData))) return false;
+
+    try {
+      return toHex(this._optimisticCall(callData, context)) === toHex(newState);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // PRIVATE: Calls the logic contract and updates the account state (mirrors normal_perform)
+  _normalPerform(caller, callData, callDataRoot, lastTime, context) {
+    this._notLocked(caller);
+
+    check(compareHex(caller, getCalldataUser(callData)), 'CALLER_USER_MISMATCH');
+
+    this._checkRoots(caller, callDataRoot, getCalldataState(callData), lastTime);
+
+    const state = this._pessimisticCall(callData, context.value, context);
+    this._set('accountStates', caller, getAccountState(ZERO_BYTES_32, state, 0));
+
+    this._emit(context, 'ORI_New_State', caller, toHex(state));
+  }
+
+  // PRIVATE: Updates account state with optimistic transition data (mirrors optimistic_perform)
+  _optimisticPerform(caller, callData, newState, callDataRoot, proof, lastTime, context) {
+    this._notLocked(caller);
+
+    this._checkRoots(caller, callDataRoot, getCalldataState(callData), lastTime);
+
+    const newRoot = this._tryAppend(callDataRoot, [callData], proof);
+    this._set('accountStates', caller, getAccountState(newRoot, newState, context.timestamp));
+
+    this._emit(context, 'ORI_New_Optimistic_State', caller, context.timestamp);
+  }
+
+  // PRIVATE: Updates account state with optimistic batch transition data (mirrors optimistic_perform_many)
+  _optimisticPerformMany(user, callData, newState, callDataRoot, proof, lastTime, context) {
+    this._notLocked(user);
+    this._sufficientCalldata(callData);
+
+    this._checkRoots(user, callDataRoot, getCalldataState(callData[0]), lastTime);
+
+    const newRoot = this._tryAppend(callDataRoot, callData, proof);
+    this._set('accountStates', user, getAccountState(newRoot, newState, context.timestamp));
+
+    this._emit(context, 'ORI_New_Optimistic_States', user, context.timestamp);
+  }
+
+  // PRIVATE: Returns the signer of a digest, given a pseudo-signature from signTypedData (mirrors recover_signer)
+  _recoverSigner(digest, signature) {
+    const signatureBuffer = toBuffer(signature);
+    check(signatureBuffer.length === 65, 'INVALID_SIGNATURE');
+
+    const signer = this._signers.get(toHex(signatureBuffer));
+
+    return signer && signatureBuffer.slice(32, 64).equals(digest) ? signer : ZERO_ADDRESS;
+  }
+
+  // PRIVATE: Checks the user signed the transition(s) from their account state, and pays the relayer (mirrors authorize)
+  _authorize(user, callData, newState, authorization, sender, context) {
+    const { fee, relayer, deadline, signature } = authorization;
+
+    check(deadline >= context.timestamp, 'AUTHORIZATION_EXPIRED');
+    check(compareHex(relayer, ZERO_ADDRESS) || compareHex(relayer, sender), 'INVALID_RELAYER');
+
+    const accountState = this._get('accountStates', user, toHex(ZERO_BYTES_32));
+    const message = { user, accountState, callData, newState, fee, relayer, deadline };
+    const digest = hashTypedData(getTypedData(getDomain(this.chainId, this.oriAddress), message));
+    const signer = this._recoverSigner(digest, signature);
+
+    check(!compareHex(signer, ZERO_ADDRESS) && compareHex(signer, user), 'INVALID_SIGNATURE');
+
+    const balance = this._get('balances', user, 0n);
+    check(fee <= balance && balance - fee >= this.requiredBond, 'INSUFFICIENT_BALANCE');
+
+    this._set('balances', user, balance - fee);
+    this._set('balances', sender, this._get('balances', sender, 0n) + fee);
+  }
+
+  // PRIVATE: ORI contract functions, called with the sender, decoded args, and the transaction context
+  _bond(sender, [user], context) {
+    check(this._applyBond(user, context) === 0n, 'INVALID_BOND');
+  }
+
+  _deposit(sender, [user], context) {
+    const balance = this._get('balances', user, 0n);
+    check(balance >= this.requiredBond, 'INSUFFICIENT_BOND');
+
+    this._set('balances', user, balance + context.value);
+  }
+
+  _initialize(sender, args, context) {
+    this._notInitialized(sender);
+
+    const remainder = this._applyBond(sender, context);
+
+    // Mirrors calling the logic contract's initialize_state, passing any remaining amount
+    this._transfer(this.oriAddress, this.logicAddress, remainder);
+
+    let initialState;
+
+    try {
+      initialState = toStateBuffer(this._initializeState(sender, remainder, context));
+    } catch (err) {
+      revert(err.reason ?? err.message);
+    }
+
+    this._set('accountStates', sender, getAccountState(ZERO_BYTES_32, initialState, 0));
+
+    this._emit(context, 'ORI_New_State', sender, toHex(initialState));
+  }
+
+  _unbond(sender, [destination], context) {
+    this._notLocked(sender);
+
+    const amount = this._get('balances', sender, 0n);
+    this._set('balances', sender, 0n);
+    this._set('accountStates', sender, toHex(ZERO_BYTES_32));
+    this._transfer(this.oriAddress, destination, amount);
+  }
+
+  _withdraw(sender, [destination], context) {
+    this._notLocked(sender);
+
+    const accountExists = this._get('accountStates', sender, toHex(ZERO_BYTES_32)) !== toHex(ZERO_BYTES_32);
+    const accountBalance = this._get('balances', sender, 0n);
+    const amount = accountExists ? accountBalance - this.requiredBond : accountBalance;
+
+    // Mirrors the contract's underflow check (a negative amount would have underflowed)
+    check(amount >= 0n && amount <= accountBalance, 'UNEXPECTED_UNDERFLOW');
+
+    this._set('balances', sender, accountBalance - amount);
+    this._transfer(this.oriAddress, destination, amount);
+  }
+
+  _archive(sender, [destination, callDataRoot, state, lastTime], context) {
+    this._notLocked(sender);
+    this._canExitOptimism(lastTime, context);
+
+    this._checkRoots(sender, callDataRoot, state, lastTime);
+
+    this._set('accountStates', sender, getAccountState(ZERO_BYTES_32, state, 0));
+    this._set('lockers', sender, sender);
+
+    const amount = this._get('balances', sender, 0n);
+    this._set('balances', sender, 0n);
+    this._transfer(this.oriAddress, destination, amount);
+  }
+
+  _unarchive(sender, args, context) {
+    this._isLocked(sender);
+
+    check(this._applyBond(sender, context) === 0n, 'INVALID_BOND');
+
+    this._set('lockers', sender, ZERO_ADDRESS);
+  }
+
+  _perform(sender, [callData], context) {
+    this._normalPerform(sender, callData, ZERO_BYTES_32, 0, context);
+  }
+
+  _performAndExit(sender, [callData, callDataRoot, lastTime], context) {
+    this._noRollbackRequired(sender);
+    this._canExitOptimism(lastTime, context);
+
+    this._normalPerform(sender, callData, callDataRoot, lastTime, context);
+  }
+
+  _performOptimisticallyAndEnter(sender, [callData, newState, proof], context) {
+    this._optimisticPerform(sender, callData, newState, ZERO_BYTES_32, proof, 0, context);
+  }
+
+  _performOptimisticallyAndEnterFor(sender, [user, callData, newState, proof, authorization], context) {
+    this._authorize(user, [callData], newState, authorization, sender, context);
+    this._optimisticPerform(user, callData, newState, ZERO_BYTES_32, proof, 0, context);
+  }
+
+  _performOptimistically(sender, [callData, newState, callDataRoot, proof, lastTime], context) {
+    this._optimisticPerform(sender, callData, newState, callDataRoot, proof, lastTime, context);
+  }
+
+  _performOptimisticallyFor(sender, [user, callData, newState, callDataRoot, proof, lastTime, authorization], context) {
+    this._authorize(user, [callData], newState, authorization, sender, context);
+    this._optimisticPerform(user, callData, newState, callDataRoot, proof, lastTime, context);
+  }
+
+  _performManyOptimisticallyAndEnter(sender, [callData, newState, proof], context) {
+    this._optimisticPerformMany(sender, callData, newState, ZERO_BYTES_32, proof, 0, context);
+  }
+
+  _performManyOptimisticallyAndEnterFor(sender, [user, callData, newState, proof, authorization], context) {
+    this._authorize(user, callData, newState, authorization, sender, context);
+    this._optimisticPerformMany(user, callData, newState, ZERO_BYTES_32, proof, 0, context);
+  }
+
+  _performManyOptimistically(sender, [callData, newState, callDataRoot, proof, lastTime], context) {
+    this._optimisticPerformMany(sender, callData, newState, callDataRoot, proof, lastTime, context);
+  }
+
+  _performManyOptimisticallyFor(
+    sender,
+    [user, callData, newState, callDataRoot, proof, lastTime, authorization],
+    context
+  ) {
+    this._authorize(user, callData, newState, authorization, sender, context);
+    this._optimisticPerformMany(user, callData, newState, callDataRoot, proof, lastTime, context);
+  }
+
+  _lock(sender, [suspect], context) {
+    this._notLocked(sender);
+    this._notLocked(suspect);
+
+    const accuser = sender;
+
+    this._set('lockers', suspect, accuser);
+    this._set('lockedTimestamps', suspect, context.timestamp);
+    this._set('lockers', accuser, accuser);
+    this._set('lockedTimestamps', accuser, context.timestamp);
+
+    check(this._applyBond(accuser, context) === 0n, 'INVALID_BOND');
+
+    this._emit(context, 'ORI_Locked', suspect, accuser);
+  }
+
+  _unlock(sender, [suspect, state, callDataRoot, lastTime], context) {
+    this._isLocked(suspect);
+    this._lockExpired(suspect, context);
+    this._noRollbackRequired(suspect);
+
+    this._checkRoots(suspect, callDataRoot, state, lastTime);
+
+    const accuser = this._get('lockers', suspect, ZERO_ADDRESS);
+    this._set('lockers', suspect, ZERO_ADDRESS);
+    this._set('lockedTimestamps', suspect, 0);
+    this._set('lockers', accuser, ZERO_ADDRESS);
+    this._set('lockedTimestamps', accuser, 0);
+
+    const amount = this._get('balances', accuser, 0n);
+    this._set('balances', accuser, 0n);
+    this._set('balances', suspect, this._get('balances', suspect, 0n) + amount);
+
+    if (lastTime === 0) {
+      this._emit(context, 'ORI_Unlocked', suspect, accuser, 0);
+      return;
+    }
+
+    this._set('accountStates', suspect, getAccountState(callDataRoot, state, context.timestamp));
+
+    this._emit(context, 'ORI_Unlocked', suspect, accuser, context.timestamp);
+  }
+
+  _proveFraud(sender, [suspect, callData, state, callDataRoot, proof, lastTime], context) {
+    this._isLocked(suspect);
+
+    const accuser = sender;
+
+    check(compareHex(this._get('lockers', suspect, ZERO_ADDRESS), accuser), 'NOT_LOCKER');
+
+    this._checkRoots(suspect, callDataRoot, state, lastTime);
+
+    check(this._elementsExist(callDataRoot, callData, proof), 'INVALID_CALLDATA');
+
+    const callDataIndices = this._getIndices(callData, proof);
+    const transitionIndex = callDataIndices[0];
+
+    if (callData.length === 1) {
+      check(transitionIndex + 1 === Number(toBuffer(proof[0]).readUInt32BE(28)), 'INCORRECT_CALLDATA');
+      check(!this._verifyTransition(suspect, callData[0], state, context), 'VALID_TRANSITION');
+    } else {
+      check(transitionIndex + 1 === callDataIndices[1], '');
+      check(!this._verifyTransition(suspect, callData[0], getCalldataState(callData[1]), context), 'VALID_TRANSITION');
+    }
+
+    const amount = this._get('balances', suspect, 0n);
+    this._set('balances', suspect, 0n);
+    this._set('balances', accuser, this._get('balances', accuser, 0n) + amount);
+
+    this._set('lockers', accuser, ZERO_ADDRESS);
+    this._set('lockedTimestamps', accuser, 0);
+
+    this._set('rollbackSizes', suspect, transitionIndex);
+
+    this._set('lockers', suspect, suspect);
+    this._set('lockedTimestamps', suspect, 0);
+
+    this._emit(context, 'ORI_Fraud_Proven', accuser, suspect, transitionIndex);
+  }
+
+  _rollback(sender, args, context) {
+    const [rolledBackRoot, rolledBackCallData, rollBackProof, currentSize, currentSizeProof] = args;
+    const [callDataRoot, state, lastTime] = args.slice(5);
+    const user = sender;
+    const expectedSize = this._get('rollbackSizes', user, 0);
+
+    check(expectedSize !== 0, 'ROLLBACK_UNNECESSARY');
+
+    this._checkRoots(user, callDataRoot, state, lastTime);
+
+    check(this._verifySize(callDataRoot, currentSize, currentSizeProof), 'INVALID_SIZE');
+
+    const rolledBackSize = Number(toBuffer(rollBackProof[0]).readUInt32BE(28));
+    check(rolledBackSize < currentSize, 'INSUFFICIENT_ROLLBACK');
+    check(rolledBackSize >= expectedSize, 'ROLLBACK_TOO_DEEP');
+
+    check(
+      this._tryAppend(rolledBackRoot, rolledBackCallData, rollBackProof) === toHex(callDataRoot),
+      'INVALID_ROLLBACK'
+    );
+
+    const rolledBackState = getCalldataState(rolledBackCallData[0]);
+    this._set('accountStates', user, getAccountState(rolledBackRoot, rolledBackState, context.timestamp));
+
+    if (rolledBackSize === expectedSize) {
+      this._set('lockers', user, ZERO_ADDRESS);
+      this._set('rollbackSizes', user, 0);
+    }
+
+    check(this._applyBond(user, context) === 0n, 'INVALID_BOND');
+
+    this._emit(context, 'ORI_Rolled_Back', user, rolledBackSize, context.timestamp);
+  }
+
+  // PRIVATE: Decodes ORI call data into the function ABI fragment and normalized args
+  _decodeORICall(data) {
+    const fragment = this._oriCodec.getFragment(toHex(data).slice(0, 10));
+    check(fragment, '');
+
+    const decoded = this._oriCodec.decode(data).args;
+
+    // Small uints (times, sizes) are used as Numbers, like the client does (structs are also keyed by member name)
+    const args = fragment.inputs.map(({ type }, i) => (type === 'uint256' ? Number(decoded[i]) : decoded[i]));
+
+    return { fragment, args };
+  }
+
+  // PRIVATE: Executes a transaction against the state, and returns the logs and gas used (reverting all on failure)
+  _execute(transaction) {
+    const { from, to, data = '0x', value = 0, gas } = transaction;
+    const sender = from.toLowerCase();
+    const snapshot = this._snapshot();
+    const context = { value: BigInt(value), timestamp: this._time, blockNumber: this._blocks.length, logs: [] };
+    const gasUsed = getGasUsed(data);
+
+    try {
+      check(gas === undefined || Number(gas) >= gasUsed, 'out of gas');
+
+      this._transfer(sender, to, context.value);
+
+      if (compareHex(to, this.oriAddress) && toBuffer(data).length) {
+        const { fragment, args } = this._decodeORICall(data);
+
+        check(fragment.stateMutability === 'payable' || context.value === 0n, '');
+
+        // Transactions to view functions have no effect
+        if (fragment.stateMutability !== 'view') {
+          const method = '_' + fragment.name.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+          this[method](sender, args, context);
+        }
+      } else if (compareHex(to, this.oriAddress)) {
+        // Mirrors the receive function, which bonds msg.value for msg.sender, keeping any amount beyond the bond
+        const remainder = this._applyBond(sender, context);
+        this._set('balances', sender, this._get('balances', sender, 0n) + remainder);
+      }
+    } catch (err) {
+      this._state = snapshot;
+      throw err;
+    }
+
+    return { logs: context.logs, gasUsed };
+  }
+
+  // PUBLIC: Advances the clock by some seconds (affecting the timestamp of the next block)
+  increaseTime(seconds) {
+    this._time += Number(seconds);
+  }
+
+  // PUBLIC: Sets the clock (the timestamp of the next block)
+  setTime(time) {
+    this._time = Number(time);
+  }
+
+  // PUBLIC: Sets the gas price (which does not affect balances, as transactions are free)
+  setGasPrice(gasPrice) {
+    this._gasPrice = BigInt(gasPrice);
+  }
+
+  // PUBLIC: Returns the gas price
+  getGasPrice() {
+    return this._gasPrice;
+  }
+
+  // PUBLIC: Mines an empty block
+  mine() {
+    return this._mineBlock([]);
+  }
+
+  // PUBLIC: Sends a transaction ({ from, to, data, value, gas, nonce }) and mines it, returning the receipt
+  // Like a chain, a transaction that reverts is still mined (failed, and using its nonce), and its error is thrown with
+  // the receipt
+  sendTransaction(transaction) {
+    const { from, to, data = '0x', value = 0, nonce } = transaction;
+    const transactionCount = this.getTransactionCount(from);
+
+    // Like a node, rejects transactions with an unexpected nonce before executing them
+    if (nonce !== undefined && Number(nonce) !== transactionCount) {
+      throw Error(`Invalid nonce ${nonce} for ${from}, expected ${transactionCount}.`);
+    }
+
+    let execution = null;
+    let revertError = null;
+
+    try {
+      execution = this._execute(transaction);
+    } catch (error) {
+      revertError = error;
+    }
+
+    const { logs, gasUsed } = execution ?? { logs: [], gasUsed: getGasUsed(data) };
+
+    this._transactionCounts.set(from.toLowerCase(), transactionCount + 1);
+
+    const blockNumber = this._blocks.length;
+    const hashInput = Buffer.from(`${blockNumber} ${from} ${to} ${toHex(data)} ${value}`);
+    const transactionHash = toHex(hash(hashInput));
+
+    const receiptLogs = logs.map((log, logIndex) => Object.assign(log, { blockNumber, transactionHash, logIndex }));
+
+    this._transactions.set(transactionHash, {
+      hash: transactionHash,
+      from: from.toLowerCase(),
+      to: to.toLowerCase(),
+      data: toHex(data),
+      value: BigInt(value).toString(),
+      blockNumber,
+    });
+
+    const receipt = { transactionHash, blockNumber, status: !revertError, gasUsed, logs: receiptLogs };
+    this._receipts.set(transactionHash, receipt);
+
+    this._mineBlock([transactionHash], receiptLogs);
+
+    if (revertError) throw Object.assign(revertError, { receipt });
+
+    return receipt;
+  }
+
+  // PUBLIC: Returns the gas a transaction would use, or throws if it would revert
+  estimateGas(transaction) {
+    const snapshot = this._snapshot();
+
+    try {
+      return this._execute(transaction).gasUsed;
+    } finally {
+      this._state = snapshot;
+    }
+  }
+
+  // PUBLIC: Returns the result of calling a contract function, as a hex string (without mining or state changes)
+  call(callObject) {
+    const { from = ZERO_ADDRESS, to, data } = callObject;
+    const context = { value: 0n, timestamp: this._time, blockNumber: this._blocks.length, logs: [] };
+
+    if (compareHex(to, this.logicAddress)) return toHex(this._executeLogic(data, context));
+
+    check(compareHex(to, this.oriAddress), '');
+
+    const { fragment, args } = this._decodeORICall(data);
+    check(['view', 'pure'].includes(fragment.stateMutability), '');
+
+    return toHex(encodeParameters(fragment.outputs, [this.read(fragment.name, args)]));
+  }
+
+  // PUBLIC: Returns the value of an ORI public variable or mapping (addresses as lowercase hex, uints as BigInts)
+  read(name, args = []) {
+    const [user = ZERO_ADDRESS] = args;
+
+    switch (name) {
+      case 'account_states':
+        return this._get('accountStates', user, toHex(ZERO_BYTES_32));
+      case 'balances':
+        return this._get('balances', user, 0n);
+      case 'lockers':
+        return this._get('lockers', user, ZERO_ADDRESS);
+      case 'locked_timestamps':
+        return BigInt(this._get('lockedTimestamps', user, 0));
+      case 'rollback_sizes':
+        return BigInt(this._get('rollbackSizes', user, 0));
+      case 'lock_time':
+        return BigInt(this.lockTime);
+      case 'required_bond':
+        return this.requiredBond;
+      case 'logic_contract':
+        return this.logicAddress;
+      case 'chain_id':
+        return BigInt(this.chainId);
+      case 'domain_separator':
+        return toHex(getDomainSeparator(getDomain(this.chainId, this.oriAddress)));
+      default:
+        throw Error(`Unknown ORI variable ${name}.`);
+    }
+  }
+
+  // PUBLIC: Returns the ether balance of an address
+  getBalance(address) {
+    return this._get('etherBalances', address, 0n);
+  }
+
+  // PUBLIC: Returns the number of transactions sent (and mined) from an address, which is its next nonce
+  getTransactionCount(address) {
+    return this._transactionCounts.get(address.toLowerCase()) ?? 0;
+  }
+
+  // PUBLIC: Signs EIP-712 typed data for an account, with a pseudo-signature only the simulator recovers (and only
+  // for the same digest), since simulated accounts have no private keys
+  signTypedData(address, typedData) {
+    const digest = hashTypedData(typedData);
+    const addressHash = hash(Buffer.concat([digest, toBuffer(address)]));
+    const signature = toHex(Buffer.concat([addressHash, digest, Buffer.from('1b', 'hex')]));
+
+    this._signers.set(signature, address.toLowerCase());
+
+    return signature;
+  }
+
+  // PUBLIC: Returns a block by number (or 'latest')
+  getBlock(blockTag = 'latest') {
+    const number = blockTag === 'latest' ? this.blockNumber : Number(blockTag);
+
+    return this._blocks[number] ?? null;
+  }
+
+  // PUBLIC: Returns a transaction by hash
+  getTransaction(transactionHash) {
+    return this._transactions.get(transactionHash) ?? null;
+  }
+
+  // PUBLIC: Returns a transaction receipt by hash
+  getTransactionReceipt(transactionHash) {
+    return this._receipts.get(transactionHash) ?? null;
+  }
+
+  // PUBLIC: Returns past ORI event logs, optionally filtered by event name and block range
+  getLogs(filter = {}) {
+    const { eventName, fromBlock = 0, toBlock = 'latest' } = filter;
+    const from = fromBlock === 'latest' ? this.blockNumber : Number(fromBlock);
+    const to = toBlock === 'latest' ? this.blockNumber : Number(toBlock);
+
+    return this._logs.filter(
+      (log) => (!eventName || log.event === eventName) && log.blockNumber >= from && log.blockNumber <= to
+    );
+  }
+
+  // PUBLIC: Calls the listener with every new ORI event log, and returns a function to stop
+  onLog(listener) {
+    this._emitter.on('log', listener);
+
+    return () => this._emitter.off('log', listener);
+  }
+}
+
+module.exports = Simulator;
@@ -0,0 +1,60 @@
+const assert = require('assert');
+
+const { hash, toHex, toBuffer } = require('../utils');
+const { encodeParameters, decodeParameters } = require('../abi');
+const { MemoryStorage } = require('../storage');
+
+// State codec of a larger struct committed to by hash: the state is the hash of the ABI-encoded fields (as
+// keccak256(abi.encode(...)) in a logic contract). The preimages of states are kept in a storage, by state, so only
+// states encoded locally, or whose preimage was added (i.e. shared off-chain by their user), can be decoded.
+class HashedStateCodec {
+  constructor(fields = [], options = {}) {
+    const { preimages = new MemoryStorage() } = options;
+
+    assert(fields.length, 'At least one field is required.');
+
+    this._fields = fields;
+    this._preimages = preimages;
+  }
+
+  // GETTER: Returns the fields (name and type) of the state
+  get fields() {
+    return this._fields;
+  }
+
+  // PUBLIC: Adds the preimage (ABI-encoded fields) of a state, and returns the state
+  addPreimage(preimage) {
+    const state = hash(toBuffer(preimage));
+    this._preimages.save(toHex(state), toHex(toBuffer(preimage)));
+
+    return state;
+  }
+
+  // PUBLIC: Returns the preimage of a state as a hex string, or null if unknown
+  getPreimage(state) {
+    return this._preimages.load(toHex(toBuffer(state)));
+  }
+
+  // PUBLIC: Returns the state of an object of field values, as a Buffer, keeping its preimage
+  encode(values) {
+    const preimage = encodeParameters(
+      this._fields,
+      this._fields.map(({ name }) => values[name])
+    );
+
+    return this.addPreimage(preimage);
+  }
+
+  // PUBLIC: Returns the object of field values of a state (Buffer or hex string), or null if its preimage is unknown
+  decode(state) {
+    const preimage = this.getPreimage(state);
+
+    if (!preimage) return null;
+
+    const decoded = decodeParameters(this._fields, preimage);
+
+    return this._fields.reduce((values, { name }, i) => Object.assign(values, { [name]: decoded[i] }), {});
+  }
+}
+
+module.exports = HashedStateCodec;
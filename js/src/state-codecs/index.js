@@ -0,0 +1,11 @@
+// A state codec is any object converting between an account's 32-byte state and an object of its field values:
+//   encode(values) -> state Buffer
+//   decode(state) -> values, or null if the state cannot be decoded (i.e. a hash whose preimage is unknown)
+
+const PackedStateCodec = require('./packed');
+const HashedStateCodec = require('./hashed');
+
+module.exports = {
+  PackedStateCodec,
+  HashedStateCodec,
+};
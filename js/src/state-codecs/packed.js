@@ -0,0 +1,79 @@
+const assert = require('assert');
+
+const { toBuffer } = require('../utils');
+const { encodeParameters, decodeParameters } = require('../abi');
+
+const STATE_SIZE = 32;
+
+// HELPER: Returns the size, in bytes, of a field packed into the state
+const getFieldSize = ({ type }) => {
+  if (type === 'bool') return 1;
+
+  if (type === 'address') return 20;
+
+  const match = type.match(/^(u?int|bytes)(\d+)$/);
+  assert(match, `Unsupported packed field type ${type}.`);
+
+  return match[1] === 'bytes' ? Number(match[2]) : Number(match[2]) / 8;
+};
+
+// HELPER: Returns the 32-byte ABI encoding of a field from its packed bytes (sign-extending negative ints)
+const toWord = ({ type }, bytes) => {
+  const padding = Buffer.alloc(STATE_SIZE - bytes.length, type.startsWith('int') && bytes[0] >= 0x80 ? 0xff : 0);
+
+  return type.startsWith('bytes') ? Buffer.concat([bytes, padding]) : Buffer.concat([padding, bytes]);
+};
+
+// State codec of fields packed into the state, in order and without padding (as abi.encodePacked, with the remaining
+// bytes zeroed). Fields are sized (u)ints, decoded as BigInts, bools, addresses, and fixed-size bytes.
+class PackedStateCodec {
+  constructor(fields = []) {
+    const size = fields.reduce((size, field) => size + getFieldSize(field), 0);
+
+    assert(size <= STATE_SIZE, `Fields take ${size} bytes, more than the ${STATE_SIZE}-byte state.`);
+
+    this._fields = fields;
+  }
+
+  // GETTER: Returns the fields (name and type) of the state
+  get fields() {
+    return this._fields;
+  }
+
+  // PUBLIC: Returns the state of an object of field values, as a Buffer
+  encode(values) {
+    const packedFields = this._fields.map((field) => {
+      const { name, type } = field;
+
+      assert(values[name] !== undefined, `Missing value of ${name}.`);
+
+      const word = encodeParameters([field], [values[name]]);
+      const size = getFieldSize(field);
+      const bytes = type.startsWith('bytes') ? word.slice(0, size) : word.slice(STATE_SIZE - size);
+
+      assert(toWord(field, bytes).equals(word), `Value of ${name} does not fit in ${type}.`);
+
+      return bytes;
+    });
+
+    const packed = Buffer.concat(packedFields);
+
+    return Buffer.concat([packed, Buffer.alloc(STATE_SIZE - packed.length)]);
+  }
+
+  // PUBLIC: Returns the object of field values of a state (Buffer or hex string)
+  decode(state) {
+    const buffer = toBuffer(state);
+    let offset = 0;
+
+    return this._fields.reduce((values, field) => {
+      const size = getFieldSize(field);
+      values[field.name] = decodeParameters([field], toWord(field, buffer.slice(offset, offset + size)))[0];
+      offset += size;
+
+      return values;
+    }, {});
+  }
+}
+
+module.exports = PackedStateCodec;
@@ -0,0 +1,12 @@
+// A storage is any object implementing synchronous, JSON-serializable persistence by key:
+//   load(key) -> value or null
+//   save(key, value)
+//   remove(key)
+
+const MemoryStorage = require('./memory');
+const JsonFileStorage = require('./json-file');
+
+module.exports = {
+  MemoryStorage,
+  JsonFileStorage,
+};
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+// Storage that keeps serialized states, by key, in a single JSON file
+class JsonFileStorage {
+  constructor(filePath) {
+    assert(filePath, 'filePath is mandatory.');
+
+    this._filePath = path.resolve(filePath);
+  }
+
+  // PRIVATE: Returns all values saved in the file
+  _read() {
+    if (!fs.existsSync(this._filePath)) return {};
+
+    return JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+  }
+
+  // PRIVATE: Overwrites the file with all values (via a temporary file, so a crash cannot leave it half-written)
+  _write(values) {
+    const tempFilePath = `${this._filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+    fs.writeFileSync(tempFilePath, JSON.stringify(values, null, 2));
+    fs.renameSync(tempFilePath, this._filePath);
+  }
+
+  // PUBLIC: Returns the value saved under a key, or null if there is none
+  load(key) {
+    return this._read()[key] ?? null;
+  }
+
+  // PUBLIC: Saves a JSON-serializable value under a key
+  save(key, value) {
+    const values = this._read();
+    values[key] = value;
+    this._write(values);
+  }
+
+  // PUBLIC: Removes the value saved under a key
+  remove(key) {
+    const values = this._read();
+    delete values[key];
+    this._write(values);
+  }
+}
+
+module.exports = JsonFileStorage;
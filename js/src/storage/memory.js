@@ -0,0 +1,25 @@
+// Storage that keeps serialized states in memory (round-tripped through JSON, like any persistent storage)
+class MemoryStorage {
+  constructor() {
+    this._values = new Map();
+  }
+
+  // PUBLIC: Returns the value saved under a key, or null if there is none
+  load(key) {
+    const json = this._values.get(key);
+
+    return json === undefined ? null : JSON.parse(json);
+  }
+
+  // PUBLIC: Saves a JSON-serializable value under a key
+  save(key, value) {
+    this._values.set(key, JSON.stringify(value));
+  }
+
+  // PUBLIC: Removes the value saved under a key
+  remove(key) {
+    this._values.delete(key);
+  }
+}
+
+module.exports = MemoryStorage;
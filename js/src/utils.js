@@ -85,6 +85,22 @@ const toBigInt = (value) => {
 
 const compareHex = (a, b) => a.toLowerCase() === b.toLowerCase();
 
+// Returns a value (i.e. function args or decoded states) with Buffers and BigInts converted to JSON-safe hex and
+// decimal strings
+const serializeValue = (value) => {
+  if (Array.isArray(value)) return value.map(serializeValue);
+
+  if (Buffer.isBuffer(value)) return toHex(value);
+
+  if (typeof value == 'bigint') return value.toString();
+
+  if (value && typeof value == 'object') {
+    return Object.entries(value).reduce((values, [key, v]) => Object.assign(values, { [key]: serializeValue(v) }), {});
+  }
+
+  return value;
+};
+
 module.exports = {
   leftPad,
   to32ByteBuffer,
@@ -92,8 +108,10 @@ module.exports = {
   hash,
   hashPacked,
   prefix,
+  removePrefix,
   toHex,
   toBuffer,
   toBigInt,
   compareHex,
+  serializeValue,
 };
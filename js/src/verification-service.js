@@ -0,0 +1,256 @@
+const assert = require('assert');
+const http = require('http');
+
+const { serializeValue, toHex } = require('./utils');
+const { ORIError } = require('./errors');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const HEX_PATTERN = /^0x([0-9a-fA-F]{2})*$/;
+
+// Routes by their path's first segment, with their method, and whether they take a param as second segment
+const ROUTES = {
+  verify: { method: 'POST', param: false },
+  accounts: { method: 'GET', param: true },
+  frauds: { method: 'GET', param: false },
+  status: { method: 'GET', param: false },
+};
+
+// HELPER: Returns an error to respond with, with its HTTP status
+const httpError = (status, message) => Object.assign(Error(message), { status });
+
+// HELPER: Returns the HTTP status of an error (client errors for invalid requests and operations, otherwise 500)
+const getStatus = (error) => {
+  if (error.status) return error.status;
+
+  if (error instanceof ORIError) return 422;
+
+  return error.code === 'ERR_ASSERTION' ? 400 : 500;
+};
+
+// HELPER: Returns the JSON body of a request (or an empty object if none)
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', (chunk) => {
+      size += chunk.length;
+
+      if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+    });
+
+    request.on('end', () => {
+      if (size > MAX_BODY_SIZE) return reject(httpError(413, 'Request body too large.'));
+
+      try {
+        resolve(size ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(httpError(400, 'Invalid JSON body.'));
+      }
+    });
+
+    request.on('error', reject);
+  });
+
+// Serves fraud verification over HTTP, so that other components (i.e. several game servers) can share one watcher: an
+// ORI instance whose autoVerify event loop verifies optimistic transactions as they are mined, tracking the users'
+// verified transactions, and the frauds found (with their fraudsters) until proven. Endpoints, all returning JSON:
+//   POST /verify with { txHash } of an optimistic transaction (recording any fraud found, unless already verified), or
+//     { callData } of an optimistic perform not yet mined (i.e. to be relayed), returning { valid, user } (and the
+//     invalid index, if any)
+//   GET /accounts/:user, returning the user's on-chain account status, verified transactions, and fraud, if any
+//   GET /frauds, returning the frauds found, detected or proven
+//   GET /status, returning whether watching, the last processed event, and the last error of the event loop
+class VerificationService {
+  constructor(ori, options = {}) {
+    const { host = '127.0.0.1', port = 0, watch = true, pureVerifiers, fromBlock, polling, pollingInterval } = options;
+
+    this._ori = ori;
+    this._host = host;
+    this._port = port;
+    this._watch = watch;
+    this._pureVerifiers = pureVerifiers;
+    this._autoVerifyOptions = { pureVerifiers, fromBlock, polling, pollingInterval };
+
+    this._server = http.createServer((request, response) => this._handle(request, response));
+    this._verifyEmitter = null;
+    this._lastError = null;
+
+    // Verified transactions, and frauds found (including those of fraudsters already tracked by the ORI), by user
+    this._accounts = {};
+    this._frauds = {};
+
+    // Results of the transactions verified (whether by the event loop or on request), by transaction hash
+    this._verifications = new Map();
+
+    ori.suspects.forEach((user) => this._recordFraud({ user, transactionHash: null }));
+  }
+
+  // GETTER: Returns the URL the service listens on, once started
+  get url() {
+    const address = this._server.address();
+
+    return address && `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+  }
+
+  // PRIVATE: Records a verified transaction of a user, unless already recorded
+  _recordVerification({ user, transactionHash, valid }) {
+    if (this._verifications.has(transactionHash.toLowerCase())) return;
+
+    this._verifications.set(transactionHash.toLowerCase(), { valid, user });
+
+    const account = this._accounts[user] ?? (this._accounts[user] = { verifiedTransactions: 0 });
+
+    account.verifiedTransactions += 1;
+    account.lastVerifiedTransaction = { transactionHash, valid };
+  }
+
+  // PRIVATE: Records the fraud of a user, detected in a transaction (or unknown if found before the service started),
+  // unless already recorded (i.e. detected in an older transaction verified on request, or proven)
+  _recordFraud({ user, transactionHash }) {
+    if (this._frauds[user]) return;
+
+    this._frauds[user] = {
+      user,
+      status: 'detected',
+      transactionHash,
+      fraudIndex: this._ori.getFraudster(user)?.fraudIndex ?? null,
+    };
+  }
+
+  // PRIVATE: Records the proof of a user's fraud, by an accuser
+  _recordProof({ user, accuser, transactionHash }) {
+    const fraud = this._frauds[user] ?? { user, transactionHash: null, fraudIndex: null };
+
+    this._frauds[user] = Object.assign(fraud, { status: 'proven', accuser, proofTransactionHash: transactionHash });
+  }
+
+  // PRIVATE: Verifies an optimistic transaction by hash, or an optimistic perform's call data
+  async _verify(body) {
+    assert(body && typeof body === 'object', 'Invalid JSON body.');
+
+    const { txHash, callData } = body;
+
+    assert(!txHash !== !callData, 'Either txHash or callData is required.');
+
+    if (callData) {
+      assert(HEX_PATTERN.test(callData), 'Invalid callData.');
+
+      return this._ori.verifyCalldata(callData, { pureVerifiers: this._pureVerifiers });
+    }
+
+    assert(TX_HASH_PATTERN.test(txHash), 'Invalid txHash.');
+
+    // Transactions already verified are not verified (nor their fraud recorded) again
+    const verification = this._verifications.get(txHash.toLowerCase());
+
+    if (verification) return Object.assign({}, verification);
+
+    const result = await this._ori.verifyTransaction(txHash, { pureVerifiers: this._pureVerifiers });
+    this._recordVerification({ user: result.user, transactionHash: txHash, valid: result.valid });
+
+    if (!result.valid) this._recordFraud({ user: result.user, transactionHash: txHash });
+
+    return result;
+  }
+
+  // PRIVATE: Returns a user's on-chain account status, verified transactions, fraud, and fraudster's tracked state
+  async _getAccount(user) {
+    assert(ADDRESS_PATTERN.test(user), 'Invalid user address.');
+
+    const status = await this._ori.getAccountStatus(user);
+    const { verifiedTransactions = 0, lastVerifiedTransaction = null } = this._accounts[status.user] ?? {};
+    const fraudster = this._ori.getFraudster(status.user);
+
+    const fraudsterState = fraudster && {
+      fraudIndex: fraudster.fraudIndex,
+      transitionCount: fraudster.transitionCount,
+      currentState: toHex(fraudster.currentState),
+      lastTime: fraudster.lastTime,
+    };
+
+    return Object.assign(status, {
+      verifiedTransactions,
+      lastVerifiedTransaction,
+      fraud: this._frauds[status.user] ?? null,
+      fraudster: fraudsterState ?? null,
+    });
+  }
+
+  // PRIVATE: Returns the result of a request, by method and path
+  async _route(request) {
+    const { method } = request;
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const [, resource, param, ...rest] = pathname.replace(/\/$/, '').split('/');
+
+    const route = Object.keys(ROUTES).find(
+      (name) => name === resource && !rest.length && !param === !ROUTES[name].param
+    );
+
+    if (!route) throw httpError(404, `No route for ${method} ${pathname}.`);
+
+    if (method !== ROUTES[route].method) throw httpError(405, `${method} not allowed on ${pathname}.`);
+
+    if (route === 'verify') return this._verify(await readBody(request));
+
+    if (route === 'accounts') return this._getAccount(param);
+
+    if (route === 'frauds') return Object.values(this._frauds);
+
+    return {
+      watching: !!this._verifyEmitter,
+      lastProcessedEvent: this._verifyEmitter?.lastProcessed ?? null,
+      lastError: this._lastError,
+    };
+  }
+
+  // PRIVATE: Responds to a request with its result, or its error, as JSON
+  async _handle(request, response) {
+    let status = 200;
+    let body = null;
+
+    try {
+      body = serializeValue(await this._route(request));
+    } catch (error) {
+      status = getStatus(error);
+      body = { error: { message: error.message, code: error instanceof ORIError ? error.code : undefined } };
+    }
+
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  // PUBLIC: Starts verifying optimistic transactions as they are mined (unless watch is disabled), and listening
+  async start() {
+    if (this._watch) {
+      this._verifyEmitter = this._ori.autoVerify(this._autoVerifyOptions);
+      this._verifyEmitter.on('verified', (verification) => this._recordVerification(verification));
+      this._verifyEmitter.on('fraud', (fraud) => this._recordFraud(fraud));
+      this._verifyEmitter.on('proven', (proof) => this._recordProof(proof));
+
+      this._verifyEmitter.on('error', ({ message, transactionHash }) => {
+        this._lastError = { message, transactionHash };
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this._port, this._host, resolve);
+    });
+
+    return this;
+  }
+
+  // PUBLIC: Stops verifying optimistic transactions, and listening
+  async stop() {
+    this._verifyEmitter?.stop();
+    this._verifyEmitter = null;
+
+    if (this._server.listening) await new Promise((resolve) => this._server.close(resolve));
+  }
+}
+
+module.exports = VerificationService;
@@ -0,0 +1,220 @@
+const EventEmitter = require('events');
+
+const { compareHex } = require('./utils');
+
+// Watches an ORI instance's autoVerify events, and automatically locks suspects and proves their fraud, within policies.
+// Emits 'detected', 'skipped', 'locked', 'proven', 'lostRace', and 'failed' events, each with the suspect as user, and
+// forwards the autoVerify emitter's 'error' events (only while listened for, as the autoVerify emitter does).
+// A locked suspect cannot transition, so a failed fraud proof is retried (every retryInterval ms, which should be well
+// within the lock time) once their fraudster is re-synced from chain, and an unlocked suspect is locked again at once.
+class Watchtower extends EventEmitter {
+  constructor(ori, options = {}) {
+    super();
+
+    const {
+      minReward = '0',
+      maxGasPrice,
+      bond = true,
+      lockOptions = {},
+      proveOptions = {},
+      retryInterval = 10000,
+    } = options;
+
+    this._ori = ori;
+    this._verifyEmitter = null;
+    this._minReward = BigInt(minReward);
+    this._maxGasPrice = maxGasPrice === undefined ? null : BigInt(maxGasPrice);
+    this._bond = bond;
+    this._lockOptions = lockOptions;
+    this._proveOptions = proveOptions;
+    this._retryInterval = retryInterval;
+
+    // Suspects whose fraud was detected, and whether they are locked by this watchtower's account, by user
+    this._suspects = {};
+
+    // The accuser can only hold one lock at a time, so suspects are engaged one after another
+    this._work = Promise.resolve();
+
+    // Timeouts of the fraud proofs to retry, by user
+    this._retries = {};
+  }
+
+  // GETTER: Returns the account locking suspects and proving their fraud
+  get accuser() {
+    return this._ori.sourceAddress;
+  }
+
+  // PRIVATE: Runs some work after all previously scheduled work, emitting 'failed' if it throws
+  _schedule(user, stage, work) {
+    this._work = this._work.then(work).catch((error) => this.emit('failed', { user, stage, error }));
+
+    return this._work;
+  }
+
+  // PRIVATE: Returns the reason the policies prevent locking the suspect now, if any
+  async _checkPolicies(fraudster, reward) {
+    if (reward < this._minReward) return `Reward ${reward} is less than minimum reward ${this._minReward}.`;
+
+    if (this._maxGasPrice !== null) {
+      const gasPrice = await fraudster.getGasPrice();
+
+      if (gasPrice > this._maxGasPrice) return `Gas price ${gasPrice} exceeds maximum gas price ${this._maxGasPrice}.`;
+    }
+
+    if (!this._bond && !(await fraudster.isBonded(this.accuser))) return 'Accuser is not bonded, and bond is disabled.';
+
+    return null;
+  }
+
+  // PRIVATE: Locks the suspect, if the policies allow, and returns true if the suspect is locked by the accuser
+  async _lock(user) {
+    const fraudster = this._ori.getFraudster(user);
+
+    if (!fraudster) return false;
+
+    const locker = await fraudster.getLocker();
+
+    if (locker) {
+      if (compareHex(locker, this.accuser)) return true;
+
+      this._lostRace(user, locker);
+      return false;
+    }
+
+    const reward = await fraudster.getBalance();
+    const reason = await this._checkPolicies(fraudster, reward);
+
+    if (reason) {
+      this.emit('skipped', { user, reason });
+      return false;
+    }
+
+    try {
+      const { receipt } = await fraudster.lock(this._lockOptions);
+      this.emit('locked', { user, receipt, reward });
+
+      return true;
+    } catch (error) {
+      const newLocker = await fraudster.getLocker();
+
+      if (!newLocker || compareHex(newLocker, this.accuser)) throw error;
+
+      this._lostRace(user, newLocker);
+      return false;
+    }
+  }
+
+  // PRIVATE: Proves the fraud of a suspect locked by the accuser
+  async _prove(user) {
+    const fraudster = this._ori.getFraudster(user);
+
+    if (!fraudster) return;
+
+    const reward = await fraudster.getBalance();
+    const { receipt } = await fraudster.proveFraud(this._proveOptions);
+
+    delete this._suspects[user];
+    this.emit('proven', { user, receipt, reward });
+  }
+
+  // PRIVATE: Re-syncs a locked suspect's fraudster from chain, and proves their fraud again, after the retry interval
+  _retryProof(user) {
+    if (this._verifyEmitter?.isStopped) return;
+
+    clearTimeout(this._retries[user]);
+
+    this._retries[user] = setTimeout(() => {
+      delete this._retries[user];
+
+      this._schedule(user, 'sync', async () => {
+        if (!this._suspects[user]?.locked) return;
+
+        await this._ori.getFraudster(user)?.syncFromChain();
+      }).then(() => this._engage(user));
+    }, this._retryInterval);
+  }
+
+  // PRIVATE: Stops retrying the fraud proofs of all suspects
+  _clearRetries() {
+    Object.values(this._retries).forEach((timeout) => clearTimeout(timeout));
+    this._retries = {};
+  }
+
+  // PRIVATE: Stops engaging a suspect that was locked, or proven fraudulent, by another account
+  _lostRace(user, accuser) {
+    delete this._suspects[user];
+    this.emit('lostRace', { user, accuser: accuser.toLowerCase() });
+  }
+
+  // PRIVATE: Locks the suspect (unless already locked by the accuser) and proves their fraud
+  _engage(user) {
+    return this._schedule(user, 'lock', async () => {
+      const suspect = this._suspects[user];
+
+      if (!suspect) return;
+
+      if (!suspect.locked) {
+        suspect.locked = await this._lock(user);
+
+        if (!suspect.locked) return;
+      }
+
+      try {
+        await this._prove(user);
+      } catch (error) {
+        // The fraudster may be missing the suspect's latest transactions, so proving is retried once re-synced
+        this.emit('failed', { user, stage: 'prove', error });
+        this._retryProof(user);
+      }
+    });
+  }
+
+  // PUBLIC: Acts on the events of an autoVerify emitter
+  watch(verifyEmitter) {
+    this._verifyEmitter = verifyEmitter;
+
+    verifyEmitter.on('error', (error) => {
+      if (this.listenerCount('error')) this.emit('error', error);
+    });
+
+    verifyEmitter.on('fraud', ({ user, transactionHash }) => {
+      const { fraudIndex } = this._ori.getFraudster(user);
+      this._suspects[user] = { locked: false };
+
+      this.emit('detected', { user, transactionHash, fraudIndex });
+      this._engage(user);
+    });
+
+    // Later transactions of a suspect update their fraudster, after which locking or proving can be retried
+    verifyEmitter.on('update', ({ user }) => {
+      if (this._suspects[user]) this._engage(user);
+    });
+
+    // An expired lock that was unlocked must be locked again, since the suspect may not transition again
+    verifyEmitter.on('unlocked', ({ user }) => {
+      if (!this._suspects[user]) return;
+
+      this._suspects[user].locked = false;
+      this._engage(user);
+    });
+
+    verifyEmitter.on('proven', ({ user, accuser }) => {
+      if (!this._suspects[user] || compareHex(accuser, this.accuser)) return;
+
+      this._lostRace(user, accuser);
+    });
+
+    verifyEmitter.once('stopped', () => this._clearRetries());
+
+    return this;
+  }
+
+  // PUBLIC: Stops the autoVerify emitter being watched, and retrying fraud proofs (any lock or fraud proof underway still
+  // completes)
+  stop() {
+    this._clearRetries();
+    this._verifyEmitter.stop();
+  }
+}
+
+module.exports = Watchtower;
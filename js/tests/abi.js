@@ -0,0 +1,140 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const { FunctionCodec, getSelector } = require('../src/abi');
+const { hash, toHex } = require('../src/utils');
+
+const oriABI = require('../../eth/build/Optimistic_Roll_In.json').abi;
+const compiledABIs = {
+  Optimistic_Roll_In: oriABI,
+  Optimistic_Roll_In_Compatible: require('../../eth/build/Optimistic_Roll_In_Compatible.json').abi,
+  Some_Logic_Contract: require('../../eth/build/Some_Logic_Contract.json').abi,
+  Migrations: require('../../eth/build/Migrations.json').abi,
+};
+
+// Returns a deterministic value for an ABI param, as the codec decodes it
+const getSampleValue = (param, seed) => {
+  const { type } = param;
+  const arrayMatch = type.match(/^(.*)\[(\d*)\]$/);
+  const word = hash(Buffer.from(`${seed}`));
+
+  if (arrayMatch) {
+    const length = arrayMatch[2] === '' ? 1 + (seed % 3) : Number(arrayMatch[2]);
+    const elementParam = Object.assign({}, param, { type: arrayMatch[1] });
+
+    return Array.from({ length }, (_, i) => getSampleValue(elementParam, seed * 7 + i));
+  }
+
+  if (type === 'tuple') return param.components.map((component, i) => getSampleValue(component, seed * 7 + i));
+
+  if (type === 'bytes') return toHex(Buffer.concat([word, word]).slice(0, 1 + (seed % 63)));
+
+  if (type === 'string') return `sample ${seed}`;
+
+  if (type === 'address') return toHex(word.slice(12));
+
+  if (type === 'bool') return seed % 2 === 0;
+
+  if (type.startsWith('bytes')) return toHex(word.slice(0, Number(type.slice(5))));
+
+  const bits = Number(type.replace(/^u?int/, '') || 256);
+
+  return BigInt(toHex(word)) >> BigInt(256 - bits);
+};
+
+describe('ABI Codec', () => {
+  Object.entries(compiledABIs).forEach(([contractName, abi]) => {
+    it(`encodes and decodes calls to every function of ${contractName}.`, () => {
+      const codec = new FunctionCodec(abi);
+
+      abi
+        .filter(({ type }) => type === 'function')
+        .forEach((fragment, i) => {
+          const args = fragment.inputs.map((param, j) => getSampleValue(param, i * 10 + j));
+          const data = codec.encode(fragment.name, args);
+          const decoded = codec.decode(data);
+
+          expect(data.slice(0, 10)).to.equal(getSelector(fragment));
+          expect(decoded).to.include({ name: fragment.name, sighash: getSelector(fragment) });
+          expect(decoded.args).to.deep.equal(args);
+
+          fragment.inputs.forEach(({ name }, j) => name && expect(decoded.args[name]).to.deep.equal(args[j]));
+
+          // Decoded args (with named keys) can be encoded again as is
+          expect(codec.encode(fragment.name, decoded.args)).to.equal(data);
+        });
+    });
+  });
+
+  it('matches the reference encoding of a relayed batch, with named args and struct members.', () => {
+    const codec = new FunctionCodec(oriABI);
+    const user = '0x1111111111111111111111111111111111111111';
+    const relayer = '0x4444444444444444444444444444444444444444';
+    const newState = '0x' + '33'.repeat(32);
+    const signature = '0x' + '55'.repeat(65);
+    const authorization = { fee: 7, relayer, deadline: 1700000000, signature };
+
+    const data = [
+      '0xa4dc62e7',
+      '0000000000000000000000001111111111111111111111111111111111111111',
+      '00000000000000000000000000000000000000000000000000000000000000a0',
+      '3333333333333333333333333333333333333333333333333333333333333333',
+      '0000000000000000000000000000000000000000000000000000000000000120',
+      '0000000000000000000000000000000000000000000000000000000000000140',
+      '0000000000000000000000000000000000000000000000000000000000000001',
+      '0000000000000000000000000000000000000000000000000000000000000020',
+      '0000000000000000000000000000000000000000000000000000000000000003',
+      'aabbcc0000000000000000000000000000000000000000000000000000000000',
+      '0000000000000000000000000000000000000000000000000000000000000000',
+      '0000000000000000000000000000000000000000000000000000000000000007',
+      '0000000000000000000000004444444444444444444444444444444444444444',
+      '000000000000000000000000000000000000000000000000000000006553f100',
+      '0000000000000000000000000000000000000000000000000000000000000080',
+      '0000000000000000000000000000000000000000000000000000000000000041',
+      '5555555555555555555555555555555555555555555555555555555555555555',
+      '5555555555555555555555555555555555555555555555555555555555555555',
+      '5500000000000000000000000000000000000000000000000000000000000000',
+    ].join('');
+
+    const args = [user.toUpperCase().replace('0X', '0x'), ['0xAABBCC'], newState, [], authorization];
+
+    expect(codec.encode('perform_many_optimistically_and_enter_for', args)).to.equal(data);
+
+    const { name, signature: functionSignature, args: decodedArgs } = codec.decode(Buffer.from(data.slice(2), 'hex'));
+
+    expect(name).to.equal('perform_many_optimistically_and_enter_for');
+    expect(functionSignature).to.equal(
+      'perform_many_optimistically_and_enter_for(address,bytes[],bytes32,bytes32[],(uint256,address,uint256,bytes))'
+    );
+    expect(decodedArgs).to.deep.equal([user, ['0xaabbcc'], newState, [], [7n, relayer, 1700000000n, signature]]);
+    expect(decodedArgs.call_data).to.deep.equal(['0xaabbcc']);
+    expect(Object.assign({}, decodedArgs.authorization)).to.include({ fee: 7n, relayer, deadline: 1700000000n });
+  });
+
+  it('encodes numbers, numeric strings, BigInts and Buffers the same.', () => {
+    const codec = new FunctionCodec(oriABI);
+    const callData = '0x' + 'ab'.repeat(70);
+    const state = Buffer.alloc(32, 2);
+
+    const encodings = [1700000000, '1700000000', '0x6553f100', 1700000000n].map((lastTime) =>
+      codec.encode('perform_optimistically', [Buffer.from(callData.slice(2), 'hex'), state, state, [], lastTime])
+    );
+
+    encodings.forEach((encoding) => expect(encoding).to.equal(encodings[0]));
+    const { call_data: decodedCallData, last_time: lastTime } = codec.decode(encodings[0]).args;
+
+    expect(decodedCallData).to.equal(callData);
+    expect(lastTime).to.equal(1700000000n);
+  });
+
+  it('rejects call data of unknown functions, and call data that is truncated.', () => {
+    const codec = new FunctionCodec(oriABI);
+    const data = codec.encode('perform_many_optimistically_and_enter', [['0xaabbcc'], '0x' + '33'.repeat(32), []]);
+
+    expect(() => codec.encode('unknown_function')).to.throw('No function unknown_function.');
+    expect(() => codec.decode('0x12345678' + data.slice(10))).to.throw('No function with selector 0x12345678.');
+    expect(() => codec.decode(data.slice(0, -64))).to.throw('Invalid ABI data.');
+  });
+});
@@ -0,0 +1,233 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const ethers = require('ethers');
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, AccountManager } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Account Manager', () => {
+  let simulator = null;
+  let adapter = null;
+  let manager = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    adapter = new SimulatorAdapter(simulator);
+    manager = new AccountManager({}, { adapter, requiredBond, lockTime });
+  });
+
+  afterEach(() => manager.stop());
+
+  const waitFor = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+  const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+  const getNewState = (optimist, transition, seed, state = optimist.currentState) =>
+    transition(optimist.user, state, generateElements(1, { seed })[0]);
+
+  const performOptimistically = (optimist, transition, seed) =>
+    optimist.some_pure_transition.optimistic(getArgs(seed), getNewState(optimist, transition, seed));
+
+  const queueTransitions = (optimist, seeds) =>
+    seeds.reduce(
+      (work, seed) =>
+        work.then(() =>
+          optimist.some_pure_transition.queue(
+            getArgs(seed),
+            getNewState(optimist, somePureTransition, seed, optimist.queuedState)
+          )
+        ),
+      Promise.resolve()
+    );
+
+  // Adds and initializes the accounts of some users
+  const addAccounts = (users) =>
+    Promise.all(
+      users.map(async (user) => {
+        const account = manager.addAccount(user);
+        await account.initialize({ deposit: '500000000000000000' });
+
+        return account;
+      })
+    );
+
+  it('manages the accounts of many users, sharing one adapter.', async () => {
+    const [user, otherUser] = simulator.accounts;
+    const [account] = await addAccounts([user, otherUser]);
+
+    expect(manager.users).to.deep.equal([user, otherUser]);
+    expect(manager.getAccount(user.toUpperCase().replace('0X', '0x'))).to.equal(account);
+    expect(manager.verifier).to.equal(account);
+    expect(() => manager.addAccount(user)).to.throw(`Account ${user} already managed.`);
+
+    // The shared adapter caches the latest block
+    let blockRequests = 0;
+    const getBlock = adapter.getBlock.bind(adapter);
+
+    adapter.getBlock = (blockTag) => {
+      blockRequests += 1;
+
+      return getBlock(blockTag);
+    };
+
+    await Promise.all([manager.adapter.getBlock(), manager.adapter.getBlock()]);
+
+    expect(blockRequests).to.equal(1);
+
+    manager.clearBlockCache();
+    await manager.adapter.getBlock();
+
+    expect(blockRequests).to.equal(2);
+
+    expect(manager.removeAccount(otherUser).user).to.equal(otherUser);
+    expect(manager.users).to.deep.equal([user]);
+  });
+
+  it('rejects an ethers adapter, which only sends from its one signer.', () => {
+    const [user] = simulator.accounts;
+    const { oriAddress, oriABI, logicAddress } = adapter;
+    const contracts = { oriAddress, oriABI, logicAddress, logicABI };
+    const options = { ethers, ethersSigner: new ethers.VoidSigner(user), requiredBond, lockTime };
+
+    expect(() => new AccountManager(contracts, options)).to.throw(
+      'An ethers adapter only sends from its signer, so cannot be shared by the accounts of many users.'
+    );
+  });
+
+  it('routes events to the managed accounts, and verifies the transactions of other users.', async () => {
+    const [user, otherUser, suspect] = simulator.accounts;
+    const [, account] = await addAccounts([user, otherUser]);
+
+    const suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    manager.start({ pureVerifiers });
+
+    // Another process sends a transaction for a managed account, which is synced with it
+    const otherProcess = new OptimisticRollIn(otherUser, {}, { simulator, requiredBond, lockTime });
+    otherProcess.importState(account.exportState());
+
+    const synced = waitFor(manager, 'synced');
+    const { receipt } = await performOptimistically(otherProcess, somePureTransition, '11');
+
+    expect(await synced).to.deep.equal({ user: otherUser, transactionHash: receipt.transactionHash });
+    expect(account.accountState.equals(await account.getAccountState())).to.be.true;
+    expect(account.transitionCount).to.equal(1);
+
+    // The managed account's own transactions are already applied, so are not synced again
+    const processed = waitFor(manager, 'processed');
+    const syncs = [];
+    manager.on('synced', (sync) => syncs.push(sync));
+
+    await performOptimistically(account, somePureTransition, '22');
+    await processed;
+
+    expect(syncs).to.deep.equal([]);
+    expect(account.transitionCount).to.equal(2);
+
+    // Fraud of another user is found, and its fraudster tracked by the verifier account
+    const fraudFound = waitFor(manager, 'fraud');
+    const { receipt: fraudReceipt } = await performOptimistically(suspectOptimist, someFraudTransition, '33');
+
+    expect(await fraudFound).to.deep.equal({ user: suspect, transactionHash: fraudReceipt.transactionHash });
+    expect(manager.getFraudster(suspect)).to.equal(manager.verifier.getFraudster(suspect));
+    expect(manager.getFraudster(suspect)).to.not.equal(undefined);
+
+    expect(() => manager.removeAccount(user)).to.throw('Cannot remove the verifier account while started.');
+
+    const stopped = waitFor(manager, 'stopped');
+    manager.stop();
+    await stopped;
+
+    expect(manager.isStarted).to.be.false;
+  });
+
+  it('keeps routing events when errors are not listened for.', async () => {
+    const [user, suspect] = simulator.accounts;
+    await addAccounts([user]);
+
+    const suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    const getTransaction = adapter.getTransaction.bind(adapter);
+    let transactionFailures = 1;
+
+    adapter.getTransaction = (txId) =>
+      transactionFailures-- > 0 ? Promise.reject(Error('Connection lost.')) : getTransaction(txId);
+
+    manager.start({ pureVerifiers });
+
+    // The verification of the suspect's first transaction fails, but their next (fraudulent) one is still verified
+    const fraudFound = waitFor(manager, 'fraud');
+    await performOptimistically(suspectOptimist, somePureTransition, '11');
+    const { receipt } = await performOptimistically(suspectOptimist, someFraudTransition, '22');
+
+    expect(await fraudFound).to.deep.equal({ user: suspect, transactionHash: receipt.transactionHash });
+  });
+
+  it('flushes all queues, and exits all accounts whose lock time elapsed.', async () => {
+    const [user, otherUser, idleUser, lateUser] = simulator.accounts;
+    const [account, otherAccount, idleAccount] = await addAccounts([user, otherUser, idleUser]);
+
+    await queueTransitions(account, ['11', '22']);
+    await queueTransitions(otherAccount, ['33']);
+
+    const flushed = await manager.flushQueues();
+
+    expect(flushed.map(({ user }) => user)).to.deep.equal([user, otherUser]);
+    expect(flushed.every(({ receipts }) => receipts.length === 1)).to.be.true;
+    expect(account.transitionCount).to.equal(2);
+    expect(otherAccount.transitionCount).to.equal(1);
+
+    // As for the contract, the lock time must have elapsed strictly before the block's timestamp
+    simulator.setTime(account.lastTime + lockTime);
+    simulator.mine();
+
+    expect(await manager.exitAll('some_pure_transition', (optimist) => getArgs(optimist.user))).to.deep.equal([]);
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    // An account whose last optimistic transaction is recent cannot exit yet
+    const [lateAccount] = await addAccounts([lateUser]);
+    await performOptimistically(lateAccount, somePureTransition, '44');
+
+    let blockRequests = 0;
+    const getBlock = adapter.getBlock.bind(adapter);
+
+    adapter.getBlock = (blockTag) => {
+      blockRequests += 1;
+
+      return getBlock(blockTag);
+    };
+
+    const exited = await manager.exitAll('some_pure_transition', (optimist) => getArgs(optimist.user));
+
+    expect(exited.map(({ user }) => user)).to.deep.equal([user, otherUser]);
+    expect(exited.every(({ receipt, error }) => receipt && !error)).to.be.true;
+    expect(account.isInOptimisticState).to.be.false;
+    expect(otherAccount.isInOptimisticState).to.be.false;
+    expect(idleAccount.isInOptimisticState).to.be.false;
+    expect(lateAccount.isInOptimisticState).to.be.true;
+
+    // The latest block is requested once for all accounts
+    expect(blockRequests).to.equal(1);
+  });
+});
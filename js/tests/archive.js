@@ -0,0 +1,99 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const { logicABI, initializeState, transitions, generateElements } = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Withdraw and Archive', () => {
+  let simulator = null;
+  let user = null;
+  let destination = null;
+  let optimist = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user, destination] = simulator.accounts;
+    optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+  });
+
+  const performOptimistically = (seed) => {
+    const someArg = generateElements(1, { seed })[0];
+
+    return optimist.some_pure_transition.optimistic([toHex(someArg)]);
+  };
+
+  it('withdraws the entire balance of an uninitialized account, and nothing of the bond of an initialized one.', async () => {
+    await optimist.bond();
+
+    const startingEth = simulator.getBalance(destination);
+    const { amount } = await optimist.withdraw(destination);
+
+    expect(amount).to.equal(BigInt(requiredBond));
+    expect(simulator.getBalance(destination) - startingEth).to.equal(BigInt(requiredBond));
+    expect(await optimist.getBalance()).to.equal(0n);
+
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    expect((await optimist.withdraw(destination)).amount).to.equal(0n);
+    expect(await optimist.getBalance()).to.equal(BigInt(requiredBond));
+  });
+
+  it('archives an account once it can exit optimism, leaving it locked until unarchived.', async () => {
+    await optimist.initialize({ deposit: '500000000000000000' });
+    await performOptimistically('11');
+    await performOptimistically('22');
+
+    const currentState = optimist.currentState;
+
+    await expect(optimist.archive(destination)).to.be.rejectedWith('In optimistic state and cannot yet exit.');
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    const startingEth = simulator.getBalance(destination);
+    const { amount } = await optimist.archive(destination);
+
+    expect(amount).to.equal(BigInt(requiredBond));
+    expect(simulator.getBalance(destination) - startingEth).to.equal(BigInt(requiredBond));
+    expect(await optimist.getBalance()).to.equal(0n);
+    expect(await optimist.getLocker()).to.equal(user);
+    expect(optimist.isInOptimisticState).to.be.false;
+    expect(optimist.transitionCount).to.equal(0);
+    expect(optimist.currentState.equals(currentState)).to.be.true;
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    await expect(optimist.withdraw(destination)).to.be.rejectedWith('Account locked.');
+    await expect(optimist.archive(destination)).to.be.rejectedWith('Account locked.');
+
+    await optimist.unarchive();
+
+    expect(await optimist.getLocker()).to.equal(null);
+    expect(await optimist.getBalance()).to.equal(BigInt(requiredBond));
+
+    await performOptimistically('33');
+
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+  });
+
+  it('only unarchives an account locked by its user.', async () => {
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    await expect(optimist.unarchive()).to.be.rejectedWith('Account not archived.');
+
+    // Another account locks the user, as an accuser would
+    const sourceAddress = simulator.accounts[2];
+    await new OptimisticRollIn(user, {}, { simulator, sourceAddress, requiredBond, lockTime }).lock();
+
+    await expect(optimist.unarchive()).to.be.rejectedWith('Account not archived.');
+  });
+});
@@ -0,0 +1,303 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, MemoryStorage } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Auto Verify', () => {
+  let simulator = null;
+  let suspect = null;
+  let verifier = null;
+  let suspectOptimist = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [suspect, verifier] = simulator.accounts;
+
+    suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+  });
+
+  const waitFor = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+  const performOptimistically = (transition, seed) => {
+    const someArg = generateElements(1, { seed })[0];
+    const newState = transition(suspect, suspectOptimist.currentState, someArg);
+
+    return suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+  };
+
+  // Returns a simulator adapter that does not support subscriptions, so events must be polled
+  const createPollingAdapter = () => {
+    const adapter = new SimulatorAdapter(simulator);
+    Object.defineProperty(adapter, 'supportsSubscriptions', { value: false });
+
+    adapter.subscribe = () => {
+      throw Error('Subscriptions not supported.');
+    };
+
+    return adapter;
+  };
+
+  it('stops verifying when stopped, after which it can be started again.', async () => {
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { simulator, requiredBond, lockTime });
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+    const frauds = [];
+    verifyEmitter.on('fraud', ({ user }) => frauds.push(user));
+
+    verifyEmitter.stop();
+
+    await performOptimistically(someFraudTransition, '11');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(frauds).to.deep.equal([]);
+
+    const nextVerifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+
+    expect(nextVerifyEmitter).to.not.equal(verifyEmitter);
+
+    await performOptimistically(somePureTransition, '22');
+    await waitFor(nextVerifyEmitter, 'processed');
+
+    nextVerifyEmitter.stop();
+  });
+
+  it('emits errors for subscriptions and verifications that fail.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { adapter, requiredBond, lockTime });
+
+    adapter.getTransaction = () => Promise.reject(Error('Connection lost.'));
+
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+    const { receipt } = await performOptimistically(somePureTransition, '11');
+    const error = await waitFor(verifyEmitter, 'error');
+
+    expect(error.message).to.equal('Connection lost.');
+    expect(error.transactionHash).to.equal(receipt.transactionHash);
+
+    verifyEmitter.stop();
+
+    adapter.subscribe = () => {
+      throw Error('Subscriptions not supported.');
+    };
+
+    const { message } = await waitFor(verifierOptimist.autoVerify({ polling: false }), 'error');
+
+    expect(message).to.equal('Subscriptions not supported.');
+
+    verifierOptimist.verifyEmitter.stop();
+  });
+
+  it('keeps processing events, and polling, when errors are not listened for.', async () => {
+    const adapter = createPollingAdapter();
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { adapter, requiredBond, lockTime });
+
+    const getBlock = adapter.getBlock.bind(adapter);
+    const getTransaction = adapter.getTransaction.bind(adapter);
+    let blockFailures = 1;
+    let transactionFailures = 1;
+
+    adapter.getBlock = (blockTag) =>
+      blockFailures-- > 0 ? Promise.reject(Error('Connection lost.')) : getBlock(blockTag);
+
+    adapter.getTransaction = (txId) =>
+      transactionFailures-- > 0 ? Promise.reject(Error('Connection lost.')) : getTransaction(txId);
+
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers, pollingInterval: 10 });
+
+    // The first poll fails, and the second only determines the latest block
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    const verified = [];
+    verifyEmitter.on('verified', ({ transactionHash }) => verified.push(transactionHash));
+
+    // The verification of the suspect's first transaction fails, but not that of their next one
+    await performOptimistically(somePureTransition, '11');
+    const { receipt } = await performOptimistically(somePureTransition, '22');
+
+    await waitFor(verifyEmitter, 'verified');
+
+    expect(verified).to.deep.equal([receipt.transactionHash]);
+
+    // The last processed event does not advance past the failed one, so that it is processed again when resuming
+    expect(verifyEmitter.lastProcessed).to.equal(null);
+
+    verifyEmitter.stop();
+  });
+
+  it('polls for past events when subscriptions are not supported.', async () => {
+    const adapter = createPollingAdapter();
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { adapter, requiredBond, lockTime });
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers, pollingInterval: 10 });
+
+    expect(verifyEmitter.isPolling).to.be.true;
+
+    // The first poll only determines the latest block
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const { receipt } = await performOptimistically(someFraudTransition, '11');
+    const { user, transactionHash } = await waitFor(verifyEmitter, 'fraud');
+
+    expect(user).to.equal(suspect);
+    expect(transactionHash).to.equal(receipt.transactionHash);
+
+    await performOptimistically(somePureTransition, '22');
+    await waitFor(verifyEmitter, 'update');
+
+    expect(verifierOptimist.getFraudster(suspect).transitionCount).to.equal(2);
+
+    verifyEmitter.stop();
+  });
+
+  it('processes the events of a suspect in order, even if verifying their fraud outlasts their next transaction.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { adapter, requiredBond, lockTime });
+    const getTransaction = adapter.getTransaction.bind(adapter);
+
+    // Verifying the fraudulent transaction is slow, while the suspect's next transaction is mined meanwhile
+    let release = null;
+    const released = new Promise((resolve) => (release = resolve));
+
+    adapter.getTransaction = async (transactionHash) => {
+      if (release) await released;
+
+      return getTransaction(transactionHash);
+    };
+
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+    const results = [];
+    verifyEmitter.on('fraud', ({ transactionHash }) => results.push({ name: 'fraud', transactionHash }));
+    verifyEmitter.on('update', ({ transactionHash }) => results.push({ name: 'update', transactionHash }));
+    verifyEmitter.on('error', (error) => results.push({ name: 'error', error }));
+
+    const processed = [];
+    verifyEmitter.on('processed', ({ blockNumber }) => processed.push(blockNumber));
+
+    const { receipt } = await performOptimistically(someFraudTransition, '11');
+    const { receipt: nextReceipt } = await performOptimistically(somePureTransition, '22');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(results).to.deep.equal([]);
+
+    release();
+    release = null;
+
+    while (processed.length < 2) await waitFor(verifyEmitter, 'processed');
+
+    expect(results).to.deep.equal([
+      { name: 'fraud', transactionHash: receipt.transactionHash },
+      { name: 'update', transactionHash: nextReceipt.transactionHash },
+    ]);
+
+    expect(processed).to.deep.equal([receipt.blockNumber, nextReceipt.blockNumber]);
+    expect(verifierOptimist.getFraudster(suspect).transitionCount).to.equal(2);
+
+    verifyEmitter.stop();
+  });
+
+  it('resumes after the last processed event, which is saved.', async () => {
+    const storage = new MemoryStorage();
+    const verifierOptions = { simulator, storage, requiredBond, lockTime };
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, verifierOptions);
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+
+    const { receipt } = await performOptimistically(someFraudTransition, '11');
+    await waitFor(verifyEmitter, 'processed');
+
+    verifyEmitter.stop();
+
+    expect(verifierOptimist.exportState().lastProcessedEvent.blockNumber).to.equal(receipt.blockNumber);
+
+    // Reprocessing the fraudulent transaction would fail to update the fraudster, so only the next one may be processed
+    const { receipt: nextReceipt } = await performOptimistically(somePureTransition, '22');
+
+    const loadedOptimist = new OptimisticRollIn(verifier, {}, verifierOptions);
+    const loadedVerifyEmitter = loadedOptimist.autoVerify({ pureVerifiers });
+    const errors = [];
+    loadedVerifyEmitter.on('error', (error) => errors.push(error));
+
+    const updates = [];
+    loadedVerifyEmitter.on('update', ({ transactionHash }) => updates.push(transactionHash));
+
+    const { blockNumber } = await waitFor(loadedVerifyEmitter, 'processed');
+
+    expect(updates).to.deep.equal([nextReceipt.transactionHash]);
+    expect(blockNumber).to.equal(nextReceipt.blockNumber);
+    expect(errors).to.deep.equal([]);
+    expect(loadedOptimist.getFraudster(suspect).transitionCount).to.equal(2);
+    expect(loadedOptimist.exportState().lastProcessedEvent.blockNumber).to.equal(nextReceipt.blockNumber);
+
+    loadedVerifyEmitter.stop();
+  });
+
+  it('resumes from the events skipped when stopped, once the events being processed are.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const verifierOptions = { adapter, storage: new MemoryStorage(), requiredBond, lockTime };
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, verifierOptions);
+    const verifyEmitter = verifierOptimist.autoVerify({ pureVerifiers });
+
+    await performOptimistically(someFraudTransition, '11');
+    await waitFor(verifyEmitter, 'processed');
+
+    // Updating the fraudster with the suspect's next transaction is slow, while their third is mined meanwhile
+    const getTransaction = adapter.getTransaction.bind(adapter);
+    let requested = null;
+    const isRequested = new Promise((resolve) => (requested = resolve));
+    let release = null;
+    const released = new Promise((resolve) => (release = resolve));
+
+    adapter.getTransaction = async (transactionHash) => {
+      requested();
+      await released;
+
+      return getTransaction(transactionHash);
+    };
+
+    const { receipt } = await performOptimistically(somePureTransition, '22');
+    const { receipt: skippedReceipt } = await performOptimistically(somePureTransition, '33');
+    await isRequested;
+
+    const stopped = waitFor(verifyEmitter, 'stopped');
+    verifyEmitter.stop();
+    release();
+    await stopped;
+
+    // The transaction being processed is saved as processed, but not the skipped one
+    expect(verifierOptimist.exportState().lastProcessedEvent.blockNumber).to.equal(receipt.blockNumber);
+    expect(verifierOptimist.getFraudster(suspect).transitionCount).to.equal(2);
+    expect(verifyEmitter.listenerCount('processed')).to.equal(0);
+
+    adapter.getTransaction = getTransaction;
+
+    const loadedOptimist = new OptimisticRollIn(verifier, {}, verifierOptions);
+    const loadedVerifyEmitter = loadedOptimist.autoVerify({ pureVerifiers });
+    const errors = [];
+    loadedVerifyEmitter.on('error', (error) => errors.push(error));
+
+    const { blockNumber } = await waitFor(loadedVerifyEmitter, 'processed');
+
+    expect(blockNumber).to.equal(skippedReceipt.blockNumber);
+    expect(errors).to.deep.equal([]);
+    expect(loadedOptimist.getFraudster(suspect).transitionCount).to.equal(3);
+
+    loadedVerifyEmitter.stop();
+  });
+});
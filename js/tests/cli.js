@@ -0,0 +1,278 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+
+const { Simulator } = require('../src');
+const { run, parseArgs } = require('../src/cli');
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  transitions,
+  someFraudTransition,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+// Returns a stream-like object collecting what is written to it, calling onWrite with each chunk
+const createOutput = (onWrite = () => {}) => {
+  const chunks = [];
+
+  return {
+    chunks,
+    write(chunk) {
+      chunks.push(chunk);
+      onWrite(chunk);
+    },
+  };
+};
+
+describe('CLI', () => {
+  let simulator = null;
+  let user = null;
+  let verifier = null;
+  let configDir = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user, verifier] = simulator.accounts;
+
+    // A config whose transitions module registers the logic's pure transition, so new states are computed locally
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ori-cli-'));
+    const helperPath = path.resolve(__dirname, 'helpers/some-logic');
+
+    fs.writeFileSync(
+      path.join(configDir, 'transitions.js'),
+      `const { somePureTransition, pureVerifiers } = require(${JSON.stringify(helperPath)});\n` +
+        'module.exports = { transitions: { some_pure_transition: somePureTransition }, pureVerifiers };\n'
+    );
+
+    fs.writeFileSync(path.join(configDir, 'ori.config.json'), JSON.stringify({ transitions: './transitions.js' }));
+  });
+
+  afterEach(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+  // Runs a command line as an account, in a new invocation, and returns its exit code and parsed JSON output
+  const ori = async (account, ...argv) => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const exitCode = await run([...argv, '--account', account, '--json'], {
+      simulator,
+      cwd: configDir,
+      stdout,
+      stderr,
+    });
+
+    const output = stdout.chunks.length ? JSON.parse(stdout.chunks.join('')) : null;
+    const error = stderr.chunks.length ? JSON.parse(stderr.chunks.join('')).error : null;
+
+    return { exitCode, output, error };
+  };
+
+  const getArg = (seed) => toHex(generateElements(1, { seed })[0]);
+
+  it('parses positional args and flags.', () => {
+    const { positionals, flags } = parseArgs([
+      'queue',
+      '--json',
+      'add',
+      '--state-file=some/file.json',
+      'some_function',
+      '--state',
+      '{"level":1}',
+      '--',
+      '--not-a-flag',
+    ]);
+
+    expect(positionals).to.deep.equal(['queue', 'add', 'some_function', '--not-a-flag']);
+    expect(flags).to.deep.equal({ json: true, stateFile: 'some/file.json', state: '{"level":1}' });
+  });
+
+  it('initializes, performs, and queues transitions, with the account state persisting between invocations.', async () => {
+    expect((await ori(user, 'initialize', '--deposit', '500000000000000000')).exitCode).to.equal(0);
+
+    const { output: performed } = await ori(user, 'perform', 'some_pure_transition', getArg('11'));
+
+    expect(performed.receipt.transactionHash).to.be.a('string');
+
+    await ori(user, 'queue', 'add', 'some_pure_transition', getArg('22'));
+    await ori(user, 'queue', 'add', 'some_pure_transition', getArg('33'));
+
+    const { output: queue } = await ori(user, 'queue', 'list');
+
+    expect(queue.map(({ args }) => args)).to.deep.equal([[getArg('22')], [getArg('33')]]);
+
+    const { output: sent } = await ori(user, 'queue', 'send');
+
+    expect(sent.receipt.transactionHash).to.be.a('string');
+
+    const { output: status } = await ori(user, 'status');
+
+    expect(status).to.include({ user, initialized: true, bonded: true, locker: null, rollbackSize: 0 });
+    expect(status.local).to.include({
+      transitionCount: 3,
+      transitionsQueued: 0,
+      inOptimisticState: true,
+      inSync: true,
+    });
+    expect(status.local.accountState).to.equal(status.accountState);
+
+    // Status of other users is only what is on chain
+    const { output: verifierStatus } = await ori(user, 'status', verifier);
+
+    expect(verifierStatus).to.deep.include({ user: verifier, initialized: false, bonded: false });
+    expect(verifierStatus.local).to.equal(undefined);
+
+    // Errors are reported with their codes
+    const { exitCode, error } = await ori(user, 'initialize');
+
+    expect(exitCode).to.equal(1);
+    expect(error).to.deep.equal({ message: 'Already Initialized.', code: 'ALREADY_INITIALIZED' });
+
+    expect((await ori(user, 'perform', 'some_unknown_function')).error.message).to.equal(
+      'No logic function some_unknown_function.'
+    );
+  });
+
+  it('verifies transactions, locks fraudsters and proves their fraud, and rolls back.', async () => {
+    await ori(user, 'initialize', '--deposit', '500000000000000000');
+
+    const { output: performed } = await ori(user, 'perform', 'some_pure_transition', getArg('11'));
+    const fraudState = toHex(someFraudTransition());
+    const { output: fraud } = await ori(user, 'perform', 'some_pure_transition', getArg('22'), '--state', fraudState);
+
+    expect((await ori(verifier, 'verify', performed.receipt.transactionHash)).output).to.include({ valid: true, user });
+
+    expect((await ori(verifier, 'lock', user)).error.message).to.equal(
+      `No known fraud of ${user}, whose fraudulent transaction must be verified first.`
+    );
+
+    expect((await ori(verifier, 'verify', fraud.receipt.transactionHash)).output).to.include({ valid: false, user });
+
+    expect((await ori(verifier, 'lock', user)).exitCode).to.equal(0);
+    expect((await ori(verifier, 'status', user)).output).to.include({ locker: verifier });
+    expect((await ori(verifier, 'prove-fraud', user)).exitCode).to.equal(0);
+    expect((await ori(user, 'status')).output).to.include({ rollbackSize: 1 });
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    expect((await ori(user, 'rollback')).exitCode).to.equal(0);
+
+    const { output: status } = await ori(user, 'status');
+
+    expect(status).to.include({ rollbackSize: 0, locker: null });
+    expect(status.local).to.include({ transitionCount: 1, inSync: true });
+  });
+
+  it('watches for fraud until stopped, writing each event.', async () => {
+    await ori(user, 'initialize', '--deposit', '500000000000000000');
+
+    const fraudState = toHex(someFraudTransition());
+    const { output: fraud } = await ori(user, 'perform', 'some_pure_transition', getArg('11'), '--state', fraudState);
+
+    const controller = new AbortController();
+    const events = [];
+    const stdout = createOutput((chunk) => {
+      events.push(JSON.parse(chunk));
+      controller.abort();
+    });
+
+    const argv = ['watch', '--from-block', '0', '--account', verifier, '--json'];
+    const exitCode = await run(argv, { simulator, cwd: configDir, stdout, signal: controller.signal });
+
+    expect(exitCode).to.equal(0);
+    expect(events).to.deep.equal([{ event: 'fraud', user, transactionHash: fraud.receipt.transactionHash }]);
+
+    // The fraud found while watching is saved, so the fraudster can be locked in a later invocation
+    expect((await ori(verifier, 'lock', user)).exitCode).to.equal(0);
+  });
+
+  it('writes text output for people.', async () => {
+    const stdout = createOutput();
+
+    await run(['initialize', '--deposit', '500000000000000000', '--account', user], {
+      simulator,
+      cwd: configDir,
+      stdout,
+    });
+
+    await run(['status', '--account', user], { simulator, cwd: configDir, stdout });
+
+    const text = stdout.chunks.join('');
+
+    expect(text).to.include('initialized: true');
+    expect(text).to.include('local:\n  currentState: 0x');
+  });
+
+  it("connects to the config's provider, reading contract addresses from artifacts for its network.", async function () {
+    this.timeout(20000);
+
+    const server = ganache.server({ gasLimit: 12000000, logger: { log: () => {} } });
+    await new Promise((resolve, reject) => server.listen(0, (error) => (error ? reject(error) : resolve())));
+
+    try {
+      const provider = `http://127.0.0.1:${server.address().port}`;
+      const web3 = new Web3(provider);
+      const [account] = (await web3.eth.getAccounts()).map((address) => address.toLowerCase());
+      const networkId = String(await web3.eth.net.getId());
+
+      // The ORI contract's artifact has its address on the network, while the logic address is read from the contract
+      const deploy = ({ abi, bytecode }, args) =>
+        new web3.eth.Contract(abi).deploy({ data: bytecode, arguments: args }).send({ from: account, gas: 6000000 });
+
+      const oriArtifact = require('../../eth/build/Optimistic_Roll_In.json');
+      const logicArtifact = require('../../eth/build/Some_Logic_Contract.json');
+      const logicContract = await deploy(logicArtifact);
+      const oriContract = await deploy(oriArtifact, [logicContract.options.address, lockTime, requiredBond]);
+
+      fs.writeFileSync(
+        path.join(configDir, 'ori.json'),
+        JSON.stringify({ abi: oriArtifact.abi, networks: { [networkId]: { address: oriContract.options.address } } })
+      );
+
+      fs.writeFileSync(path.join(configDir, 'logic.json'), JSON.stringify({ abi: logicArtifact.abi, networks: {} }));
+
+      fs.writeFileSync(
+        path.join(configDir, 'ori.config.json'),
+        JSON.stringify({
+          provider,
+          ori: { artifact: './ori.json' },
+          logic: { artifact: './logic.json' },
+          transitions: './transitions.js',
+        })
+      );
+
+      const runJSON = async (...argv) => {
+        const stdout = createOutput();
+        const exitCode = await run([...argv, '--account', account, '--json'], { cwd: configDir, stdout });
+
+        return { exitCode, output: stdout.chunks.length ? JSON.parse(stdout.chunks.join('')) : null };
+      };
+
+      expect((await runJSON('initialize', '--deposit', '500000000000000000')).exitCode).to.equal(0);
+
+      const { output: performed } = await runJSON('perform', 'some_pure_transition', getArg('11'));
+
+      expect(performed.receipt.transactionHash).to.be.a('string');
+
+      const { output: status } = await runJSON('status');
+
+      expect(status).to.include({ user: account, initialized: true, bonded: true });
+      expect(status.local).to.include({ transitionCount: 1, inSync: true });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
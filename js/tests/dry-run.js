@@ -0,0 +1,145 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Dry Run', () => {
+  let simulator = null;
+  let suspect = null;
+  let accuser = null;
+  let suspectOptimist = null;
+  let accuserOptimist = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [suspect, accuser] = simulator.accounts;
+
+    suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    accuserOptimist = new OptimisticRollIn(accuser, {}, { simulator, requiredBond, lockTime });
+  });
+
+  const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+  const getNewState = (transition, seed) =>
+    transition(suspect, suspectOptimist.queuedState, generateElements(1, { seed })[0]);
+
+  // Expects a plan to match the transaction sent after it, and the account state it resulted in
+  const expectPlanSent = async (plan, { receipt }) => {
+    const { data } = simulator.getTransaction(receipt.transactionHash);
+
+    expect(data).to.equal(plan.data);
+    expect(toHex(await suspectOptimist.getAccountState())).to.equal(plan.newAccountState);
+  };
+
+  it('plans optimistic transitions and queues without sending them or changing the state.', async () => {
+    const accountState = toHex(suspectOptimist.accountState);
+    const { blockNumber, time: timestamp } = simulator;
+
+    const args = getArgs('11');
+    const newState = getNewState(somePureTransition, '11');
+    const enterPlan = await suspectOptimist.some_pure_transition.optimistic(args, newState, {
+      dryRun: true,
+      timestamp,
+    });
+
+    expect(enterPlan).to.include({
+      methodName: 'perform_optimistically_and_enter',
+      accountState,
+      newLastTime: timestamp,
+    });
+    expect(enterPlan.callDataElements).to.have.lengthOf(1);
+    expect(enterPlan.callOptions.gas).to.be.a('number');
+    expect(enterPlan.newState).to.equal(toHex(newState));
+    expect(toHex(suspectOptimist.accountState)).to.equal(accountState);
+    expect(simulator.blockNumber).to.equal(blockNumber);
+
+    await expectPlanSent(enterPlan, await suspectOptimist.some_pure_transition.optimistic(args, newState));
+
+    suspectOptimist.some_pure_transition.queue(getArgs('22'), getNewState(somePureTransition, '22'));
+    suspectOptimist.some_pure_transition.queue(getArgs('33'), getNewState(somePureTransition, '33'));
+
+    const queuePlan = await suspectOptimist.sendQueue({ dryRun: true, timestamp });
+
+    expect(queuePlan.methodName).to.equal('perform_many_optimistically');
+    expect(queuePlan.accountState).to.equal(toHex(suspectOptimist.accountState));
+    expect(queuePlan.callDataElements).to.have.lengthOf(2);
+    expect(suspectOptimist.transitionsQueued).to.equal(2);
+    expect(suspectOptimist.transitionCount).to.equal(1);
+
+    await expectPlanSent(queuePlan, await suspectOptimist.sendQueue());
+  });
+
+  it('plans exiting optimism, with the new state computed by the logic contract.', async () => {
+    await suspectOptimist.some_pure_transition.optimistic(getArgs('11'), getNewState(somePureTransition, '11'));
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    const args = getArgs('22');
+    const plan = await suspectOptimist.some_pure_transition.normal(args, { dryRun: true });
+
+    expect(plan).to.include({ methodName: 'perform_and_exit', newLastTime: 0 });
+    expect(plan.args[2]).to.equal(suspectOptimist.lastTime);
+    expect(suspectOptimist.isInOptimisticState).to.be.true;
+
+    await expectPlanSent(plan, await suspectOptimist.some_pure_transition.normal(args));
+  });
+
+  it('plans proving fraud and rolling back, leaving the fraud index and call data tree untouched.', async () => {
+    const verifyEmitter = accuserOptimist.autoVerify({ pureVerifiers });
+    const fraud = new Promise((resolve) => verifyEmitter.once('fraud', resolve));
+
+    // A rollback size of 0 means no rollback is required, so the fraud cannot be in the first transition
+    await suspectOptimist.some_pure_transition.optimistic(getArgs('11'), getNewState(somePureTransition, '11'));
+    await suspectOptimist.some_pure_transition.optimistic(getArgs('22'), getNewState(someFraudTransition, '22'));
+    await fraud;
+    verifyEmitter.stop();
+
+    const fraudster = accuserOptimist.getFraudster(suspect);
+    await fraudster.lock();
+
+    const provePlan = await fraudster.proveFraud({ dryRun: true });
+
+    expect(provePlan.methodName).to.equal('prove_fraud');
+    expect(provePlan.callDataElements).to.have.lengthOf(1);
+    expect(provePlan.newAccountState).to.equal(provePlan.accountState);
+    expect(fraudster.fraudIndex).to.equal(1);
+    expect(accuserOptimist.getFraudster(suspect)).to.equal(fraudster);
+
+    await expectPlanSent(provePlan, await fraudster.proveFraud());
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    const transitionCount = suspectOptimist.transitionCount;
+    const rollbackPlan = await suspectOptimist.rollback({ dryRun: true, timestamp: simulator.time });
+
+    expect(rollbackPlan.methodName).to.equal('rollback');
+    expect(rollbackPlan.callOptions.value).to.equal(requiredBond);
+    expect(rollbackPlan.callDataElements).to.have.lengthOf(1);
+    expect(suspectOptimist.transitionCount).to.equal(transitionCount);
+
+    await expectPlanSent(rollbackPlan, await suspectOptimist.rollback());
+  });
+});
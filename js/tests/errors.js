@@ -0,0 +1,122 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, errors } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const { logicABI, initializeState, transitions, generateElements } = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Errors', () => {
+  describe('Revert Decoding', () => {
+    const revertMessage = 'VM Exception while processing transaction: revert ACCOUNT_LOCKED';
+
+    it('decodes the revert reasons of web3 and ethers errors into errors with stable codes.', () => {
+      const web3Error = new Error(`Returned error: ${revertMessage}`);
+
+      // ethers nests the node's error in its own, when estimating gas before sending
+      const ethersError = Object.assign(new Error('cannot estimate gas; transaction may fail'), {
+        reason: 'cannot estimate gas; transaction may fail or may require manual gas limit',
+        code: 'UNPREDICTABLE_GAS_LIMIT',
+        error: { message: revertMessage },
+      });
+
+      const gethError = new Error('Returned error: execution reverted: ACCOUNT_LOCKED');
+      const hardhatError = new Error(
+        "VM Exception while processing transaction: reverted with reason string 'ACCOUNT_LOCKED'"
+      );
+
+      [web3Error, ethersError, gethError, hardhatError].forEach((providerError) => {
+        const error = errors.fromRevert(providerError);
+
+        expect(error).to.be.an.instanceof(errors.AccountLocked);
+        expect(error).to.be.an.instanceof(errors.ORIError);
+        expect(error).to.include({ name: 'AccountLocked', code: 'ACCOUNT_LOCKED', reason: 'ACCOUNT_LOCKED' });
+        expect(error.message).to.equal(providerError.message);
+        expect(error.cause).to.equal(providerError);
+      });
+    });
+
+    it('decodes unknown revert reasons, and reverts without reasons, as contract reverts.', () => {
+      const unknownReason = errors.fromRevert(new Error('Returned error: execution reverted: INSUFFICIENT_DEPOSIT'));
+
+      expect(unknownReason).to.be.an.instanceof(errors.ContractReverted);
+      expect(unknownReason).to.include({ code: 'CONTRACT_REVERTED', reason: 'INSUFFICIENT_DEPOSIT' });
+
+      const web3Error = new Error('Transaction has been reverted by the EVM:\n{}');
+      const ethersError = Object.assign(new Error('transaction failed'), { code: 'CALL_EXCEPTION' });
+
+      [web3Error, ethersError].forEach((providerError) => {
+        const error = errors.fromRevert(providerError);
+
+        expect(error).to.be.an.instanceof(errors.ContractReverted);
+        expect(error.reason).to.equal(null);
+      });
+    });
+
+    it('leaves errors that are not reverts unchanged.', () => {
+      const networkError = new Error('connect ECONNREFUSED 127.0.0.1:8545');
+
+      expect(errors.fromRevert(networkError)).to.equal(networkError);
+      expect(errors.getRevertReason(networkError)).to.equal(undefined);
+    });
+  });
+
+  describe('Client', () => {
+    let simulator = null;
+    let user = null;
+    let accuser = null;
+
+    beforeEach(() => {
+      simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      [user, accuser] = simulator.accounts;
+    });
+
+    it('throws decoded errors for contract reverts.', async () => {
+      const adapter = new SimulatorAdapter(simulator);
+      const optimist = new OptimisticRollIn(user, {}, { adapter, requiredBond, lockTime });
+
+      await expect(optimist.initialize()).to.be.rejectedWith(errors.ContractReverted, 'INSUFFICIENT_DEPOSIT');
+
+      await optimist.initialize({ deposit: '500000000000000000' });
+
+      const lockOptions = { from: accuser, value: requiredBond };
+      await adapter.sendORI('lock', [user], lockOptions);
+
+      const error = await adapter.sendORI('lock', [user], lockOptions).catch((error) => error);
+
+      expect(error).to.be.an.instanceof(errors.AccountLocked);
+      expect(error.code).to.equal('ACCOUNT_LOCKED');
+    });
+
+    it("throws errors with the contract's codes when the client's own checks fail.", async () => {
+      const optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+      await optimist.initialize({ deposit: '500000000000000000' });
+
+      const someArg = generateElements(1, { seed: '11' })[0];
+      await optimist.some_pure_transition.optimistic([toHex(someArg)]);
+
+      await expect(optimist.archive()).to.be.rejectedWith(errors.InsufficientTime);
+
+      const sourceAddress = accuser;
+      const accuserView = new OptimisticRollIn(user, {}, { simulator, sourceAddress, requiredBond, lockTime });
+      await accuserView.syncFromChain();
+      await accuserView.lock();
+
+      const error = await accuserView.lock().catch((error) => error);
+
+      expect(error).to.be.an.instanceof(errors.AccountLocked);
+      expect(error).to.include({ code: 'ACCOUNT_LOCKED', message: 'Account already locked.' });
+
+      await expect(accuserView.unlock()).to.be.rejectedWith(errors.InsufficientWindow);
+      await expect(accuserView.initialize()).to.be.rejectedWith(errors.NotOwnAccount);
+    });
+  });
+});
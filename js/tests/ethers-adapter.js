@@ -0,0 +1,181 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const ethers = require('ethers');
+const ganache = require('ganache-cli');
+
+const OptimisticRollIn = require('../src');
+const { EthersAdapter, errors } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const { somePureTransition, someFraudTransition, pureVerifiers, generateElements } = require('./helpers/some-logic');
+
+const oriArtifact = require('../../eth/build/Optimistic_Roll_In.json');
+const logicArtifact = require('../../eth/build/Some_Logic_Contract.json');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Ethers (v5) Adapter', function () {
+  // Deploying and sending transactions to an in-process ganache takes longer than the simulator
+  this.timeout(20000);
+
+  let provider = null;
+  let contracts = null;
+  let user = null;
+  let verifier = null;
+  let stranger = null;
+
+  before(async () => {
+    provider = new ethers.providers.Web3Provider(ganache.provider({ gasLimit: 12000000, logger: { log: () => {} } }));
+    [user, verifier, stranger] = (await provider.listAccounts()).map((account) => account.toLowerCase());
+
+    const deployer = provider.getSigner(0);
+    const logicContract = await new ethers.ContractFactory(
+      logicArtifact.abi,
+      logicArtifact.bytecode,
+      deployer
+    ).deploy();
+    const oriContract = await new ethers.ContractFactory(oriArtifact.abi, oriArtifact.bytecode, deployer).deploy(
+      logicContract.address,
+      lockTime,
+      requiredBond
+    );
+
+    contracts = {
+      oriAddress: oriContract.address,
+      oriABI: oriArtifact.abi,
+      logicAddress: logicContract.address,
+      logicABI: logicArtifact.abi,
+    };
+  });
+
+  // Stops the provider polling for any subscription left (i.e. by a failed test)
+  after(() => provider.removeAllListeners());
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const createOptimist = (account) =>
+    new OptimisticRollIn(account, contracts, {
+      ethers,
+      ethersSigner: provider.getSigner(account),
+      requiredBond,
+      lockTime,
+    });
+
+  const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+  const getNewState = (optimist, transition, seed, state = optimist.queuedState) =>
+    transition(optimist.user, state, generateElements(1, { seed })[0]);
+
+  it('exposes the contracts given, as an adapter created from an ethers signer.', () => {
+    const adapter = new EthersAdapter(ethers, provider.getSigner(user), contracts);
+
+    expect(adapter.oriAddress).to.equal(contracts.oriAddress);
+    expect(adapter.logicAddress).to.equal(contracts.logicAddress);
+    expect(adapter.oriABI.map(({ name }) => name)).to.include.members(['perform_optimistically', 'deposit']);
+    expect(adapter.supportsSubscriptions).to.be.true;
+  });
+
+  it('performs and queues transitions, which a verifier verifies, through ethers signers.', async () => {
+    const optimist = createOptimist(user);
+    const verifierOptimist = createOptimist(verifier);
+
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    expect(optimist.accountState.equals(await optimist.getAccountState())).to.be.true;
+    expect(await optimist.getBalance()).to.equal(BigInt(requiredBond));
+
+    const { receipt } = await optimist.some_pure_transition.optimistic(
+      getArgs('11'),
+      getNewState(optimist, somePureTransition, '11')
+    );
+
+    expect(receipt.status).to.equal(1);
+    expect(optimist.isInOptimisticState).to.be.true;
+    expect((await verifierOptimist.verifyTransaction(receipt.transactionHash, { pureVerifiers })).valid).to.be.true;
+
+    await optimist.some_pure_transition.queue(getArgs('22'), getNewState(optimist, somePureTransition, '22'));
+    await optimist.some_pure_transition.queue(getArgs('33'), getNewState(optimist, somePureTransition, '33'));
+
+    const { receipt: batchReceipt } = await optimist.sendQueue();
+
+    expect(optimist.transitionCount).to.equal(3);
+    expect(optimist.accountState.equals(await optimist.getAccountState())).to.be.true;
+    expect((await verifierOptimist.verifyTransaction(batchReceipt.transactionHash)).valid).to.be.true;
+
+    const { receipt: fraudReceipt } = await optimist.some_pure_transition.optimistic(
+      getArgs('44'),
+      getNewState(optimist, someFraudTransition, '44')
+    );
+
+    expect((await verifierOptimist.verifyTransaction(fraudReceipt.transactionHash)).valid).to.be.false;
+    expect(verifierOptimist.getFraudster(user)).to.be.ok;
+  });
+
+  it('returns past events, filtered by indexed values, as web3-like events.', async () => {
+    const adapter = new EthersAdapter(ethers, provider.getSigner(user), contracts);
+    const events = await adapter.getPastEvents('ORI_New_Optimistic_State', { filter: { user } });
+
+    expect(events.length).to.equal(2);
+    expect(events[0].returnValues.user.toLowerCase()).to.equal(user);
+    expect(typeof events[0].returnValues.block_time).to.equal('string');
+    expect(await adapter.getPastEvents('ORI_New_Optimistic_State', { filter: { user: verifier } })).to.deep.equal([]);
+  });
+
+  it('handles past events before events received live while querying them, once each.', async () => {
+    provider.pollingInterval = 50;
+
+    // Querying past events is held until an event is mined, after the subscription
+    const oriContract = new ethers.Contract(contracts.oriAddress, contracts.oriABI, provider.getSigner(verifier));
+    const queryFilter = oriContract.queryFilter.bind(oriContract);
+    let releaseQuery = null;
+    const queryReleased = new Promise((resolve) => (releaseQuery = resolve));
+
+    oriContract.queryFilter = (...args) => queryReleased.then(() => queryFilter(...args));
+
+    const adapter = new EthersAdapter(ethers, provider.getSigner(verifier), Object.assign({ oriContract }, contracts));
+    const handled = [];
+    const unsubscribe = adapter.subscribe('ORI_New_Optimistic_State', { fromBlock: 0 }, (event) => handled.push(event));
+
+    const verifierOptimist = createOptimist(verifier);
+    await verifierOptimist.initialize({ deposit: '500000000000000000' });
+
+    const { receipt } = await verifierOptimist.some_pure_transition.optimistic(
+      getArgs('55'),
+      getNewState(verifierOptimist, somePureTransition, '55')
+    );
+
+    // The live event is received (several polls later), but not handled before the past events
+    await sleep(500);
+
+    expect(handled).to.deep.equal([]);
+
+    releaseQuery();
+
+    while (handled.length < 3) await sleep(50);
+
+    // Any duplicate would be handled shortly after
+    await sleep(200);
+
+    unsubscribe();
+
+    expect(handled.map(({ returnValues }) => returnValues.user.toLowerCase())).to.deep.equal([user, user, verifier]);
+    expect(handled[2].transactionHash).to.equal(receipt.transactionHash);
+  });
+
+  it('decodes reverts into the errors of their revert reasons.', async () => {
+    const adapter = new EthersAdapter(ethers, provider.getSigner(stranger), contracts);
+    const callOptions = { from: stranger, value: '1', gas: 100000 };
+
+    await expect(adapter.estimateORIGas('deposit', [stranger], callOptions)).to.be.rejectedWith(
+      errors.InsufficientBond
+    );
+
+    await expect(adapter.sendORI('deposit', [stranger], callOptions)).to.be.rejectedWith(errors.InsufficientBond);
+  });
+});
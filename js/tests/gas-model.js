@@ -0,0 +1,177 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, GasModel } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+const localTransitions = { some_pure_transition: somePureTransition };
+
+// The simulator charges intrinsic gas plus a flat execution gas for every transaction
+const SIMULATOR_EXECUTION_GAS = 10000;
+
+describe('Gas Model', () => {
+  let simulator = null;
+  let user = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    user = simulator.accounts[0];
+  });
+
+  // Returns a simulator adapter that counts its RPC gas estimates, and records the gas limits of sent transactions
+  const createCountingAdapter = () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const estimateORIGas = adapter.estimateORIGas.bind(adapter);
+    const sendORI = adapter.sendORI.bind(adapter);
+
+    adapter.gasEstimates = 0;
+    adapter.gasLimits = [];
+
+    adapter.estimateORIGas = (...args) => {
+      adapter.gasEstimates++;
+      return estimateORIGas(...args);
+    };
+
+    adapter.sendORI = (methodName, args, callOptions) => {
+      adapter.gasLimits.push(callOptions.gas);
+      return sendORI(methodName, args, callOptions);
+    };
+
+    return adapter;
+  };
+
+  const createOptimist = async (options = {}) => {
+    const optimistOptions = Object.assign(
+      { simulator, requiredBond, lockTime, transitions: localTransitions },
+      options
+    );
+    const optimist = new OptimisticRollIn(user, {}, optimistOptions);
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    return optimist;
+  };
+
+  const queueTransitions = (optimist, count, seed) =>
+    generateElements(count, { seed }).forEach((someArg) => optimist.some_pure_transition.queue([toHex(someArg)]));
+
+  describe('GasModel', () => {
+    const args = [
+      [toHex(generateElements(1, { seed: '11' })[0])],
+      toHex(Buffer.alloc(32, 1)),
+      [toHex(Buffer.alloc(32))],
+    ];
+
+    it('estimates more gas for more call data elements and proof nodes.', () => {
+      const gasModel = new GasModel(simulator.oriABI);
+      const moreElements = [args[0].concat(args[0]), args[1], args[2]];
+      const moreProofNodes = [args[0], args[1], args[2].concat(toHex(Buffer.alloc(32, 2)))];
+
+      const gas = gasModel.estimate('perform_many_optimistically_and_enter', args);
+
+      expect(gasModel.estimate('perform_many_optimistically_and_enter', moreElements)).to.be.above(gas);
+      expect(gasModel.estimate('perform_many_optimistically_and_enter', moreProofNodes)).to.be.above(gas);
+    });
+
+    it('calibrates estimates from the most gas used recently recorded, with a margin on execution gas.', () => {
+      const gasModel = new GasModel(simulator.oriABI, { margin: 1 });
+
+      gasModel.record('perform_many_optimistically_and_enter', args, 40000);
+
+      expect(gasModel.estimate('perform_many_optimistically_and_enter', args)).to.equal(40000);
+
+      gasModel.record('perform_many_optimistically_and_enter', args, 50000);
+      gasModel.record('perform_many_optimistically_and_enter', args, 45000);
+
+      expect(gasModel.estimate('perform_many_optimistically_and_enter', args)).to.equal(50000);
+
+      const smallModel = new GasModel(simulator.oriABI, { margin: 1, sampleSize: 1 });
+      smallModel.record('perform_many_optimistically_and_enter', args, 50000);
+      smallModel.record('perform_many_optimistically_and_enter', args, 45000);
+
+      expect(smallModel.estimate('perform_many_optimistically_and_enter', args)).to.equal(45000);
+
+      const marginModel = new GasModel(simulator.oriABI, { margin: 1.5 });
+      marginModel.record('perform_many_optimistically_and_enter', args, 50000);
+
+      expect(marginModel.estimate('perform_many_optimistically_and_enter', args)).to.be.above(50000);
+    });
+
+    it('only models optimistic performs, fraud proofs, and rollbacks.', () => {
+      const gasModel = new GasModel(simulator.oriABI);
+
+      expect(gasModel.isModelled('perform_optimistically')).to.be.true;
+      expect(gasModel.isModelled('prove_fraud')).to.be.true;
+      expect(gasModel.isModelled('rollback')).to.be.true;
+      expect(gasModel.isModelled('perform')).to.be.false;
+      expect(() => gasModel.estimate('perform', [])).to.throw('Gas of perform is not modelled.');
+    });
+  });
+
+  describe('Client', () => {
+    it('sizes batches and sets gas limits without RPC gas estimates, calibrating from receipts.', async () => {
+      const adapter = createCountingAdapter();
+      const optimist = await createOptimist({ adapter });
+      const receipts = [];
+
+      // Enters optimism, then performs batches while in optimism (uncalibrated, then calibrated)
+      for (const seed of ['11', '22', '33']) {
+        queueTransitions(optimist, 5, seed);
+        receipts.push((await optimist.sendQueue()).receipt);
+      }
+
+      const gasLimits = adapter.gasLimits.slice(1);
+
+      expect(adapter.gasEstimates).to.equal(0);
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect(gasLimits[1]).to.be.above(receipts[1].gasUsed + Math.ceil(SIMULATOR_EXECUTION_GAS * 0.1));
+
+      // Once calibrated, the gas limit is the gas used, plus the margin on the simulator's execution gas
+      expect(gasLimits[2]).to.equal(receipts[2].gasUsed + Math.ceil(SIMULATOR_EXECUTION_GAS * 0.1));
+    });
+
+    it('checks the model against RPC gas estimates, only when opted in.', async () => {
+      const adapter = createCountingAdapter();
+      const optimist = await createOptimist({ adapter, rpcGasCheck: true });
+
+      queueTransitions(optimist, 5, '11');
+      await optimist.sendQueue();
+
+      expect(adapter.gasEstimates).to.be.above(0);
+      expect(optimist.transitionsQueued).to.equal(0);
+    });
+
+    it('calibrates from the receipts of verified transactions.', async () => {
+      const optimist = await createOptimist();
+      const gasModel = new GasModel(simulator.oriABI);
+      const verifier = new OptimisticRollIn(simulator.accounts[1], {}, { simulator, gasModel, requiredBond, lockTime });
+
+      const someArg = generateElements(1, { seed: '11' })[0];
+      const { receipt } = await optimist.some_pure_transition.optimistic([toHex(someArg)]);
+      const { data } = simulator.getTransaction(receipt.transactionHash);
+      const { args } = verifier._oriCodec.decode(data);
+      const uncalibratedGas = gasModel.estimate('perform_optimistically_and_enter', args);
+
+      await verifier.verifyTransaction(receipt.transactionHash);
+
+      const calibratedGas = gasModel.estimate('perform_optimistically_and_enter', args);
+
+      expect(calibratedGas).to.be.below(uncalibratedGas);
+      expect(calibratedGas).to.equal(receipt.gasUsed + Math.ceil(SIMULATOR_EXECUTION_GAS * 0.1));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+const { to32ByteBuffer, hashPacked, toHex, toBuffer } = require('../../src/utils');
+
+// JS mirror of eth/contracts/some-logic-contract.sol, for use with the Simulator
+
+const logicABI = require('../../../eth/build/Some_Logic_Contract.json').abi;
+
+const initializeState = (user, deposit) => {
+  if (deposit < 500000000000000000n) throw Error('INSUFFICIENT_DEPOSIT');
+
+  return hashPacked([toBuffer(user)]);
+};
+
+const somePureTransition = (_user, _currentState, _arg) => {
+  const user = toBuffer(_user);
+  const currentState = toBuffer(_currentState);
+  const arg = toBuffer(_arg);
+
+  let newState = hashPacked([currentState, user]);
+
+  for (let i = 0; i < 1000; i++) {
+    newState = hashPacked([newState, arg]);
+  }
+
+  return newState;
+};
+
+const someImpureTransition = (_user, _currentState, _arg, { blockNumber }) => {
+  const someBlockHash = hashPacked([to32ByteBuffer(blockNumber - 1)]);
+
+  return hashPacked([toBuffer(_currentState), toBuffer(_user), toBuffer(_arg), someBlockHash]);
+};
+
+const someFraudTransition = () => to32ByteBuffer(1337);
+
+const somePureTransitionVerifier = (decodedCallData, newStateHex) => {
+  const { user, current_state: currentStateHex, some_arg: someArgHex } = decodedCallData;
+
+  return toHex(somePureTransition(user, currentStateHex, someArgHex)) === newStateHex;
+};
+
+const pureVerifiers = {
+  '0xef6f6a42': somePureTransitionVerifier,
+};
+
+const transitions = {
+  some_pure_transition: somePureTransition,
+  some_impure_transition: someImpureTransition,
+};
+
+const generateElements = (elementCount, options = {}) => {
+  const { seed, random = false } = options;
+  const elements = [];
+  let seedBuffer = seed ? Buffer.from(seed, 'hex') : null;
+  let element = seedBuffer;
+
+  for (let i = 0; i < elementCount; i++) {
+    element = random ? crypto.randomBytes(32) : seed ? hashPacked([seedBuffer, element]) : to32ByteBuffer(i);
+    seedBuffer = seed ? element : seedBuffer;
+    elements.push(element);
+  }
+
+  return elements;
+};
+
+module.exports = {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someImpureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+};
@@ -0,0 +1,188 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, LogicRouter } = OptimisticRollIn;
+const { hash, hashPacked, toHex, toBuffer } = require('../src/utils');
+
+const { logicABI, generateElements } = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+// Returns the ABI fragment of a pure transition taking a user, current state, and bytes32 arg
+const getTransitionFragment = (name) => ({
+  type: 'function',
+  name,
+  stateMutability: 'pure',
+  inputs: [
+    { name: 'user', type: 'address' },
+    { name: 'current_state', type: 'bytes32' },
+    { name: 'some_arg', type: 'bytes32' },
+  ],
+  outputs: [{ name: '', type: 'bytes32' }],
+});
+
+// An expansion adding a function for states of any version, and a second version of the logic, which states are
+// upgraded to, with new mechanics for some_pure_transition
+const expansionABI = [getTransitionFragment('some_new_transition')];
+const upgradeABI = [getTransitionFragment('upgrade_state')];
+const secondVersionABI = [getTransitionFragment('some_pure_transition')];
+
+// States are versioned by their first byte
+const withVersion = (version, state) => Buffer.concat([Buffer.from([version]), toBuffer(state).slice(1)]);
+
+const initializeState = (user) => withVersion(1, hash(toBuffer(user)));
+
+const firstVersionTransition = (user, currentState, someArg) =>
+  withVersion(1, hashPacked([toBuffer(currentState), toBuffer(user), toBuffer(someArg)]));
+
+const secondVersionTransition = (user, currentState, someArg) =>
+  withVersion(2, hashPacked([toBuffer(someArg), toBuffer(currentState)]));
+
+const newTransition = (user, currentState, someArg) =>
+  withVersion(toBuffer(currentState)[0], hashPacked([toBuffer(someArg), toBuffer(someArg), toBuffer(currentState)]));
+
+const upgradeState = (user, currentState) => withVersion(2, currentState);
+
+const transitions = {
+  'some_pure_transition@1': firstVersionTransition,
+  'some_pure_transition@2': secondVersionTransition,
+  some_new_transition: newTransition,
+  upgrade_state: upgradeState,
+};
+
+const createRouter = () =>
+  new LogicRouter([
+    { abi: logicABI, version: 1 },
+    { abi: secondVersionABI, version: 2 },
+    { abi: upgradeABI, version: 1 },
+    { abi: expansionABI },
+  ]);
+
+describe('Logic Router', () => {
+  const getArg = (seed) => toHex(generateElements(1, { seed })[0]);
+
+  it('routes functions by sighash, and by the version of the state they are called from.', () => {
+    const router = createRouter();
+    const firstVersionState = withVersion(1, Buffer.alloc(32));
+    const secondVersionState = withVersion(2, Buffer.alloc(32));
+
+    expect(router.getRoute('some_pure_transition', firstVersionState).fragment).to.equal(logicABI[4]);
+    expect(router.getRoute('some_pure_transition', secondVersionState).fragment).to.equal(secondVersionABI[0]);
+    expect(router.getRoute('some_new_transition', secondVersionState).fragment).to.equal(expansionABI[0]);
+    expect(router.getRoute('upgrade_state', firstVersionState)).to.not.equal(null);
+    expect(router.getRoute('upgrade_state', secondVersionState)).to.equal(null);
+
+    const { sighash } = router.getRoute('some_pure_transition', secondVersionState);
+    const user = '0x' + '11'.repeat(20);
+    const callData = router
+      .getRoute('some_pure_transition', secondVersionState)
+      .codec.encode('some_pure_transition', [user, secondVersionState, getArg('11')]);
+
+    expect(router.resolve(callData)).to.include({ key: `${sighash}@2`, version: 2 });
+    expect(router.findRoutes('some_pure_transition')).to.have.lengthOf(2);
+    expect(router.findRoutes(`${sighash}@1`)).to.have.lengthOf(1);
+    expect(router.abi.filter(({ name }) => name === 'some_pure_transition')).to.have.lengthOf(1);
+
+    expect(() => new LogicRouter([{ abi: logicABI }, { abi: secondVersionABI }])).to.throw('is already routed');
+  });
+
+  it('performs, queues, and verifies transitions of several logic contracts and state versions.', async () => {
+    const logicRouter = createRouter();
+    const simulator = new Simulator({ logicRouter, transitions, initializeState, lockTime, requiredBond });
+    const [user, verifier] = simulator.accounts;
+    const options = { simulator, logicRouter, requiredBond, lockTime };
+
+    const optimist = new OptimisticRollIn(user, {}, Object.assign({ transitions }, options));
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    const { receipt } = await optimist.some_pure_transition.optimistic([getArg('11')]);
+
+    expect(optimist.currentState[0]).to.equal(1);
+
+    optimist.some_new_transition.queue([getArg('22')]);
+    optimist.upgrade_state.queue([getArg('33')]);
+    optimist.some_pure_transition.queue([getArg('44')]);
+
+    // Functions not routed for the state's version cannot be performed from it
+    expect(() => optimist.upgrade_state.queue([getArg('55')])).to.throw('No logic function upgrade_state');
+
+    const { receipt: batchReceipt } = await optimist.sendQueue();
+    const upgradedState = upgradeState(
+      user,
+      newTransition(user, firstVersionTransition(user, toHex(initializeState(user)), getArg('11')), getArg('22'))
+    );
+
+    expect(optimist.currentState.equals(secondVersionTransition(user, upgradedState, getArg('44')))).to.be.true;
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    // Verifiers with registered transitions, and without (which check with the routed logic contracts)
+    const localVerifier = new OptimisticRollIn(verifier, {}, Object.assign({ transitions }, options));
+    const remoteVerifier = new OptimisticRollIn(verifier, {}, options);
+
+    for (const { transactionHash } of [receipt, batchReceipt]) {
+      expect(await localVerifier.verifyTransaction(transactionHash)).to.include({ valid: true });
+      expect(await remoteVerifier.verifyTransaction(transactionHash)).to.include({ valid: true });
+    }
+
+    const history = await optimist.getTransitionHistory();
+
+    expect(history.map(({ functionName }) => functionName)).to.deep.equal([
+      'some_pure_transition',
+      'some_new_transition',
+      'upgrade_state',
+      'some_pure_transition',
+    ]);
+  });
+
+  it('detects fraud according to the mechanics of the state version.', async () => {
+    const logicRouter = createRouter();
+    const simulator = new Simulator({ logicRouter, transitions, initializeState, lockTime, requiredBond });
+    const [user, verifier] = simulator.accounts;
+    const options = { simulator, logicRouter, requiredBond, lockTime };
+
+    const optimist = new OptimisticRollIn(user, {}, options);
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    // A second version transition, performed with the first version's mechanics
+    const firstVersionNewState = firstVersionTransition(user, optimist.currentState, getArg('11'));
+    const { receipt } = await optimist.some_pure_transition.optimistic([getArg('11')], firstVersionNewState);
+    const upgradedState = upgradeState(user, optimist.currentState);
+
+    optimist.upgrade_state.queue([getArg('22')], upgradedState);
+    optimist.some_pure_transition.queue([getArg('33')], firstVersionTransition(user, upgradedState, getArg('33')));
+
+    const { receipt: batchReceipt } = await optimist.sendQueue({ validate: false });
+
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, Object.assign({ transitions }, options));
+
+    expect(await verifierOptimist.verifyTransaction(receipt.transactionHash)).to.include({ valid: true });
+    expect(await verifierOptimist.verifyTransaction(batchReceipt.transactionHash)).to.include({ valid: false });
+  });
+
+  it('registers transitions of functions routed for several versions by route key.', async () => {
+    const logicRouter = createRouter();
+    const simulator = new Simulator({ logicRouter, transitions, initializeState, lockTime, requiredBond });
+    const optimist = new OptimisticRollIn(
+      simulator.accounts[0],
+      {},
+      { simulator, logicRouter, requiredBond, lockTime }
+    );
+
+    expect(() => optimist.registerTransition('some_pure_transition', firstVersionTransition)).to.throw(
+      'some_pure_transition is routed for several state versions.'
+    );
+
+    optimist.registerTransition('some_pure_transition@2', secondVersionTransition);
+    optimist.registerTransition('some_new_transition', newTransition);
+
+    expect(() => optimist.registerTransition('some_pure_transition@3', secondVersionTransition)).to.throw(
+      'No pure or view logic function some_pure_transition@3.'
+    );
+  });
+});
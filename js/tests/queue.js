@@ -0,0 +1,234 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter } = OptimisticRollIn;
+const { toHex, toBuffer } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+const localTransitions = { some_pure_transition: somePureTransition };
+
+describe('Queue', () => {
+  let simulator = null;
+  let user = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    user = simulator.accounts[0];
+  });
+
+  const createOptimist = async (options = {}) => {
+    const optimist = new OptimisticRollIn(user, {}, Object.assign({ simulator, requiredBond, lockTime }, options));
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    return optimist;
+  };
+
+  // Queues valid transitions, except for a fraudulent one at fraudIndex
+  const queueTransitions = (optimist, count, fraudIndex = -1) => {
+    const someArgs = generateElements(count, { seed: '11' });
+
+    return Promise.all(
+      someArgs.map((someArg, i) => {
+        const transition = i === fraudIndex ? someFraudTransition : somePureTransition;
+        const newState = transition(user, optimist.queuedState, someArg);
+
+        return optimist.some_pure_transition.queue([toHex(someArg)], newState);
+      })
+    );
+  };
+
+  describe('Validation', () => {
+    it('rejects an invalid transition as it is queued, synchronously, using a registered transition.', async () => {
+      const optimist = await createOptimist({ transitions: localTransitions });
+
+      expect(() => queueTransitions(optimist, 3, 2)).to.throw(
+        'Queued transition 2 (some_pure_transition) is invalid: results in state'
+      );
+
+      expect(optimist.transitionsQueued).to.equal(2);
+    });
+
+    it('rejects an invalid transition as it is queued, synchronously, using a pure verifier.', async () => {
+      const optimist = await createOptimist({ pureVerifiers });
+
+      expect(() => queueTransitions(optimist, 2, 1)).to.throw(
+        `Queued transition 1 (some_pure_transition) is invalid: does not result in state ${toHex(
+          someFraudTransition()
+        )}, according to its pure verifier.`
+      );
+
+      expect(optimist.transitionsQueued).to.equal(1);
+    });
+
+    it('reports an invalid queued transition, using the logic contract, and refuses to send the queue.', async () => {
+      const optimist = await createOptimist();
+      const startingState = optimist.currentState;
+
+      await queueTransitions(optimist, 4, 2);
+
+      expect(optimist.transitionsQueued).to.equal(4);
+
+      const { valid, index, functionName, reason } = await optimist.validateQueue();
+      const expectedState = generateElements(3, { seed: '11' }).reduce(
+        (state, someArg) => somePureTransition(user, state, someArg),
+        startingState
+      );
+
+      expect(valid).to.be.false;
+      expect(index).to.equal(2);
+      expect(functionName).to.equal('some_pure_transition');
+      expect(reason).to.equal(`results in state ${toHex(expectedState)} instead of ${toHex(someFraudTransition())}`);
+
+      await expect(optimist.sendQueue()).to.be.rejectedWith('Queued transition 2 (some_pure_transition) is invalid:');
+
+      expect(optimist.transitionsQueued).to.equal(4);
+    });
+
+    it('reports a queue that no longer starts from the current state.', async () => {
+      const optimist = await createOptimist({ transitions: localTransitions });
+      const startingState = optimist.currentState;
+
+      await queueTransitions(optimist, 3);
+      await optimist.some_pure_transition.optimistic([toHex(generateElements(1, { seed: '22' })[0])]);
+
+      const { valid, index, reason } = await optimist.validateQueue();
+
+      expect(valid).to.be.false;
+      expect(index).to.equal(0);
+      expect(reason).to.equal(`starts from state ${toHex(startingState)} instead of ${toHex(optimist.currentState)}`);
+    });
+
+    it('validates and sends a valid queue.', async () => {
+      const optimist = await createOptimist();
+
+      await queueTransitions(optimist, 4);
+
+      expect(await optimist.validateQueue()).to.deep.equal({ valid: true });
+
+      await optimist.sendQueue();
+
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    });
+  });
+
+  describe('Flush', () => {
+    // Returns an adapter whose nth sendORI fails, either before or after the transaction is mined
+    const createFailingAdapter = (failingSend, failAfterMining = false) => {
+      const adapter = new SimulatorAdapter(simulator);
+      const sendORI = adapter.sendORI.bind(adapter);
+      let sends = 0;
+
+      adapter.sendORI = async (...args) => {
+        if (++sends !== failingSend) return sendORI(...args);
+
+        if (failAfterMining) await sendORI(...args);
+
+        throw Error('Connection lost.');
+      };
+
+      return adapter;
+    };
+
+    it('sends the entire queue across transactions, performing a lone remaining transition on its own.', async () => {
+      const optimist = await createOptimist({ transitions: localTransitions });
+      const progress = [];
+
+      await queueTransitions(optimist, 7);
+
+      const { receipts } = await optimist.flushQueue({ gas: 50000, onProgress: (event) => progress.push(event) });
+
+      expect(receipts.length).to.equal(2);
+      expect(progress.map(({ transitionsSent }) => transitionsSent)).to.deep.equal([6, 7]);
+      expect(progress.map(({ transitionsRemaining }) => transitionsRemaining)).to.deep.equal([1, 0]);
+      expect(progress.map(({ receipt }) => receipt)).to.deep.equal(receipts);
+      expect(simulator.getTransaction(receipts[1].transactionHash).data.slice(0, 10)).to.equal('0x1646d051');
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect(optimist.transitionCount).to.equal(7);
+      expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    });
+
+    it('resumes after a transaction fails to be sent.', async () => {
+      const adapter = createFailingAdapter(3);
+      const optimist = await createOptimist({ adapter, transitions: localTransitions });
+
+      await queueTransitions(optimist, 7);
+
+      await expect(optimist.flushQueue({ gas: 45600 })).to.be.rejectedWith('Connection lost.');
+
+      expect(optimist.transitionsQueued).to.equal(3);
+
+      const { receipts } = await optimist.flushQueue({ gas: 45600 });
+
+      expect(receipts.length).to.equal(1);
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect(optimist.transitionCount).to.equal(7);
+      expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    });
+
+    it('resumes after a transaction is mined, but local state is not updated.', async () => {
+      const adapter = createFailingAdapter(2, true);
+      const optimist = await createOptimist({ adapter, transitions: localTransitions });
+
+      await queueTransitions(optimist, 7);
+
+      await expect(optimist.flushQueue({ gas: 45600 })).to.be.rejectedWith('Connection lost.');
+
+      expect(optimist.transitionsQueued).to.equal(7);
+
+      const { receipts } = await optimist.flushQueue({ gas: 45600 });
+
+      expect(receipts.length).to.equal(1);
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect(optimist.transitionCount).to.equal(7);
+      expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    });
+
+    it('resumes after a transaction is mined, but local state is not updated, even if states repeat.', async () => {
+      // A transition whose new state is its arg, so that alternating args alternate between two states
+      const echoTransition = (_user, _currentState, someArg) => toBuffer(someArg);
+
+      simulator = new Simulator({
+        logicABI,
+        transitions: Object.assign({}, transitions, { some_pure_transition: echoTransition }),
+        initializeState,
+        lockTime,
+        requiredBond,
+      });
+
+      const adapter = createFailingAdapter(2, true);
+      const optimist = await createOptimist({ adapter, transitions: { some_pure_transition: echoTransition } });
+      const someArgs = generateElements(2, { seed: '11' });
+
+      for (let i = 0; i < 7; i++) await optimist.some_pure_transition.queue([toHex(someArgs[i % 2])]);
+
+      await expect(optimist.flushQueue({ gas: 45600 })).to.be.rejectedWith('Connection lost.');
+
+      // The transitions sent by the first transaction end in a state that later queued transitions also result in
+      expect(optimist.transitionsQueued).to.equal(7);
+
+      await optimist.flushQueue({ gas: 45600 });
+
+      expect(optimist.transitionsQueued).to.equal(0);
+      expect(optimist.transitionCount).to.equal(7);
+      expect(optimist.currentState.equals(someArgs[0])).to.be.true;
+      expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    });
+  });
+});
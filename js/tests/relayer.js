@@ -0,0 +1,259 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, Relayer, errors } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+const fee = 1000000000000000n;
+
+describe('Relayed Transitions', () => {
+  let simulator = null;
+  let user = null;
+  let verifier = null;
+  let relayerAccount = null;
+  let optimist = null;
+  let relayer = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user, verifier, relayerAccount] = simulator.accounts;
+
+    optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+    await optimist.initialize({ deposit: '500000000000000000' });
+    await optimist.deposit(fee * 10n);
+
+    relayer = new Relayer({}, { simulator, from: relayerAccount });
+  });
+
+  const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+  const getNewState = (seed) => somePureTransition(user, optimist.queuedState, generateElements(1, { seed })[0]);
+
+  const relayTransition = (seed, relay = { fee }) =>
+    optimist.some_pure_transition.optimistic(getArgs(seed), getNewState(seed), { relay });
+
+  it('relays transitions the user signed, paying the fee from their balance, and confirms them locally.', async () => {
+    const { request } = await relayTransition('11');
+
+    expect(request).to.include({ user, to: simulator.oriAddress, methodName: 'perform_optimistically_and_enter_for' });
+    expect(optimist.pendingTransaction).to.equal(request);
+    expect(optimist.isInOptimisticState).to.be.false;
+
+    const { receipt, fee: paidFee, cost } = await relayer.relay(request);
+
+    expect(paidFee).to.equal(fee);
+    expect(cost > 0n && cost < fee).to.be.true;
+    expect(simulator.getTransaction(receipt.transactionHash).from).to.equal(relayerAccount);
+
+    await optimist.confirm(receipt.transactionHash);
+
+    expect(optimist.transitionCount).to.equal(1);
+    expect(await optimist.getBalance()).to.equal(BigInt(requiredBond) + fee * 9n);
+    expect(await optimist.getBalance(relayerAccount)).to.equal(fee);
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    optimist.some_pure_transition.queue(getArgs('22'), getNewState('22'));
+    optimist.some_pure_transition.queue(getArgs('33'), getNewState('33'));
+
+    const sending = await optimist.sendQueue({ relay: { fee, relayer: relayerAccount } });
+
+    expect(sending.request.methodName).to.equal('perform_many_optimistically_for');
+
+    const { receipt: batchReceipt } = await relayer.relay(sending.request);
+    await optimist.confirm(batchReceipt);
+
+    expect(optimist.transitionCount).to.equal(3);
+    expect(optimist.transitionsQueued).to.equal(0);
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    // Others verify and sync relayed transitions as they do any optimistic transition
+    const verifierOptimist = new OptimisticRollIn(verifier, {}, { simulator, requiredBond, lockTime });
+
+    expect(await verifierOptimist.verifyTransaction(batchReceipt.transactionHash)).to.include({ valid: true, user });
+
+    const userView = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+    await userView.syncFromChain();
+
+    expect(userView.accountState.equals(optimist.accountState)).to.be.true;
+  });
+
+  it('only relays requests that are authorized, unexpired, and profitable.', async () => {
+    await expect(relayTransition('11', { fee: fee * 11n })).to.be.rejectedWith(errors.InsufficientBalance);
+
+    const { request } = await relayTransition('11', { fee: 1 });
+
+    await expect(relayer.relay(request)).to.be.rejectedWith(errors.InsufficientFee);
+
+    const otherRelayer = simulator.accounts[3];
+    const { request: otherRelayerRequest } = await relayTransition('11', { fee, relayer: otherRelayer });
+
+    await expect(relayer.relay(otherRelayerRequest)).to.be.rejectedWith(errors.InvalidRelayer);
+
+    const { request: expiringRequest } = await relayTransition('11', { fee, deadline: simulator.time + 60 });
+    simulator.increaseTime(61);
+
+    await expect(relayer.relay(expiringRequest)).to.be.rejectedWith(errors.AuthorizationExpired);
+
+    const { request: validRequest } = await relayTransition('11');
+    const tamperedArgs = validRequest.args.slice();
+    tamperedArgs[2] = toHex(Buffer.alloc(32, 1));
+
+    await expect(relayer.relay(Object.assign({}, validRequest, { args: tamperedArgs }))).to.be.rejectedWith(
+      errors.InvalidSignature
+    );
+
+    const { receipt } = await relayer.relay(validRequest);
+    await optimist.confirm(receipt);
+
+    // An authorization is only valid from the account state it was signed over
+    await expect(relayer.relay(validRequest)).to.be.rejectedWith(errors.InvalidSignature);
+  });
+
+  it('keeps a balance deposited beyond the bond, which remains bonded.', async () => {
+    const balance = await optimist.getBalance();
+
+    // Locking requires no bond from an accuser whose balance is beyond it
+    const suspectView = new OptimisticRollIn(verifier, {}, { simulator, requiredBond, lockTime, sourceAddress: user });
+    await suspectView.lock();
+
+    expect(await optimist.getLocker(verifier)).to.equal(user);
+    expect(await optimist.getBalance()).to.equal(balance);
+
+    // ETH sent to the contract by a bonded user is added to their balance, rather than resetting it to the bond
+    simulator.sendTransaction({ from: user, to: simulator.oriAddress, value: requiredBond });
+
+    expect(await optimist.getBalance()).to.equal(balance + BigInt(requiredBond));
+  });
+
+  it('assigns nonces locally, and fetches them again after a failed send.', async () => {
+    const { request } = await relayTransition('11');
+    const { receipt } = await relayer.relay(request);
+    await optimist.confirm(receipt);
+
+    // A transaction sent from the relayer's account elsewhere uses the nonce the relayer expects to use next
+    simulator.sendTransaction({ from: relayerAccount, to: simulator.oriAddress, value: requiredBond });
+
+    const { request: nextRequest } = await relayTransition('22');
+
+    await expect(relayer.relay(nextRequest)).to.be.rejectedWith('Invalid nonce 1');
+
+    const { receipt: nextReceipt } = await relayer.relay(nextRequest);
+    await optimist.confirm(nextReceipt);
+
+    expect(simulator.getTransactionCount(relayerAccount)).to.equal(3);
+    expect(optimist.transitionCount).to.equal(2);
+  });
+
+  it('reissues the nonce of a failed send to the next request, while other sends are in flight.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const sendORI = adapter.sendORI.bind(adapter);
+    const heldSends = [];
+    let sendFailures = 1;
+
+    // The first send fails before being sent, and the others are held, to be sent in nonce order once released
+    adapter.sendORI = (methodName, args, callOptions) => {
+      if (sendFailures-- > 0) return Promise.reject(Error('Connection lost.'));
+
+      return new Promise((resolve) => {
+        heldSends.push({ nonce: callOptions.nonce, send: () => resolve(sendORI(methodName, args, callOptions)) });
+      });
+    };
+
+    const heldRelayer = new Relayer({}, { adapter, from: relayerAccount });
+    const requests = [];
+
+    for (const account of simulator.accounts.slice(3, 7)) {
+      const accountOptimist = new OptimisticRollIn(account, {}, { simulator, requiredBond, lockTime });
+      await accountOptimist.initialize({ deposit: '500000000000000000' });
+      await accountOptimist.deposit(fee * 10n);
+
+      const someArg = generateElements(1, { seed: '11' })[0];
+      const newState = somePureTransition(account, accountOptimist.currentState, someArg);
+      const { request } = await accountOptimist.some_pure_transition.optimistic([toHex(someArg)], newState, {
+        relay: { fee },
+      });
+
+      requests.push(request);
+    }
+
+    const failing = heldRelayer.relay(requests[0]);
+    const relays = [heldRelayer.relay(requests[1])];
+
+    await expect(failing).to.be.rejectedWith('Connection lost.');
+
+    relays.push(heldRelayer.relay(requests[2]), heldRelayer.relay(requests[3]));
+
+    while (heldSends.length < 3) await new Promise((resolve) => setImmediate(resolve));
+
+    expect(heldSends.map(({ nonce }) => nonce)).to.deep.equal([1, 0, 2]);
+
+    heldSends.sort((a, b) => a.nonce - b.nonce).forEach(({ send }) => send());
+    await Promise.all(relays);
+
+    expect(simulator.getTransactionCount(relayerAccount)).to.equal(3);
+  });
+
+  it('does not reissue the nonce of a send that was mined but reverted.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const sendORI = adapter.sendORI.bind(adapter);
+    const heldSends = [];
+    let sendFailures = 1;
+
+    // The first send runs out of gas once mined, using its nonce, and the others are held until released
+    adapter.sendORI = (methodName, args, callOptions) => {
+      if (sendFailures-- > 0) return sendORI(methodName, args, Object.assign({}, callOptions, { gas: 1000 }));
+
+      return new Promise((resolve) => {
+        heldSends.push({ nonce: callOptions.nonce, send: () => resolve(sendORI(methodName, args, callOptions)) });
+      });
+    };
+
+    const heldRelayer = new Relayer({}, { adapter, from: relayerAccount });
+    const requests = [];
+
+    for (const account of simulator.accounts.slice(3, 6)) {
+      const accountOptimist = new OptimisticRollIn(account, {}, { simulator, requiredBond, lockTime });
+      await accountOptimist.initialize({ deposit: '500000000000000000' });
+      await accountOptimist.deposit(fee * 10n);
+
+      const someArg = generateElements(1, { seed: '11' })[0];
+      const newState = somePureTransition(account, accountOptimist.currentState, someArg);
+      const { request } = await accountOptimist.some_pure_transition.optimistic([toHex(someArg)], newState, {
+        relay: { fee },
+      });
+
+      requests.push(request);
+    }
+
+    const failing = heldRelayer.relay(requests[0]);
+    const relays = [heldRelayer.relay(requests[1])];
+
+    await expect(failing).to.be.rejectedWith('out of gas');
+
+    relays.push(heldRelayer.relay(requests[2]));
+
+    while (heldSends.length < 2) await new Promise((resolve) => setImmediate(resolve));
+
+    expect(heldSends.map(({ nonce }) => nonce)).to.deep.equal([1, 2]);
+
+    heldSends.forEach(({ send }) => send());
+    await Promise.all(relays);
+
+    expect(simulator.getTransactionCount(relayerAccount)).to.equal(3);
+  });
+});
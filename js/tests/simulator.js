@@ -0,0 +1,339 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Optimistic Roll In (Simulator)', () => {
+  describe('Basic Testing (must be performed in order)', function () {
+    // Queued transitions are validated with the logic contract, which is slow for large queues
+    this.timeout(10000);
+
+    let simulator = null;
+    let fraudulentTransitionIndex = null;
+
+    let suspect = null;
+    let suspectOptimist = null;
+    let suspectLastTxId = null;
+
+    let accuser = null;
+    let accuserOptimist = null;
+
+    let watcherOptimist = null;
+    const watcherFrauds = [];
+
+    before(() => {
+      simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      [suspect, accuser] = simulator.accounts;
+      const watcher = simulator.accounts[2];
+
+      const oriOptions = { simulator, requiredBond, lockTime };
+
+      suspectOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+      accuserOptimist = new OptimisticRollIn(accuser, {}, oriOptions);
+      watcherOptimist = new OptimisticRollIn(watcher, {}, oriOptions);
+
+      watcherOptimist.autoVerify({ pureVerifiers }).on('fraud', ({ user }) => watcherFrauds.push(user));
+    });
+
+    it('[ 1] can bond a user (who will eventually be the guilty suspect).', async () => {
+      expect(await suspectOptimist.isBonded()).to.be.false;
+
+      await suspectOptimist.bond();
+
+      expect((await suspectOptimist.getBalance()).toString()).to.equal(requiredBond);
+      expect(simulator.getBalance(simulator.oriAddress).toString()).to.equal(requiredBond);
+      expect(await suspectOptimist.isBonded()).to.be.true;
+    });
+
+    it('[ 2] cannot initialize a user without the deposit the logic contract requires.', async () => {
+      await expect(suspectOptimist.initialize()).to.be.rejectedWith('INSUFFICIENT_DEPOSIT');
+      expect(await suspectOptimist.isInitialized()).to.be.false;
+    });
+
+    it('[ 3] can initialize a user (suspect) and deposit some ETH in the logic contract.', async () => {
+      await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+      expect(simulator.getBalance(simulator.logicAddress).toString()).to.equal('500000000000000000');
+      expect(await suspectOptimist.isInitialized()).to.be.true;
+    });
+
+    it('[ 4] allows a user (suspect) to perform a normal state transition (and remain outside of optimism).', async () => {
+      const someArg = generateElements(1, { seed: '11' })[0];
+
+      await suspectOptimist.some_impure_transition.normal([toHex(someArg)]);
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+      expect(suspectOptimist.isInOptimisticState).to.be.false;
+    });
+
+    it('[ 5] allows a user (suspect) to perform a valid optimistic state transition (and enter optimism).', async () => {
+      const someArg = generateElements(1, { seed: '22' })[0];
+      const newState = somePureTransition(suspect, suspectOptimist.currentState, someArg);
+
+      const { receipt } = await suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+      suspectLastTxId = receipt.transactionHash;
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+      expect(suspectOptimist.lastTime).to.equal(simulator.time);
+    });
+
+    it('[ 6] allows a user (accuser) to immediately verify a valid optimistic state transition (using the node).', async () => {
+      const { valid, user } = await accuserOptimist.verifyTransaction(suspectLastTxId);
+
+      expect(valid).to.be.true;
+      expect(user).to.equal(suspect);
+    });
+
+    it('[ 7] allows a user (suspect) to perform valid optimistic state transitions in batches.', async () => {
+      const calls = 50;
+      const someArgs = generateElements(calls, { seed: '44' });
+
+      for (let i = 0; i < calls; i++) {
+        const newState = somePureTransition(suspect, suspectOptimist.queuedState, someArgs[i]);
+        suspectOptimist.some_pure_transition.queue([toHex(someArgs[i])], newState);
+      }
+
+      expect(suspectOptimist.transitionsQueued).to.equal(calls);
+
+      while (suspectOptimist.transitionsQueued > 1) {
+        const { receipt } = await suspectOptimist.sendQueue({ gas: 100000 });
+        suspectLastTxId = receipt.transactionHash;
+
+        const accountState = await suspectOptimist.getAccountState();
+        expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+      }
+
+      suspectOptimist.clearQueue();
+    });
+
+    it('[ 8] allows a user (accuser) to immediately verify valid batched optimistic state transitions (using local js).', async () => {
+      const { valid, user } = await accuserOptimist.verifyTransaction(suspectLastTxId, { pureVerifiers });
+
+      expect(valid).to.be.true;
+      expect(user).to.equal(suspect);
+    });
+
+    it('[ 9] allows a user (suspect) to perform fraudulent optimistic state transitions in batch.', async () => {
+      const fraudulentIndex = 20;
+      fraudulentTransitionIndex = suspectOptimist.transitionCount + fraudulentIndex;
+
+      const calls = 40;
+      const someArgs = generateElements(calls, { seed: '55' });
+
+      for (let i = 0; i < calls; i++) {
+        const newState =
+          i === fraudulentIndex
+            ? someFraudTransition(suspect, suspectOptimist.queuedState, someArgs[i])
+            : somePureTransition(suspect, suspectOptimist.queuedState, someArgs[i]);
+
+        suspectOptimist.some_pure_transition.queue([toHex(someArgs[i])], newState);
+      }
+
+      const { receipt } = await suspectOptimist.sendQueue({ gas: 1000000, validate: false });
+      suspectLastTxId = receipt.transactionHash;
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(suspectOptimist.transitionsQueued).to.equal(0);
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+    });
+
+    it('[10] allows a user (accuser) to immediately detect a transaction containing a fraudulent state transition.', async () => {
+      const { valid, user } = await accuserOptimist.verifyTransaction(suspectLastTxId, { pureVerifiers });
+
+      expect(valid).to.be.false;
+      expect(user).to.equal(suspect);
+      expect(accuserOptimist.getFraudster(suspect).fraudIndex).to.equal(fraudulentTransitionIndex);
+    });
+
+    it('[11] notifies a watcher (via autoVerify) of the fraudulent transaction.', async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(watcherFrauds).to.deep.equal([suspect]);
+    });
+
+    it("[12] allows a user (accuser) to update their partial tree with the suspect's subsequent valid transition.", async () => {
+      const someArg = generateElements(1, { seed: '66' })[0];
+      const newState = somePureTransition(suspect, suspectOptimist.currentState, someArg);
+
+      const { receipt } = await suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+
+      const fraudster = accuserOptimist.getFraudster(suspect);
+      await fraudster.update(receipt.transactionHash);
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(fraudster.accountState)).to.be.true;
+    });
+
+    it("[13] allows a user (accuser) to lock a suspect's account, which blocks the suspect.", async () => {
+      const fraudster = accuserOptimist.getFraudster(suspect);
+
+      await fraudster.lock();
+
+      expect(await fraudster.getLocker()).to.equal(accuser);
+      expect(await accuserOptimist.getLocker()).to.equal(accuser);
+      expect(await fraudster.getLockTimestamp()).to.equal(simulator.time);
+      expect((await accuserOptimist.getBalance()).toString()).to.equal(requiredBond);
+
+      const someArg = generateElements(1, { seed: '77' })[0];
+      const newState = somePureTransition(suspect, suspectOptimist.currentState, someArg);
+      const performPromise = suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+
+      await expect(performPromise).to.be.rejectedWith('ACCOUNT_LOCKED');
+    });
+
+    it("[14] allows a user (accuser) to prove a suspect's fraud (from a partial tree).", async () => {
+      const fraudster = accuserOptimist.getFraudster(suspect);
+
+      await fraudster.proveFraud();
+
+      expect(accuserOptimist.getFraudster(suspect)).to.equal(null);
+      expect((await fraudster.getBalance()).toString()).to.equal('0');
+      expect(await fraudster.getLocker()).to.equal(suspect);
+      expect(await fraudster.getRollbackSize()).to.equal(fraudulentTransitionIndex);
+      expect((await accuserOptimist.getBalance()).toString()).to.equal('2000000000000000000');
+      expect(await accuserOptimist.getLocker()).to.equal(null);
+    });
+
+    it('[15] allows a user (accuser) to unbond their balance (including the reward).', async () => {
+      const startingEth = simulator.getBalance(accuser);
+
+      await accuserOptimist.unbond(accuser);
+
+      expect((simulator.getBalance(accuser) - startingEth).toString()).to.equal('2000000000000000000');
+      expect((await accuserOptimist.getBalance()).toString()).to.equal('0');
+    });
+
+    it('[16] does not allow a user (suspect) to exit optimism before rolling back.', async () => {
+      simulator.increaseTime(lockTime + 1);
+      simulator.mine();
+
+      const someArg = generateElements(1, { seed: '88' })[0];
+      const performPromise = suspectOptimist.some_impure_transition.normal([toHex(someArg)]);
+
+      await expect(performPromise).to.be.rejectedWith('ROLLBACK_REQUIRED');
+    });
+
+    it('[17] allows a user (suspect) to rollback their call data tree.', async () => {
+      await suspectOptimist.rollback();
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(await suspectOptimist.getLocker()).to.equal(null);
+      expect(await suspectOptimist.getRollbackSize()).to.equal(0);
+      expect(suspectOptimist.transitionCount).to.equal(fraudulentTransitionIndex);
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+    });
+
+    it('[18] allows a user (suspect) export state and import into a newly created instance.', async () => {
+      const exportedState = suspectOptimist.exportState();
+
+      suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+      suspectOptimist.importState(exportedState);
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+    });
+
+    it('[19] allows a user (suspect) to rebuild their state from chain history.', async () => {
+      const syncedOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+      const exportedState = await syncedOptimist.syncFromChain();
+
+      expect(exportedState).to.deep.equal(suspectOptimist.exportState());
+      expect(syncedOptimist.accountState.equals(suspectOptimist.accountState)).to.be.true;
+      expect(syncedOptimist.transitionCount).to.equal(fraudulentTransitionIndex);
+    });
+
+    it('[20] does not allow a user (suspect) to exit optimism before the lock time has elapsed.', async () => {
+      const someArg = generateElements(1, { seed: '99' })[0];
+      const performPromise = suspectOptimist.some_impure_transition.normal([toHex(someArg)]);
+
+      await expect(performPromise).to.be.rejectedWith('In optimistic state and cannot yet exit.');
+
+      // As for the contract, the lock time must have elapsed strictly before the block's timestamp
+      simulator.setTime(suspectOptimist.lastTime + lockTime);
+      simulator.mine();
+
+      await expect(suspectOptimist.some_impure_transition.normal([toHex(someArg)])).to.be.rejectedWith(
+        'In optimistic state and cannot yet exit.'
+      );
+    });
+
+    it('[21] allows a user (suspect) to perform a normal state transition (and exit optimism).', async () => {
+      simulator.increaseTime(lockTime + 1);
+      simulator.mine();
+
+      const someArg = generateElements(1, { seed: '99' })[0];
+      await suspectOptimist.some_impure_transition.normal([toHex(someArg)]);
+
+      const accountState = await suspectOptimist.getAccountState();
+
+      expect(accountState.equals(suspectOptimist.accountState)).to.be.true;
+      expect(suspectOptimist.isInOptimisticState).to.be.false;
+    });
+  });
+
+  describe('Simulator', () => {
+    it('reverts without changing state, but mines the failed transaction, using its nonce.', async () => {
+      const simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      const [user] = simulator.accounts;
+      const optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+      const startingEth = simulator.getBalance(user);
+
+      await expect(optimist.initialize({ deposit: '1' })).to.be.rejectedWith('INSUFFICIENT_DEPOSIT');
+
+      expect(simulator.getBalance(user)).to.equal(startingEth);
+      expect(await optimist.getBalance()).to.equal(0n);
+      expect(simulator.blockNumber).to.equal(1);
+      expect(simulator.getTransactionCount(user)).to.equal(1);
+    });
+
+    it('fails transactions that run out of gas.', async () => {
+      const simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      const [user] = simulator.accounts;
+      const optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+
+      await expect(optimist.initialize({ deposit: '500000000000000000', gas: 1000 })).to.be.rejectedWith('out of gas');
+    });
+
+    it('returns past events from a given block.', async () => {
+      const simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      const [user] = simulator.accounts;
+      const optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+
+      await optimist.initialize({ deposit: '500000000000000000' });
+
+      const [log] = simulator.getLogs({ eventName: 'ORI_New_State', fromBlock: 1 });
+
+      expect(log.returnValues.user).to.equal(user);
+      expect(log.returnValues.new_state).to.equal(toHex(optimist.currentState));
+      expect(simulator.getLogs({ eventName: 'ORI_New_State', fromBlock: 2 })).to.be.empty;
+    });
+  });
+});
@@ -0,0 +1,213 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, PackedStateCodec, HashedStateCodec } = OptimisticRollIn;
+const { hash, toHex, toBuffer } = require('../src/utils');
+const { encodeParameters } = require('../src/abi');
+
+const { logicABI, generateElements } = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+const PACKED_FIELDS = [
+  { name: 'level', type: 'uint8' },
+  { name: 'score', type: 'uint64' },
+  { name: 'delta', type: 'int16' },
+  { name: 'alive', type: 'bool' },
+  { name: 'owner', type: 'address' },
+];
+
+const HASHED_FIELDS = [
+  { name: 'inventory', type: 'uint256[]' },
+  { name: 'name', type: 'string' },
+];
+
+describe('State Codecs', () => {
+  const owner = '0x1111111111111111111111111111111111111111';
+
+  it('packs fields into the state, in order and without padding.', () => {
+    const codec = new PackedStateCodec(PACKED_FIELDS);
+    const state = codec.encode({ level: 3, score: '1000', delta: -2n, alive: true, owner });
+
+    expect(toHex(state)).to.equal('0x' + '03' + '00000000000003e8' + 'fffe' + '01' + '11'.repeat(20));
+    expect(codec.decode(state)).to.deep.equal({ level: 3n, score: 1000n, delta: -2n, alive: true, owner });
+
+    expect(() => codec.encode({ level: 256, score: 0, delta: 0, alive: false, owner })).to.throw(
+      'Value of level does not fit in uint8.'
+    );
+
+    expect(() => codec.encode({ level: 0, score: 0, delta: -40000, alive: false, owner })).to.throw(
+      'Value of delta does not fit in int16.'
+    );
+
+    expect(() => codec.encode({ level: 0, score: 0, alive: false, owner })).to.throw('Missing value of delta.');
+
+    expect(
+      () =>
+        new PackedStateCodec([
+          { name: 'a', type: 'uint256' },
+          { name: 'b', type: 'uint8' },
+        ])
+    ).to.throw('Fields take 33 bytes, more than the 32-byte state.');
+  });
+
+  it('commits to fields by hash, decoding states whose preimages are known.', () => {
+    const codec = new HashedStateCodec(HASHED_FIELDS);
+    const values = { inventory: [1n, 2n, 3n], name: 'some player' };
+    const state = codec.encode(values);
+    const preimage = encodeParameters(HASHED_FIELDS, [values.inventory, values.name]);
+
+    expect(state.equals(hash(preimage))).to.be.true;
+    expect(codec.decode(state)).to.deep.equal(values);
+    expect(codec.getPreimage(state)).to.equal(toHex(preimage));
+
+    const otherCodec = new HashedStateCodec(HASHED_FIELDS);
+
+    expect(otherCodec.decode(state)).to.equal(null);
+    expect(otherCodec.addPreimage(codec.getPreimage(state)).equals(state)).to.be.true;
+    expect(otherCodec.decode(toHex(state))).to.deep.equal(values);
+  });
+
+  describe('Client', () => {
+    const codec = new PackedStateCodec(PACKED_FIELDS);
+
+    // Mirrors a logic contract's some_pure_transition on a packed state (the arg's first byte is added to the score)
+    const play = ({ level, score }, user, someArg) => ({
+      level: level + 1n,
+      score: score + BigInt(toBuffer(someArg)[0]),
+      delta: -BigInt(toBuffer(someArg)[0]),
+      alive: true,
+      owner: user,
+    });
+
+    const initializeState = (user) => codec.encode({ level: 0, score: 0, delta: 0, alive: true, owner: user });
+
+    const simulatorTransitions = {
+      some_pure_transition: (user, currentState, someArg) =>
+        codec.encode(play(codec.decode(currentState), user, someArg)),
+    };
+
+    // Registered transitions can return field values
+    const localTransitions = {
+      some_pure_transition: (user, currentState, someArg) => play(codec.decode(currentState), user, someArg),
+    };
+
+    let simulator = null;
+    let user = null;
+    let verifier = null;
+
+    beforeEach(async () => {
+      simulator = new Simulator({
+        logicABI,
+        transitions: simulatorTransitions,
+        initializeState,
+        lockTime,
+        requiredBond,
+      });
+      [user, verifier] = simulator.accounts;
+    });
+
+    const getArg = (seed) => toHex(generateElements(1, { seed })[0]);
+
+    it('accepts and presents states as field values, in history and verification reports.', async () => {
+      const options = { simulator, stateCodec: codec, requiredBond, lockTime };
+      const optimist = new OptimisticRollIn(user, {}, Object.assign({ transitions: localTransitions }, options));
+      await optimist.initialize({ deposit: '500000000000000000' });
+
+      expect(optimist.decodedState).to.deep.equal({ level: 0n, score: 0n, delta: 0n, alive: true, owner: user });
+
+      const firstState = play(optimist.decodedState, user, getArg('11'));
+      await optimist.some_pure_transition.optimistic([getArg('11')], firstState);
+
+      expect(optimist.decodedState).to.deep.equal(firstState);
+
+      optimist.some_pure_transition.queue([getArg('22')]);
+      optimist.some_pure_transition.queue([getArg('33')]);
+
+      expect(optimist.decodedQueuedState.level).to.equal(3n);
+      expect(optimist.decodedState.level).to.equal(1n);
+
+      const { receipt } = await optimist.sendQueue();
+
+      expect(optimist.decodedState).to.deep.equal(play(play(firstState, user, getArg('22')), user, getArg('33')));
+
+      // Pure verifiers receive the call data's state and the new state decoded
+      const verifiedStates = [];
+      const pureVerifiers = {
+        '0xef6f6a42': ({ user, current_state: currentState, some_arg: someArg }, newState) => {
+          verifiedStates.push(newState);
+
+          return codec.encode(play(currentState, user, someArg)).equals(codec.encode(newState));
+        },
+      };
+
+      const verifierOptimist = new OptimisticRollIn(verifier, {}, Object.assign({ pureVerifiers }, options));
+      const report = await verifierOptimist.verifyTransaction(receipt.transactionHash);
+
+      expect(report).to.deep.equal({ valid: true, user, decodedState: optimist.decodedState });
+      expect(verifiedStates.map(({ level }) => level)).to.deep.equal([2n, 3n]);
+
+      const history = await optimist.getTransitionHistory();
+
+      expect(history[0].decodedStartingState).to.deep.equal({
+        level: '0',
+        score: '0',
+        delta: '0',
+        alive: true,
+        owner: user,
+      });
+
+      expect(history[2].decodedResultingState.level).to.equal('3');
+    });
+
+    it('verifies states of fields committed by hash, checking otherwise when the preimage is unknown.', async () => {
+      const hashedCodec = new HashedStateCodec(HASHED_FIELDS);
+
+      // The logic contract would take the preimage as an arg, but here the simulator's transition looks it up
+      const addItem = ({ inventory, name }, someArg) => ({ inventory: inventory.concat(BigInt(someArg)), name });
+      const transitions = {
+        some_pure_transition: (_user, currentState, someArg) =>
+          hashedCodec.encode(addItem(hashedCodec.decode(currentState), someArg)),
+      };
+
+      const hashedInitializeState = () => hashedCodec.encode({ inventory: [], name: 'some player' });
+      const simulatorOptions = {
+        logicABI,
+        transitions,
+        initializeState: hashedInitializeState,
+        lockTime,
+        requiredBond,
+      };
+      const hashedSimulator = new Simulator(simulatorOptions);
+      const options = { simulator: hashedSimulator, requiredBond, lockTime };
+
+      const optimist = new OptimisticRollIn(user, {}, Object.assign({ stateCodec: hashedCodec }, options));
+      await optimist.initialize({ deposit: '500000000000000000' });
+
+      const newState = addItem(optimist.decodedState, getArg('11'));
+      const { receipt } = await optimist.some_pure_transition.optimistic([getArg('11')], newState);
+
+      expect(optimist.decodedState).to.deep.equal(newState);
+
+      let verifierCalls = 0;
+      const pureVerifiers = { '0xef6f6a42': () => verifierCalls++ > 0 };
+      const verifierCodec = new HashedStateCodec(HASHED_FIELDS);
+      const verifierOptions = Object.assign({ stateCodec: verifierCodec, pureVerifiers }, options);
+      const verifierOptimist = new OptimisticRollIn(verifier, {}, verifierOptions);
+
+      expect(await verifierOptimist.verifyTransaction(receipt.transactionHash)).to.deep.equal({
+        valid: true,
+        user,
+        decodedState: null,
+      });
+
+      expect(verifierCalls).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+'strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, MemoryStorage, JsonFileStorage } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Storage', () => {
+  describe('MemoryStorage', () => {
+    it('saves, loads, and removes values by key.', () => {
+      const storage = new MemoryStorage();
+
+      expect(storage.load('a')).to.equal(null);
+
+      storage.save('a', { b: [1, '0x02'] });
+
+      expect(storage.load('a')).to.deep.equal({ b: [1, '0x02'] });
+
+      storage.remove('a');
+
+      expect(storage.load('a')).to.equal(null);
+    });
+  });
+
+  describe('JsonFileStorage', () => {
+    let directory = null;
+
+    before(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ori-storage-'));
+    });
+
+    after(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('saves, loads, and removes values by key, across instances.', () => {
+      const filePath = path.join(directory, 'nested', 'states.json');
+
+      new JsonFileStorage(filePath).save('a', { b: [1, '0x02'] });
+      new JsonFileStorage(filePath).save('c', { d: null });
+
+      expect(new JsonFileStorage(filePath).load('a')).to.deep.equal({ b: [1, '0x02'] });
+      expect(new JsonFileStorage(filePath).load('c')).to.deep.equal({ d: null });
+      expect(fs.existsSync(`${filePath}.tmp`)).to.be.false;
+
+      new JsonFileStorage(filePath).remove('a');
+
+      expect(new JsonFileStorage(filePath).load('a')).to.equal(null);
+      expect(new JsonFileStorage(filePath).load('c')).to.deep.equal({ d: null });
+    });
+  });
+
+  describe('Autosave (must be performed in order)', () => {
+    let simulator = null;
+    let storage = null;
+    let oriOptions = null;
+
+    let suspect = null;
+    let suspectOptimist = null;
+
+    let accuser = null;
+    let accuserOptimist = null;
+
+    before(() => {
+      simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+      storage = new MemoryStorage();
+      oriOptions = { simulator, storage, requiredBond, lockTime };
+
+      [suspect, accuser] = simulator.accounts;
+
+      suspectOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+      accuserOptimist = new OptimisticRollIn(accuser, {}, oriOptions);
+    });
+
+    it('[1] loads nothing for a new account.', async () => {
+      expect(suspectOptimist.currentState).to.equal(null);
+      expect(storage.load(`${simulator.oriAddress}:${suspect}`)).to.equal(null);
+    });
+
+    it('[2] saves the state after initializing and performing.', async () => {
+      await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+      const someArg = generateElements(1, { seed: '11' })[0];
+      const newState = somePureTransition(suspect, suspectOptimist.currentState, someArg);
+      await suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+
+      const loadedOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+
+      expect(loadedOptimist.exportState()).to.deep.equal(suspectOptimist.exportState());
+      expect(loadedOptimist.accountState.equals(await suspectOptimist.getAccountState())).to.be.true;
+    });
+
+    it('[3] saves a queue (with Buffer args) that can be sent after loading.', async () => {
+      const someArgs = generateElements(5, { seed: '22' });
+
+      for (let i = 0; i < someArgs.length; i++) {
+        const newState =
+          i === 2
+            ? someFraudTransition(suspect, suspectOptimist.queuedState, someArgs[i])
+            : somePureTransition(suspect, suspectOptimist.queuedState, someArgs[i]);
+
+        suspectOptimist.some_pure_transition.queue([someArgs[i]], newState);
+      }
+
+      suspectOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+
+      expect(suspectOptimist.transitionsQueued).to.equal(5);
+      expect(Buffer.isBuffer(suspectOptimist.queuedState)).to.be.true;
+
+      await suspectOptimist.sendQueue({ gas: 1000000, validate: false });
+
+      const loadedOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+
+      expect(loadedOptimist.transitionsQueued).to.equal(0);
+      expect(loadedOptimist.accountState.equals(await suspectOptimist.getAccountState())).to.be.true;
+    });
+
+    it('[4] saves tracked fraudsters, which can prove fraud after loading.', async () => {
+      const { transactionHash } = simulator.getLogs({ eventName: 'ORI_New_Optimistic_States' })[0];
+      const { valid } = await accuserOptimist.verifyTransaction(transactionHash, { pureVerifiers });
+
+      expect(valid).to.be.false;
+
+      const someArg = generateElements(1, { seed: '33' })[0];
+      const newState = somePureTransition(suspect, suspectOptimist.currentState, someArg);
+      const { receipt } = await suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+      await accuserOptimist.getFraudster(suspect).update(receipt.transactionHash);
+
+      accuserOptimist = new OptimisticRollIn(accuser, {}, oriOptions);
+      const fraudster = accuserOptimist.getFraudster(suspect);
+
+      expect(fraudster.fraudIndex).to.equal(3);
+      expect(fraudster.accountState.equals(await suspectOptimist.getAccountState())).to.be.true;
+
+      await fraudster.lock();
+      await fraudster.proveFraud();
+
+      expect(await fraudster.getRollbackSize()).to.equal(3);
+      expect(new OptimisticRollIn(accuser, {}, oriOptions).getFraudster(suspect)).to.equal(undefined);
+    });
+
+    it('[5] saves the state after rolling back.', async () => {
+      await suspectOptimist.rollback();
+
+      const loadedOptimist = new OptimisticRollIn(suspect, {}, oriOptions);
+
+      expect(loadedOptimist.transitionCount).to.equal(3);
+      expect(loadedOptimist.accountState.equals(await suspectOptimist.getAccountState())).to.be.true;
+    });
+
+    it('[6] does not save when autosave is disabled, but can still be exported and imported.', async () => {
+      const manualOptimist = new OptimisticRollIn(suspect, {}, Object.assign({ autosave: false }, oriOptions));
+      const someArg = generateElements(1, { seed: '44' })[0];
+      const newState = somePureTransition(suspect, manualOptimist.currentState, someArg);
+
+      await manualOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+
+      expect(new OptimisticRollIn(suspect, {}, oriOptions).transitionCount).to.equal(3);
+
+      const importedOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+      importedOptimist.importState(JSON.parse(JSON.stringify(manualOptimist.exportState())));
+
+      expect(importedOptimist.accountState.equals(await manualOptimist.getAccountState())).to.be.true;
+    });
+
+    it('[7] rejects unsupported state versions.', () => {
+      const exportedState = Object.assign(suspectOptimist.exportState(), { version: 99 });
+
+      expect(() => suspectOptimist.importState(exportedState)).to.throw('Unsupported state version 99.');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Transition History', () => {
+  let simulator = null;
+  let user = null;
+  let accuser = null;
+  let optimist = null;
+  let accuserOptimist = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user, accuser] = simulator.accounts;
+
+    optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    accuserOptimist = new OptimisticRollIn(accuser, {}, { simulator, requiredBond, lockTime });
+  });
+
+  const getArg = (seed) => toHex(generateElements(1, { seed })[0]);
+
+  const getNewState = (transition, seed) => transition(user, optimist.queuedState, getArg(seed));
+
+  it('decodes each transition, with its states and the transaction that added it.', async () => {
+    const initialState = toHex(optimist.currentState);
+
+    const { receipt } = await optimist.some_pure_transition.optimistic(
+      [getArg('11')],
+      getNewState(somePureTransition, '11')
+    );
+
+    optimist.some_pure_transition.queue([getArg('22')], getNewState(somePureTransition, '22'));
+    optimist.some_pure_transition.queue([getArg('33')], getNewState(somePureTransition, '33'));
+
+    const { receipt: batchReceipt } = await optimist.sendQueue();
+    const history = await optimist.getTransitionHistory();
+
+    expect(history).to.have.lengthOf(3);
+
+    expect(history[0]).to.deep.equal({
+      index: 0,
+      functionName: 'some_pure_transition',
+      args: { some_arg: getArg('11') },
+      startingState: initialState,
+      resultingState: history[1].startingState,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    });
+
+    expect(history[1].args).to.deep.equal({ some_arg: getArg('22') });
+    expect(history[2].resultingState).to.equal(toHex(optimist.currentState));
+
+    history.slice(1).forEach(({ transactionHash, blockNumber }) => {
+      expect(transactionHash).to.equal(batchReceipt.transactionHash);
+      expect(blockNumber).to.equal(batchReceipt.blockNumber);
+    });
+  });
+
+  // Performs a valid transition, then a fraudulent one, and returns the fraudulent transaction's receipt once detected
+  const performFraud = async () => {
+    const verifyEmitter = accuserOptimist.autoVerify({ pureVerifiers });
+    const fraud = new Promise((resolve) => verifyEmitter.once('fraud', resolve));
+
+    await optimist.some_pure_transition.optimistic([getArg('11')], getNewState(somePureTransition, '11'));
+
+    const { receipt } = await optimist.some_pure_transition.optimistic(
+      [getArg('22')],
+      getNewState(someFraudTransition, '22')
+    );
+
+    await fraud;
+    verifyEmitter.stop();
+
+    return receipt;
+  };
+
+  it("returns a fraudster's known transitions, even once the user has performed more.", async () => {
+    const receipt = await performFraud();
+
+    await optimist.some_pure_transition.optimistic([getArg('33')], getNewState(somePureTransition, '33'));
+
+    const history = await accuserOptimist.getFraudster(user).getTransitionHistory();
+
+    expect(history).to.have.lengthOf(1);
+    expect(history[0]).to.include({ index: 1, transactionHash: receipt.transactionHash });
+    expect(history[0].resultingState).to.equal(toHex(someFraudTransition()));
+  });
+
+  it('excludes transitions that were rolled back.', async () => {
+    await performFraud();
+
+    const fraudster = accuserOptimist.getFraudster(user);
+    await fraudster.lock();
+    await fraudster.proveFraud();
+
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+
+    await optimist.rollback();
+
+    const history = await optimist.getTransitionHistory();
+
+    expect(history).to.have.lengthOf(1);
+    expect(history[0].resultingState).to.equal(toHex(optimist.currentState));
+  });
+});
@@ -0,0 +1,170 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const localTransitions = { some_pure_transition: somePureTransition };
+const lockTime = 600;
+
+describe('Local Transitions', () => {
+  let simulator = null;
+  let user = null;
+  let verifier = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    user = simulator.accounts[0];
+    verifier = new OptimisticRollIn(
+      simulator.accounts[1],
+      {},
+      { simulator, transitions: localTransitions, requiredBond, lockTime }
+    );
+  });
+
+  const createOptimist = async (options = {}) => {
+    const optimist = new OptimisticRollIn(user, {}, Object.assign({ simulator, requiredBond, lockTime }, options));
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    return optimist;
+  };
+
+  it('computes the new state of an optimistic transition with a transition registered by name.', async () => {
+    const optimist = await createOptimist({ transitions: localTransitions });
+    const someArg = generateElements(1, { seed: '11' })[0];
+    const expectedState = somePureTransition(user, optimist.currentState, someArg);
+
+    const { newState, receipt } = await optimist.some_pure_transition.optimistic([toHex(someArg)]);
+
+    expect(newState.equals(expectedState)).to.be.true;
+    expect(optimist.currentState.equals(expectedState)).to.be.true;
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    expect((await verifier.verifyTransaction(receipt.transactionHash)).valid).to.be.true;
+  });
+
+  it('computes the new states of queued transitions synchronously with a transition registered by sighash.', async () => {
+    const optimist = await createOptimist();
+    optimist.registerTransition('0xef6f6a42', somePureTransition);
+
+    const someArgs = generateElements(5, { seed: '22' });
+    someArgs.forEach((someArg) => optimist.some_pure_transition.queue([toHex(someArg)]));
+
+    expect(optimist.transitionsQueued).to.equal(5);
+
+    const expectedState = someArgs.reduce(
+      (state, someArg) => somePureTransition(user, state, someArg),
+      optimist.currentState
+    );
+
+    expect(optimist.queuedState.equals(expectedState)).to.be.true;
+
+    const { receipt } = await optimist.sendQueue();
+
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+    expect((await verifier.verifyTransaction(receipt.transactionHash)).valid).to.be.true;
+  });
+
+  it('computes new states with the logic contract (via eth_call) when no transition is registered.', async () => {
+    const optimist = await createOptimist();
+    const initialState = optimist.currentState;
+    const someArgs = generateElements(3, { seed: '33' });
+
+    await optimist.some_pure_transition.optimistic([toHex(someArgs[0])]);
+
+    expect(optimist.currentState.equals(somePureTransition(user, initialState, someArgs[0]))).to.be.true;
+
+    await optimist.some_pure_transition.queue([toHex(someArgs[1])]);
+    const { newState } = await optimist.some_pure_transition.queue([toHex(someArgs[2])]);
+
+    const expectedState = someArgs.reduce((state, someArg) => somePureTransition(user, state, someArg), initialState);
+
+    expect(newState.equals(expectedState)).to.be.true;
+
+    await optimist.sendQueue();
+
+    expect(optimist.currentState.equals(newState)).to.be.true;
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+  });
+
+  it('uses a given new state over a registered transition.', async () => {
+    const optimist = await createOptimist({ transitions: localTransitions });
+    const someArg = generateElements(1, { seed: '44' })[0];
+    const fraudulentState = someFraudTransition(user, optimist.currentState, someArg);
+
+    const { receipt } = await optimist.some_pure_transition.optimistic([toHex(someArg)], fraudulentState);
+
+    expect(optimist.currentState.equals(fraudulentState)).to.be.true;
+    expect((await verifier.verifyTransaction(receipt.transactionHash)).valid).to.be.false;
+  });
+
+  it('passes transitions the same decoded args when computing and verifying, and propagates their errors.', async () => {
+    const calls = [];
+    const recordingTransition = (...args) => {
+      calls.push(args);
+
+      return somePureTransition(...args);
+    };
+
+    const optimist = await createOptimist({ transitions: { some_pure_transition: recordingTransition } });
+    const someArg = generateElements(1, { seed: '55' })[0];
+
+    // Args given as a Buffer are still passed to the transition as decoded from call data
+    const { receipt } = await optimist.some_pure_transition.optimistic([someArg]);
+
+    const recordingVerifier = new OptimisticRollIn(
+      simulator.accounts[1],
+      {},
+      { simulator, transitions: { some_pure_transition: recordingTransition }, requiredBond, lockTime }
+    );
+
+    expect((await recordingVerifier.verifyTransaction(receipt.transactionHash)).valid).to.be.true;
+    expect(calls.length).to.equal(2);
+    expect(calls[1]).to.deep.equal(calls[0]);
+
+    const failingVerifier = new OptimisticRollIn(
+      simulator.accounts[1],
+      {},
+      {
+        simulator,
+        transitions: {
+          some_pure_transition: () => {
+            throw Error('Some transition error.');
+          },
+        },
+        requiredBond,
+        lockTime,
+      }
+    );
+
+    await expect(failingVerifier.verifyTransaction(receipt.transactionHash)).to.be.rejectedWith(
+      'Some transition error.'
+    );
+  });
+
+  it('rejects transitions for unknown or non-pure logic functions.', async () => {
+    const optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+
+    expect(() => optimist.registerTransition('unknown', somePureTransition)).to.throw(
+      'No pure or view logic function unknown.'
+    );
+
+    expect(() => optimist.registerTransition('some_impure_transition', somePureTransition)).to.throw(
+      'No pure or view logic function some_impure_transition.'
+    );
+  });
+});
@@ -0,0 +1,154 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Unbond and Unlock', () => {
+  let simulator = null;
+  let suspect = null;
+  let accuser = null;
+  let suspectOptimist = null;
+  let accuserOptimist = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [suspect, accuser] = simulator.accounts;
+
+    suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    accuserOptimist = new OptimisticRollIn(accuser, {}, { simulator, requiredBond, lockTime });
+  });
+
+  const waitFor = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+  const performOptimistically = (transition, seed) => {
+    const someArg = generateElements(1, { seed })[0];
+    const newState = transition(suspect, suspectOptimist.currentState, someArg);
+
+    return suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+  };
+
+  const passLockTime = () => {
+    simulator.increaseTime(lockTime + 1);
+    simulator.mine();
+  };
+
+  // Returns an ORI instance for the suspect's account, synced from chain, that sends transactions from another account
+  const createSuspectView = async (sourceAddress) => {
+    const optimist = new OptimisticRollIn(suspect, {}, { simulator, sourceAddress, requiredBond, lockTime });
+    await optimist.syncFromChain();
+
+    return optimist;
+  };
+
+  it('unbonds only once unlocked and able to exit optimism, clearing the account so it can be re-initialized.', async () => {
+    await performOptimistically(somePureTransition, '11');
+
+    await expect(suspectOptimist.unbond()).to.be.rejectedWith('In optimistic state and cannot yet exit.');
+
+    const accuserView = await createSuspectView(accuser);
+    await accuserView.lock();
+    passLockTime();
+
+    await expect(suspectOptimist.unbond()).to.be.rejectedWith('Account locked.');
+
+    await suspectOptimist.unlock();
+    passLockTime();
+
+    const startingEth = simulator.getBalance(suspect);
+    const { amount } = await suspectOptimist.unbond();
+
+    expect(amount).to.equal(BigInt(requiredBond) * 2n);
+    expect(simulator.getBalance(suspect) - startingEth).to.equal(amount);
+    expect(await suspectOptimist.isInitialized()).to.be.false;
+    expect(suspectOptimist.currentState).to.equal(null);
+
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    expect((await suspectOptimist.getAccountState()).equals(suspectOptimist.accountState)).to.be.true;
+  });
+
+  it("lets anyone unlock an expired lock, giving the accuser's balance to the suspect, who stays in sync.", async () => {
+    await performOptimistically(somePureTransition, '11');
+
+    const verifyEmitter = suspectOptimist.autoVerify();
+    const accuserView = await createSuspectView(accuser);
+    await accuserView.lock();
+
+    expect(await suspectOptimist.isLockExpired()).to.be.false;
+    expect(await suspectOptimist.getLockTimeRemaining()).to.be.above(0);
+
+    const thirdPartyView = await createSuspectView(simulator.accounts[2]);
+
+    await expect(thirdPartyView.unlock()).to.be.rejectedWith('Lock not yet expired.');
+
+    passLockTime();
+
+    expect(await suspectOptimist.isLockExpired()).to.be.true;
+    expect(await suspectOptimist.getLockTimeRemaining()).to.equal(0);
+
+    const { accuser: locker, amount } = await thirdPartyView.unlock();
+    const unlocked = await waitFor(verifyEmitter, 'unlocked');
+
+    expect(locker).to.equal(accuser);
+    expect(amount).to.equal(BigInt(requiredBond));
+    expect(unlocked).to.include({ user: suspect, accuser });
+    expect(await suspectOptimist.getLocker()).to.equal(null);
+    expect(await suspectOptimist.getBalance()).to.equal(BigInt(requiredBond) * 2n);
+    expect(await accuserOptimist.getBalance()).to.equal(0n);
+    expect(suspectOptimist.lastTime).to.equal(thirdPartyView.lastTime);
+    expect((await suspectOptimist.getAccountState()).equals(suspectOptimist.accountState)).to.be.true;
+
+    verifyEmitter.stop();
+
+    await performOptimistically(somePureTransition, '22');
+
+    expect((await suspectOptimist.getAccountState()).equals(suspectOptimist.accountState)).to.be.true;
+  });
+
+  it("keeps an accuser's fraudster in sync with an unlock, so fraud can still be proven after locking again.", async () => {
+    const verifyEmitter = accuserOptimist.autoVerify({ pureVerifiers });
+
+    await performOptimistically(someFraudTransition, '11');
+    await waitFor(verifyEmitter, 'fraud');
+
+    const fraudster = accuserOptimist.getFraudster(suspect);
+    await fraudster.lock();
+    passLockTime();
+
+    await suspectOptimist.unlock();
+    await waitFor(verifyEmitter, 'unlocked');
+
+    expect(fraudster.lastTime).to.equal(suspectOptimist.lastTime);
+    expect((await fraudster.getAccountState()).equals(fraudster.accountState)).to.be.true;
+
+    await fraudster.lock();
+    await fraudster.proveFraud();
+
+    expect(await suspectOptimist.getLocker()).to.equal(suspect);
+    expect(await suspectOptimist.getRollbackSize()).to.equal(0);
+    await expect(suspectOptimist.unlock()).to.be.rejectedWith('Account locked by its user.');
+
+    verifyEmitter.stop();
+  });
+});
@@ -0,0 +1,100 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, errors } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+describe('Unsigned Transactions', () => {
+  let simulator = null;
+  let user = null;
+  let optimist = null;
+
+  beforeEach(() => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user] = simulator.accounts;
+    optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime, unsigned: true });
+  });
+
+  const getArgs = (seed) => [toHex(generateElements(1, { seed })[0])];
+
+  const getNewState = (seed) => somePureTransition(user, optimist.queuedState, generateElements(1, { seed })[0]);
+
+  // Signs and broadcasts an unsigned transaction, as an external signer would
+  const signAndSend = ({ transaction }) => simulator.sendTransaction(transaction);
+
+  it('returns unsigned transactions, and applies them to the local state once confirmed.', async () => {
+    const initializing = await optimist.initialize({ deposit: '500000000000000000' });
+
+    expect(initializing.transaction).to.include({ from: user, to: simulator.oriAddress, value: '1500000000000000000' });
+    expect(initializing.transaction.gas).to.be.a('number');
+    expect(optimist.pendingTransaction).to.equal(initializing.transaction);
+    expect(optimist.currentState).to.equal(null);
+
+    const { transactionHash } = signAndSend(initializing);
+    const { newState, receipt } = await optimist.confirm(transactionHash);
+
+    expect(receipt.transactionHash).to.equal(transactionHash);
+    expect(toHex(optimist.currentState)).to.equal(newState);
+    expect(optimist.pendingTransaction).to.equal(null);
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    const performing = await optimist.some_pure_transition.optimistic(getArgs('11'), getNewState('11'));
+
+    expect(optimist.isInOptimisticState).to.be.false;
+
+    await optimist.confirm(signAndSend(performing));
+
+    expect(optimist.transitionCount).to.equal(1);
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+
+    optimist.some_pure_transition.queue(getArgs('22'), getNewState('22'));
+    optimist.some_pure_transition.queue(getArgs('33'), getNewState('33'));
+
+    await expect(optimist.flushQueue()).to.be.rejectedWith(errors.UnsupportedOperation);
+
+    const sending = await optimist.sendQueue();
+
+    expect(optimist.transitionsQueued).to.equal(2);
+
+    await optimist.confirm(signAndSend(sending));
+
+    expect(optimist.transitionsQueued).to.equal(0);
+    expect(optimist.transitionCount).to.equal(3);
+    expect((await optimist.getAccountState()).equals(optimist.accountState)).to.be.true;
+  });
+
+  it('only confirms the pending transaction, once mined.', async () => {
+    await expect(optimist.confirm(toHex(Buffer.alloc(32)))).to.be.rejectedWith(errors.NoPendingTransaction);
+
+    const bonding = await optimist.bond();
+
+    await expect(optimist.confirm(toHex(Buffer.alloc(32)))).to.be.rejectedWith(errors.NotMined);
+
+    const otherOptions = { simulator, requiredBond, lockTime };
+    const otherOptimist = new OptimisticRollIn(simulator.accounts[1], {}, otherOptions);
+    const { receipt } = await otherOptimist.initialize({ deposit: '500000000000000000' });
+
+    await expect(optimist.confirm(receipt)).to.be.rejectedWith(errors.LocalStateMismatch);
+    expect(optimist.pendingTransaction).to.equal(bonding.transaction);
+
+    await optimist.confirm(signAndSend(bonding));
+
+    expect(await optimist.isBonded()).to.be.true;
+  });
+});
@@ -0,0 +1,221 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+
+const http = require('http');
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter, VerificationService } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+
+// Sends a request to the service, and returns the response's status and parsed JSON body
+const request = (service, method, path, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(`${service.url}${path}`, { method }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    });
+
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+
+describe('Verification Service', () => {
+  let simulator = null;
+  let user = null;
+  let verifier = null;
+  let optimist = null;
+  let verifierOptimist = null;
+  let service = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [user, verifier] = simulator.accounts;
+
+    optimist = new OptimisticRollIn(user, {}, { simulator, requiredBond, lockTime });
+    await optimist.initialize({ deposit: '500000000000000000' });
+
+    verifierOptimist = new OptimisticRollIn(verifier, {}, { simulator, requiredBond, lockTime, pureVerifiers });
+  });
+
+  afterEach(() => service?.stop());
+
+  const waitFor = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+  const performOptimistically = (transition, seed) => {
+    const someArg = generateElements(1, { seed })[0];
+    const newState = transition(user, optimist.currentState, someArg);
+
+    return optimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+  };
+
+  it('tracks the verified transactions and frauds of users, as they are mined, until proven.', async () => {
+    service = await new VerificationService(verifierOptimist).start();
+
+    const fraudFound = waitFor(verifierOptimist.verifyEmitter, 'fraud');
+
+    await performOptimistically(somePureTransition, '11');
+    const { receipt } = await performOptimistically(someFraudTransition, '22');
+
+    await fraudFound;
+
+    const fraud = { user, status: 'detected', transactionHash: receipt.transactionHash, fraudIndex: 1 };
+
+    expect(await request(service, 'GET', '/frauds')).to.deep.equal({ status: 200, body: [fraud] });
+
+    const { status, body: account } = await request(service, 'GET', `/accounts/${user}`);
+
+    expect(status).to.equal(200);
+    expect(account).to.deep.include({
+      user,
+      initialized: true,
+      bonded: true,
+      locker: null,
+      verifiedTransactions: 2,
+      lastVerifiedTransaction: { transactionHash: receipt.transactionHash, valid: false },
+      fraud,
+    });
+
+    expect(account.fraudster).to.deep.equal({
+      fraudIndex: 1,
+      transitionCount: 2,
+      currentState: toHex(someFraudTransition()),
+      lastTime: optimist.lastTime,
+    });
+
+    const fraudster = verifierOptimist.getFraudster(user);
+    await fraudster.lock();
+
+    const fraudProven = waitFor(verifierOptimist.verifyEmitter, 'proven');
+    const { receipt: proofReceipt } = await fraudster.proveFraud();
+    await fraudProven;
+
+    const { body: frauds } = await request(service, 'GET', '/frauds');
+
+    expect(frauds).to.deep.equal([
+      Object.assign({}, fraud, {
+        status: 'proven',
+        accuser: verifier,
+        proofTransactionHash: proofReceipt.transactionHash,
+      }),
+    ]);
+
+    expect((await request(service, 'GET', `/accounts/${user}`)).body).to.include({ fraudster: null, rollbackSize: 1 });
+    expect((await request(service, 'GET', '/status')).body).to.deep.include({ watching: true, lastError: null });
+
+    // Transactions already verified are neither recorded again, nor downgrade a proven fraud
+    expect((await request(service, 'POST', '/verify', { txHash: receipt.transactionHash })).body).to.deep.equal({
+      valid: false,
+      user,
+    });
+
+    expect((await request(service, 'GET', '/frauds')).body).to.deep.equal(frauds);
+    expect((await request(service, 'GET', `/accounts/${user}`)).body).to.include({
+      verifiedTransactions: 2,
+      fraudster: null,
+    });
+  });
+
+  it('verifies transactions by hash, and optimistic performs by call data.', async () => {
+    service = await new VerificationService(verifierOptimist, { watch: false }).start();
+
+    const { receipt } = await performOptimistically(somePureTransition, '11');
+    const { receipt: fraudReceipt } = await performOptimistically(someFraudTransition, '22');
+
+    expect(await request(service, 'POST', '/verify', { txHash: receipt.transactionHash })).to.deep.equal({
+      status: 200,
+      body: { valid: true, user },
+    });
+
+    // Call data is verified without recording fraud
+    const { data } = await new SimulatorAdapter(simulator).getTransaction(fraudReceipt.transactionHash);
+
+    expect(await request(service, 'POST', '/verify', { callData: data })).to.deep.equal({
+      status: 200,
+      body: { valid: false, user, index: 0 },
+    });
+
+    expect((await request(service, 'GET', '/frauds')).body).to.deep.equal([]);
+
+    expect((await request(service, 'POST', '/verify', { txHash: fraudReceipt.transactionHash })).body).to.deep.equal({
+      valid: false,
+      user,
+    });
+
+    expect((await request(service, 'GET', '/frauds')).body).to.have.lengthOf(1);
+    expect(verifierOptimist.getFraudster(user)).to.not.equal(undefined);
+    expect((await request(service, 'GET', '/status')).body).to.deep.include({ watching: false });
+  });
+
+  it('keeps tracking an up-to-date fraudster when an older fraudulent transaction is verified on request.', async () => {
+    const { receipt: fraudReceipt } = await performOptimistically(someFraudTransition, '11');
+    const { receipt } = await performOptimistically(somePureTransition, '22');
+
+    // The fraudster is already tracked, and updated with the suspect's later transaction, before the service started
+    await verifierOptimist.verifyTransaction(fraudReceipt.transactionHash);
+    await verifierOptimist.getFraudster(user).update(receipt.transactionHash);
+
+    const fraudster = verifierOptimist.getFraudster(user);
+    service = await new VerificationService(verifierOptimist, { watch: false }).start();
+
+    expect((await request(service, 'POST', '/verify', { txHash: fraudReceipt.transactionHash })).body).to.deep.equal({
+      valid: false,
+      user,
+    });
+
+    expect(verifierOptimist.getFraudster(user)).to.equal(fraudster);
+    expect((await request(service, 'GET', '/frauds')).body).to.deep.equal([
+      { user, status: 'detected', transactionHash: null, fraudIndex: 0 },
+    ]);
+
+    expect((await request(service, 'GET', `/accounts/${user}`)).body.fraudster).to.include({ transitionCount: 2 });
+
+    // The fraud can still be proven with the tracked fraudster
+    await fraudster.lock();
+    await fraudster.proveFraud();
+
+    expect(await optimist.getBalance()).to.equal(0n);
+  });
+
+  it('responds with errors, and their codes, for invalid requests and operations.', async () => {
+    service = await new VerificationService(verifierOptimist, { watch: false }).start();
+
+    const { receipt } = await optimist.deposit('1');
+    const { data } = await new SimulatorAdapter(simulator).getTransaction(receipt.transactionHash);
+
+    expect(await request(service, 'POST', '/verify', { callData: data })).to.deep.equal({
+      status: 422,
+      body: { error: { message: 'Not the call data of an optimistic perform.', code: 'INVALID_CALLDATA' } },
+    });
+
+    expect(await request(service, 'POST', '/verify', { txHash: receipt.transactionHash })).to.deep.equal({
+      status: 422,
+      body: { error: { message: 'Not an optimistic transaction.', code: 'INVALID_CALLDATA' } },
+    });
+
+    expect((await request(service, 'POST', '/verify', {})).status).to.equal(400);
+    expect((await request(service, 'POST', '/verify', '{')).body).to.deep.equal({
+      error: { message: 'Invalid JSON body.' },
+    });
+
+    expect((await request(service, 'GET', '/accounts/0x1234')).status).to.equal(400);
+    expect((await request(service, 'GET', '/verify')).status).to.equal(405);
+    expect((await request(service, 'GET', '/unknown')).status).to.equal(404);
+    expect((await request(service, 'GET', `/accounts/${user}/unknown`)).status).to.equal(404);
+  });
+});
@@ -0,0 +1,209 @@
+'strict';
+
+const chai = require('chai');
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const OptimisticRollIn = require('../src');
+const { Simulator, SimulatorAdapter } = OptimisticRollIn;
+const { toHex } = require('../src/utils');
+
+const {
+  logicABI,
+  initializeState,
+  somePureTransition,
+  someFraudTransition,
+  pureVerifiers,
+  transitions,
+  generateElements,
+} = require('./helpers/some-logic');
+
+const requiredBond = '1000000000000000000';
+const lockTime = 600;
+const watchtowerEvents = ['detected', 'skipped', 'locked', 'proven', 'lostRace', 'failed'];
+
+describe('Watchtower', () => {
+  let simulator = null;
+  let suspect = null;
+  let accuser = null;
+  let suspectOptimist = null;
+  let accuserOptimist = null;
+
+  beforeEach(async () => {
+    simulator = new Simulator({ logicABI, transitions, initializeState, lockTime, requiredBond });
+    [suspect, accuser] = simulator.accounts;
+
+    suspectOptimist = new OptimisticRollIn(suspect, {}, { simulator, requiredBond, lockTime });
+    await suspectOptimist.initialize({ deposit: '500000000000000000' });
+
+    accuserOptimist = new OptimisticRollIn(accuser, {}, { simulator, requiredBond, lockTime });
+  });
+
+  // Returns the names and payloads of all events a watchtower emits, in order
+  const recordEvents = (watchtower) => {
+    const events = [];
+    watchtowerEvents.forEach((name) => watchtower.on(name, (payload) => events.push(Object.assign({ name }, payload))));
+
+    return events;
+  };
+
+  const waitFor = (emitter, eventName) => new Promise((resolve) => emitter.once(eventName, resolve));
+
+  const performOptimistically = (transition, seed) => {
+    const someArg = generateElements(1, { seed })[0];
+    const newState = transition(suspect, suspectOptimist.currentState, someArg);
+
+    return suspectOptimist.some_pure_transition.optimistic([toHex(someArg)], newState);
+  };
+
+  it('locks a suspect and proves fraud in their last transition.', async () => {
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers });
+    const events = recordEvents(watchtower);
+
+    const { receipt } = await performOptimistically(someFraudTransition, '11');
+    const { reward } = await waitFor(watchtower, 'proven');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'locked', 'proven']);
+    expect(events[0]).to.include({ user: suspect, transactionHash: receipt.transactionHash, fraudIndex: 0 });
+    expect(reward).to.equal(BigInt(requiredBond));
+    expect(await accuserOptimist.getBalance(accuser)).to.equal(BigInt(requiredBond) * 2n);
+    expect(await suspectOptimist.getBalance()).to.equal(0n);
+    expect(await suspectOptimist.getRollbackSize()).to.equal(0);
+    expect(accuserOptimist.getFraudster(suspect)).to.not.be.ok;
+  });
+
+  it('proves fraud in the middle of a batch.', async () => {
+    await performOptimistically(somePureTransition, '11');
+
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers });
+    const events = recordEvents(watchtower);
+
+    generateElements(4, { seed: '22' }).forEach((someArg, i) => {
+      const transition = i === 1 ? someFraudTransition : somePureTransition;
+      const newState = transition(suspect, suspectOptimist.queuedState, someArg);
+      suspectOptimist.some_pure_transition.queue([toHex(someArg)], newState);
+    });
+
+    await suspectOptimist.sendQueue({ validate: false });
+    await waitFor(watchtower, 'proven');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'locked', 'proven']);
+    expect(events[0].fraudIndex).to.equal(2);
+    expect(await suspectOptimist.getRollbackSize()).to.equal(2);
+  });
+
+  it('skips suspects whose reward is less than the minimum reward.', async () => {
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers, minReward: BigInt(requiredBond) * 2n });
+    const events = recordEvents(watchtower);
+
+    await performOptimistically(someFraudTransition, '11');
+    const { reason } = await waitFor(watchtower, 'skipped');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'skipped']);
+    expect(reason).to.equal('Reward 1000000000000000000 is less than minimum reward 2000000000000000000.');
+    expect(await suspectOptimist.getLocker()).to.equal(null);
+  });
+
+  it('skips while the gas price exceeds the maximum, and retries when the suspect transitions again.', async () => {
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers, maxGasPrice: '50000000000' });
+    const events = recordEvents(watchtower);
+
+    simulator.setGasPrice('100000000000');
+
+    await performOptimistically(someFraudTransition, '11');
+    const { reason } = await waitFor(watchtower, 'skipped');
+
+    expect(reason).to.equal('Gas price 100000000000 exceeds maximum gas price 50000000000.');
+
+    simulator.setGasPrice('1000000000');
+
+    await performOptimistically(somePureTransition, '22');
+    await waitFor(watchtower, 'proven');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'skipped', 'locked', 'proven']);
+    expect(await suspectOptimist.getRollbackSize()).to.equal(0);
+  });
+
+  it('skips suspects when the accuser is not bonded and bonding is disabled.', async () => {
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers, bond: false });
+
+    await performOptimistically(someFraudTransition, '11');
+    const { reason } = await waitFor(watchtower, 'skipped');
+
+    expect(reason).to.equal('Accuser is not bonded, and bond is disabled.');
+    expect(await suspectOptimist.getLocker()).to.equal(null);
+  });
+
+  it('keeps watching when errors are not listened for.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const getTransaction = adapter.getTransaction.bind(adapter);
+    let transactionFailures = 1;
+
+    adapter.getTransaction = (txId) =>
+      transactionFailures-- > 0 ? Promise.reject(Error('Connection lost.')) : getTransaction(txId);
+
+    const optimist = new OptimisticRollIn(accuser, {}, { adapter, requiredBond, lockTime });
+    const watchtower = optimist.watchtower({ pureVerifiers });
+    const events = recordEvents(watchtower);
+
+    // The verification of the suspect's first transaction fails, but their next (fraudulent) one is still verified
+    await performOptimistically(somePureTransition, '11');
+    await performOptimistically(someFraudTransition, '22');
+    await waitFor(watchtower, 'proven');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'locked', 'proven']);
+  });
+
+  it('reports a lost race when another accuser locked the suspect first.', async () => {
+    const rival = simulator.accounts[2];
+    const rivalOptimist = new OptimisticRollIn(rival, {}, { simulator, requiredBond, lockTime });
+
+    const { receipt } = await performOptimistically(someFraudTransition, '11');
+    await rivalOptimist.verifyTransaction(receipt.transactionHash, { pureVerifiers });
+    await rivalOptimist.getFraudster(suspect).lock();
+
+    const watchtower = accuserOptimist.watchtower({ pureVerifiers, fromBlock: 0 });
+    const events = recordEvents(watchtower);
+
+    const { accuser: winner } = await waitFor(watchtower, 'lostRace');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'lostRace']);
+    expect(winner).to.equal(rival);
+    expect(await suspectOptimist.getLocker()).to.equal(rival);
+  });
+
+  it('retries a failed fraud proof, once the fraudster of the locked suspect is re-synced from chain.', async () => {
+    const adapter = new SimulatorAdapter(simulator);
+    const watchingOptimist = new OptimisticRollIn(accuser, {}, { adapter, requiredBond, lockTime });
+    const getTransaction = adapter.getTransaction.bind(adapter);
+
+    // Fetching the suspect's transaction after their fraud fails once, so their fraudster misses it
+    const transactionHashes = [];
+    let transactionFailures = 1;
+
+    adapter.getTransaction = async (txId) => {
+      if (!transactionHashes.includes(txId)) transactionHashes.push(txId);
+
+      if (transactionHashes.indexOf(txId) === 1 && transactionFailures-- > 0) throw Error('Connection lost.');
+
+      return getTransaction(txId);
+    };
+
+    const watchtower = watchingOptimist.watchtower({ pureVerifiers, retryInterval: 10 });
+    const events = recordEvents(watchtower);
+
+    await performOptimistically(someFraudTransition, '11');
+    await performOptimistically(somePureTransition, '22');
+
+    const { reward } = await waitFor(watchtower, 'proven');
+
+    expect(events.map(({ name }) => name)).to.deep.equal(['detected', 'locked', 'failed', 'proven']);
+    expect(events[2]).to.include({ user: suspect, stage: 'prove' });
+    expect(reward).to.equal(BigInt(requiredBond));
+    expect(await suspectOptimist.getBalance()).to.equal(0n);
+    expect(watchingOptimist.getFraudster(suspect)).to.not.be.ok;
+
+    watchtower.stop();
+  });
+});